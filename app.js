@@ -1,257 +1,127 @@
 import { parseCCode } from './ccode-data.js';
+import { formatNDCPath, parseNDC } from './ndc-data.js';
+import { checkClassification, describeClassification } from './classification.js';
+import { BarcodeParser } from './barcode-parser.js';
+import { formatISBN } from './isbn-ranges.js';
+import { describeProductCode } from './product-codes.js';
+import { calcTaxIncludedPrice, formatPrice, formatTaxRate } from './price.js';
+import { MERGE_FIELDS, REGISTRANT_SOURCE, mergeSources } from './reconcile.js';
+import { setLocalPublisher } from './publisher-registrants.js';
+import { APP_CONFIG } from './config.js';
+import { LOOKUP_STATUS_LABELS, configureProviders, createProviderRegistry } from './providers.js';
+import { applyUserSettings, loadUserSettings } from './settings.js';
+import { SettingsPanel } from './settings-panel.js';
+import { initialSourceState as createInitialSourceState, lookupSources as lookupProviderSources, parseBookCodes } from './core.js';
+import { SessionStore } from './session-store.js';
+import { SessionHistoryPanel, downloadFile } from './history-panel.js';
+import { BIB_FORMATS, serializeBibliographic } from './bib-export.js';
+import { LookupCache } from './lookup-cache.js';
+import { PendingLookupQueue, isLookupIncomplete } from './lookup-queue.js';
+import { WebhookOutbox } from './webhook-outbox.js';
+import { NetworkStatusBar } from './network-status.js';
+import { decodeBookImage } from './image-decoder.js';
+import { ScannerModePanel } from './scanner-wedge.js';
+import { BatchQueue } from './batch-queue.js';
+import { StocktakePanel } from './stocktake-panel.js';
+import { SeriesPanel } from './series-panel.js';
+import { BulkLookupPanel } from './bulk-panel.js';
+import { LocationPanel } from './location-panel.js';
+import { describeLocation, normalizeLocation } from './location.js';
+
+// 設定パネルで保存した設定を、取得元の作成より先に APP_CONFIG に反映する
+applyUserSettings(loadUserSettings());
+
+/** 書籍情報の取得元（config.js の APP_CONFIG.providers から作成） */
+const providerRegistry = createProviderRegistry();
 
-class GoogleBooksService {
-    static async fetchByISBN(isbn) {
-        try {
-            const response = await fetch(`https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`);
-
-            if (!response.ok) {
-                throw new Error('書籍情報の取得に失敗しました');
-            }
-
-            const data = await response.json();
-            if (!data || data.totalItems === 0 || !Array.isArray(data.items) || !data.items[0]) {
-                return null;
-            }
-
-            const v = data.items[0].volumeInfo || {};
-
-            // 巻数はGoogle Booksで一貫して返ってくるフィールドがないため、あれば拾う（なければ不明扱い）
-            const volume = (v.seriesInfo && v.seriesInfo.bookDisplayNumber) || v.volumeNumber || null;
-
-            return {
-                title: v.title || null,
-                subtitle: v.subtitle || null,
-                volume: volume ? String(volume) : null,
-                publisher: v.publisher || null,
-                authors: Array.isArray(v.authors) ? v.authors.join(', ') : null
-            };
-
-        } catch (error) {
-            console.error('Google Books APIエラー:', error);
-            return null;
-        }
-    }
+/**
+ * 有効な取得元の初期状態（取得中、またはISBNがなければ対象外）を作る
+ * @param {string|null} isbn
+ * @returns {{sources: Object<string, null>, sourceStatus: Object<string, string>}}
+ */
+function initialSourceState(isbn) {
+    return createInitialSourceState(providerRegistry, isbn);
 }
 
-class NdlSearchService {
-    static _getFirstText(xml, localName) {
-        const el = xml.getElementsByTagNameNS('*', localName)[0];
-        return el ? (el.textContent || '').trim() : null;
-    }
-
-    static _getAllTexts(xml, localName) {
-        const els = Array.from(xml.getElementsByTagNameNS('*', localName));
-        const values = els
-            .map((e) => (e.textContent || '').trim())
-            .filter(Boolean);
-        return values.length ? values : null;
-    }
-
-    static async fetchByISBN(isbn) {
-        try {
-            const url = `https://iss.ndl.go.jp/api/sru?operation=searchRetrieve&query=isbn=${encodeURIComponent(isbn)}&recordSchema=dcndl_simple&maximumRecords=1`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error('書籍情報の取得に失敗しました');
-            }
-
-            const xmlText = await response.text();
-            const xml = new DOMParser().parseFromString(xmlText, 'application/xml');
-
-            const title = this._getFirstText(xml, 'title');
-            const subtitle = this._getFirstText(xml, 'alternative');
-            const volume = this._getFirstText(xml, 'volume');
-            const creators = this._getAllTexts(xml, 'creator');
-            const publisher = this._getFirstText(xml, 'publisher');
-            const ndc = this._getFirstText(xml, 'NDC9') || this._getFirstText(xml, 'NDC10') || this._getFirstText(xml, 'NDC');
-
-            if (!title && !subtitle && !volume && !creators && !ndc) {
-                return null;
-            }
-
-            return {
-                title: title || null,
-                subtitle: subtitle || null,
-                volume: volume || null,
-                authors: creators ? creators.join(', ') : null,
-                publisher: publisher || null,
-                ndc: ndc || null
-            };
-
-        } catch (error) {
-            console.error('NDLサーチ取得エラー:', error);
-            return null;
-        }
-    }
-}
 /**
- * バーコード文字列の解析を行うクラス
+ * ISBNから各取得元の書籍情報をまとめて取得する
+ * オフラインの場合はキャッシュだけを参照し、キャッシュにない取得元は未取得（pending）とする
+ * @param {string|null} isbn
+ * @param {(id: string, result: Object) => void} [onUpdate] 取得元ごとの応答を受け取る
+ * @returns {Promise<{sources: Object<string, Object|null>, sourceStatus: Object<string, string>}>}
  */
-class BarcodeParser {
-    /**
-     * 全角数字を半角に変換し、前後の空白を削除する
-     * @param {string} input 
-     * @returns {string}
-     */
-    static normalizeInput(input) {
-        if (!input) return '';
-        return input
-            .replace(/[０-９]/g, (s) => String.fromCharCode(s.charCodeAt(0) - 0xFEE0))
-            .trim();
-    }
-
-    /**
-     * 入力文字列からISBNを抽出する
-     * @param {string} input 
-     * @returns {string|null} 13桁のISBN（ハイフンなし）
-     */
-    static extractISBN(input) {
-        const cleaned = this.normalizeInput(input);
-
-        // パターン1: 13桁のISBN（978または979で始まる）
-        if (/^(978|979)\d{10}$/.test(cleaned)) {
-            return cleaned;
-        }
-
-        // パターン2: ハイフン区切りのISBN
-        const isbnMatch = cleaned.match(/(978|979)[-\s\d]{10,17}/);
-        if (isbnMatch) {
-            return isbnMatch[0].replace(/[-\s]/g, '');
-        }
-
-        // パターン3: 長いデータの中からISBNを抽出
-        const potentialISBN = cleaned.match(/(978|979)\d{10}/);
-        if (potentialISBN) {
-            return potentialISBN[0];
-        }
-
-        return null;
-    }
-
-    /**
-     * 入力文字列からCコードを抽出する
-     * @param {string} input 
-     * @returns {string|null} 4桁のCコード
-     */
-    static extractCCode(input) {
-        const cleaned = this.normalizeInput(input);
-
-        // パターン1: JANコードとCコードがハイフン区切り（例: 9784101001012-0091）
-        const hyphenMatch = cleaned.match(/^(\d{13})[-\s](\d{4})$/);
-        if (hyphenMatch) {
-            return hyphenMatch[2];
-        }
-
-        // パターン2: JANコードにCプレフィックス付きCコード（例: 9784101001012C0091）
-        const cPrefixMatch = cleaned.match(/^(\d{13})C*(\d{4})$/);
-        if (cPrefixMatch) {
-            return cPrefixMatch[2];
-        }
-
-        // パターン3: 純粋なCコード（4桁）
-        if (/^\d{4}$/.test(cleaned)) {
-            return cleaned;
-        }
-
-        // パターン4: Cプレフィックス付きの純粋なCコード
-        const pureCMatch = cleaned.match(/^C*(\d{4})$/);
-        if (pureCMatch) {
-            return pureCMatch[1];
-        }
-
-        // パターン5: チェックデジット付きCコード（5桁）
-        if (/^\d{5}$/.test(cleaned)) {
-            return cleaned.substring(0, 4);
-        }
-
-        // パターン6: 書籍JANコード第2段（192で始まる）
-        // 例: 1920093005804 -> 0093 (Cコード)
-        const secondJanMatch = cleaned.match(/^192(\d{4})/);
-        if (secondJanMatch) {
-            return secondJanMatch[1];
+function lookupSources(isbn, onUpdate) {
+    return lookupProviderSources(providerRegistry, isbn, {
+        cacheOnly: !navigator.onLine,
+        onUpdate: (id, result) => {
+            if (result.error) console.error(`${providerRegistry.getLabel(id)} 取得エラー:`, result.error);
+            if (onUpdate) onUpdate(id, result);
         }
-
-        return null;
-    }
+    });
 }
 
 /**
- * 書籍情報の取得を行うクラス
+ * 書籍情報の値を表示する（書影は画像、価格・ページ数は単位を付け、内容紹介は折りたたむ）
+ * @param {HTMLElement} element 値を表示する要素（中身は置き換える）
+ * @param {string} field
+ * @param {string} value 空でない値
  */
-class BookService {
-    /**
-     * ISBNから書籍情報を取得する
-     * @param {string} isbn 
-     * @returns {Promise<Object|null>}
-     */
-    static async fetchByISBN(isbn) {
-        try {
-            const response = await fetch(`https://api.openbd.jp/v1/get?isbn=${isbn}`);
-
-            if (!response.ok) {
-                throw new Error('書籍情報の取得に失敗しました');
-            }
-
-            const data = await response.json();
-
-            if (!Array.isArray(data) || !data[0]) {
-                return null;
-            }
-
-            const entry = data[0];
-            const summary = entry.summary || {};
-            const onix = entry.onix || {};
-
-            const publisher = summary.publisher
-                || (onix.PublishingDetail
-                    && onix.PublishingDetail.Imprint
-                    && onix.PublishingDetail.Imprint.ImprintName
-                    && onix.PublishingDetail.Imprint.ImprintName.content)
-                || (onix.PublishingDetail
-                    && onix.PublishingDetail.Publisher
-                    && onix.PublishingDetail.Publisher.PublisherName
-                    && onix.PublishingDetail.Publisher.PublisherName.content)
-                || null;
-
-            let ndc = summary.ndc || summary.ndc9 || summary.ndc10 || null;
-            if (Array.isArray(ndc)) {
-                ndc = ndc.filter(Boolean).join(', ');
-            }
-
-            if (!ndc && onix.DescriptiveDetail && Array.isArray(onix.DescriptiveDetail.Subject)) {
-                for (const subj of onix.DescriptiveDetail.Subject) {
-                    if (subj && (subj.SubjectSchemeIdentifier === 'NDC9' || subj.SubjectSchemeIdentifier === 'NDC10')) {
-                        ndc = subj.SubjectCode || null;
-                        break;
-                    }
-                }
-            }
-
-            return {
-                title: summary.title || null,
-                subtitle: summary.subtitle || null,
-                volume: summary.volume || null,
-                publisher,
-                authors: summary.author || null,
-                ndc: ndc || null
-            };
-
-        } catch (error) {
-            console.error('APIエラー:', error);
-            return null;
-        }
+function renderFieldValue(element, field, value) {
+    element.textContent = '';
+    element.classList.toggle('description-text', field === 'description');
+    if (field === 'cover') {
+        const img = document.createElement('img');
+        img.className = 'cover-thumbnail';
+        img.src = value;
+        img.alt = '書影';
+        img.loading = 'lazy';
+        img.referrerPolicy = 'no-referrer';
+        element.appendChild(img);
+        return;
+    }
+    if (field === 'listPrice') {
+        element.textContent = formatPrice(Number(value));
+        return;
     }
+    if (field === 'pages') {
+        element.textContent = `${value}ページ`;
+        return;
+    }
+    element.textContent = value;
+    if (field === 'description') element.title = value;
 }
 
+/** 画像から読み取れなかったバーコードの表示名 */
+const IMAGE_BARCODE_LABELS = {
+    isbn: '上段（ISBN）',
+    secondTier: '下段（Cコード・価格）'
+};
+
 /**
  * 個別の書籍読み取りウィジェットを制御するクラス
  */
 class BookReaderWidget {
-    constructor(rootId, nextWidgetId = null) {
+    /**
+     * @param {string} rootId
+     * @param {string|null} nextWidgetId 読み取り成功後にフォーカスするウィジェット
+     * @param {Object} [options]
+     * @param {(record: Object) => Promise<Object|void>|void} [options.onResult] 読み取り成功時に記録を受け取る（保存後の記録を返す）
+     * @param {(record: Object) => Promise<void>|void} [options.onSelectionChange] 統合レコードの採用元が変更されたとき
+     * @param {import('./batch-queue.js').BatchQueue} [options.batch] 連続読み取りが有効なとき、読み取った書籍を追加する一覧
+     * @param {() => void} [options.onPublisherChange] 出版者記号の出版社名を登録・変更したとき
+     * @param {() => string|null} [options.getLocation] 読み取り中の棚（読み取った書籍の記録に付ける）
+     * @param {(location: string) => void} [options.onLocation] 棚のバーコードが入力されたとき
+     */
+    constructor(rootId, nextWidgetId = null, options = {}) {
         this.root = document.getElementById(rootId);
         this.nextWidgetId = nextWidgetId;
+        this.onResult = options.onResult || null;
+        this.onSelectionChange = options.onSelectionChange || null;
+        this.batch = options.batch || null;
+        this.onPublisherChange = options.onPublisherChange || null;
+        this.getLocation = options.getLocation || null;
+        this.onLocation = options.onLocation || null;
+        this.currentRecord = null;
 
         if (!this.root) {
             console.error(`Element with id ${rootId} not found`);
@@ -265,30 +135,25 @@ class BookReaderWidget {
             ccodeInput: this.root.querySelector('.ccode-input'),
             readBtn: this.root.querySelector('.read-btn'),
             clearBtn: this.root.querySelector('.clear-btn'),
+            imageInput: this.root.querySelector('.image-input'),
+            imageNotice: this.root.querySelector('.image-notice'),
             resultDiv: this.root.querySelector('.result'),
             errorDiv: this.root.querySelector('.error'),
             isbnDisplay: this.root.querySelector('.isbn-display'),
-            googleTitle: this.root.querySelector('.google-title'),
-            googleSubtitle: this.root.querySelector('.google-subtitle'),
-            googleVolume: this.root.querySelector('.google-volume'),
-            googlePublisher: this.root.querySelector('.google-publisher'),
-            googleAuthors: this.root.querySelector('.google-authors'),
-            openbdTitle: this.root.querySelector('.openbd-title'),
-            openbdSubtitle: this.root.querySelector('.openbd-subtitle'),
-            openbdVolume: this.root.querySelector('.openbd-volume'),
-            openbdPublisher: this.root.querySelector('.openbd-publisher'),
-            openbdAuthors: this.root.querySelector('.openbd-authors'),
-            openbdNdc: this.root.querySelector('.openbd-ndc'),
-            ndlTitle: this.root.querySelector('.ndl-title'),
-            ndlSubtitle: this.root.querySelector('.ndl-subtitle'),
-            ndlVolume: this.root.querySelector('.ndl-volume'),
-            ndlPublisher: this.root.querySelector('.ndl-publisher'),
-            ndlAuthors: this.root.querySelector('.ndl-authors'),
-            ndlNdc: this.root.querySelector('.ndl-ndc'),
+            locationRow: this.root.querySelector('.location-row'),
+            locationDisplay: this.root.querySelector('.location-display'),
+            productRows: this.root.querySelector('.product-rows'),
+            mergedRows: this.root.querySelector('.merged-rows'),
+            sourceSections: this.root.querySelector('.source-sections'),
             cCodeDisplay: this.root.querySelector('.ccode-display'),
             targetDisplay: this.root.querySelector('.target-display'),
             formatDisplay: this.root.querySelector('.format-display'),
-            contentDisplay: this.root.querySelector('.content-display')
+            contentDisplay: this.root.querySelector('.content-display'),
+            classificationDisplay: this.root.querySelector('.classification-display'),
+            ccodeBrowserLink: this.root.querySelector('.ccode-browser-link'),
+            priceDisplay: this.root.querySelector('.price-display'),
+            taxIncludedLabel: this.root.querySelector('.tax-included-label'),
+            taxIncludedDisplay: this.root.querySelector('.tax-included-display')
         };
 
         this.inputTimeout = null;
@@ -309,6 +174,28 @@ class BookReaderWidget {
             this.clear();
         });
 
+        // 書誌データのダウンロード（表示中の1冊分）
+        this.root.querySelectorAll('.bib-export-btn').forEach((btn) => {
+            btn.addEventListener('click', () => this.exportBibliographic(btn.dataset.format));
+        });
+
+        // 写真からの読み取り
+        if (this.elements.imageInput) {
+            this.elements.imageInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.processImage(file);
+            });
+        }
+
+        // 取得元ごとの値のクリックで、統合レコードの採用元を変更
+        this.elements.resultDiv.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-source][data-field]');
+            if (target) {
+                this.selectSource(target.dataset.field, target.dataset.source);
+            }
+        });
+
         // ISBN入力欄のEnterキー
         if (this.elements.isbnInput) {
             this.elements.isbnInput.addEventListener('keypress', (e) => {
@@ -344,15 +231,17 @@ class BookReaderWidget {
                 }
             });
 
-            // 自動入力検知（Cコード）
+            // 自動入力検知（Cコード）。待ち時間と文字数は設定で変更できる（APP_CONFIG.input）
             this.elements.ccodeInput.addEventListener('input', (e) => {
+                const { debounce, autoSubmitLength } = APP_CONFIG.input;
                 clearTimeout(this.inputTimeout);
                 this.inputTimeout = setTimeout(() => {
                     const value = e.target.value;
-                    if (value.includes('\n') || value.includes('\r') || value.length >= 4) {
+                    if (value.includes('\n') || value.includes('\r')
+                        || (autoSubmitLength > 0 && value.length >= autoSubmitLength)) {
                         this.processInput();
                     }
-                }, 300);
+                }, debounce);
             });
         }
     }
@@ -361,68 +250,60 @@ class BookReaderWidget {
         const isbnValue = this.elements.isbnInput ? this.elements.isbnInput.value : '';
         const ccodeValue = this.elements.ccodeInput ? this.elements.ccodeInput.value : '';
 
-        // 全角→半角変換
-        const normalizedIsbn = BarcodeParser.normalizeInput(isbnValue);
-        const normalizedCcode = BarcodeParser.normalizeInput(ccodeValue);
-
-        if (!normalizedIsbn && !normalizedCcode) {
-            // 両方空の場合は何もしない
-            return;
-        }
-
         try {
-            // ISBNの抽出 (ISBN欄から優先、なければCコード欄からも探す)
-            let isbn = BarcodeParser.extractISBN(normalizedIsbn);
-            if (!isbn) {
-                isbn = BarcodeParser.extractISBN(normalizedCcode);
+            // 棚のバーコードは、以降に読み取る書籍の棚として受け取る
+            const location = BarcodeParser.parseLocationCode(isbnValue) || BarcodeParser.parseLocationCode(ccodeValue);
+            if (location) {
+                if (this.onLocation) this.onLocation(location.location);
+                this.resetInputs();
+                return;
             }
 
-            // Cコードの抽出 (Cコード欄から優先、なければISBN欄からも探す)
-            let ccode = BarcodeParser.extractCCode(normalizedCcode);
-            if (!ccode) {
-                ccode = BarcodeParser.extractCCode(normalizedIsbn);
+            // ISBN・Cコード・本体価格の取り出し（両方空の場合は何もしない）
+            const codes = parseBookCodes(isbnValue, ccodeValue);
+            if (!codes) {
+                return;
             }
+            const { isbn, ccode, parsedCCode, price, product } = codes;
 
-            let parsedCCode = null;
-            if (ccode) {
-                parsedCCode = parseCCode(ccode);
-                if (!parsedCCode) {
-                    throw new Error('Cコードの解析に失敗しました');
-                }
-            }
+            const record = {
+                isbn, ccode, parsedCCode, price, product,
+                location: this.getLocation ? this.getLocation() : null,
+                ...initialSourceState(isbn)
+            };
 
-            // 書籍情報の取得（取得元ごと）
-            let googleInfo = null;
-            let openbdInfo = null;
-            let ndlInfo = null;
-            if (isbn) {
-                [googleInfo, openbdInfo, ndlInfo] = await Promise.all([
-                    GoogleBooksService.fetchByISBN(isbn),
-                    BookService.fetchByISBN(isbn),
-                    NdlSearchService.fetchByISBN(isbn)
-                ]);
+            // 連続読み取りでは一覧に追加し、書籍情報の取得を待たずに次の読み取りへ進む
+            if (this.batch && this.batch.enabled) {
+                this.batch.enqueue(record);
+                this.resetInputs();
+                return;
             }
 
-            // 結果表示
-            this.showResult({
-                isbn,
-                ccode,
-                parsedCCode,
-                googleInfo,
-                openbdInfo,
-                ndlInfo
-            });
+            // 結果表示（書籍情報は取得元が応答した順に表示する）
+            this.showResult(record);
 
-            // 成功時、次のウィジェットのISBN欄へフォーカス移動
-            if (this.nextWidgetId) {
-                const nextWidget = document.getElementById(this.nextWidgetId);
-                const nextInput = nextWidget?.querySelector('.isbn-input');
-                if (nextInput) {
-                    nextInput.focus();
-                    nextInput.select();
+            // 書籍情報の取得（取得元ごと）
+            await lookupSources(isbn, (id, result) => {
+                record.sources[id] = result.info;
+                record.sourceStatus[id] = result.status;
+                if (this.currentRecord === record) {
+                    this.renderSources(record);
                 }
+            });
+
+            // オフラインなどで取得できなかった場合は、接続の回復後に取得し直す
+            if (isbn && isLookupIncomplete(record.sourceStatus)) {
+                record.lookupState = 'pending';
+            }
+
+            // 履歴へ記録
+            if (this.onResult) {
+                const saved = await this.onResult(record);
+                if (saved) this.currentRecord = saved;
             }
 
+            this.moveFocusAfterScan();
+
         } catch (error) {
             this.showError(error.message);
             // エラー時は現在の入力欄（おそらくCコード欄）を選択状態に
@@ -432,51 +313,424 @@ class BookReaderWidget {
         }
     }
 
-    showResult(data) {
-        const { isbn, ccode, parsedCCode, googleInfo, openbdInfo, ndlInfo } = data;
-
-        const safe = (v, fallback = '-') => (v && String(v).trim() ? String(v) : fallback);
-
-        this.elements.isbnDisplay.textContent = isbn || '不明';
-
-        // Google Books
-        if (this.elements.googleTitle) this.elements.googleTitle.textContent = safe(googleInfo && googleInfo.title, isbn ? '取得できませんでした' : '-');
-        if (this.elements.googleSubtitle) this.elements.googleSubtitle.textContent = safe(googleInfo && googleInfo.subtitle);
-        if (this.elements.googleVolume) this.elements.googleVolume.textContent = safe(googleInfo && googleInfo.volume);
-        if (this.elements.googlePublisher) this.elements.googlePublisher.textContent = safe(googleInfo && googleInfo.publisher);
-        if (this.elements.googleAuthors) this.elements.googleAuthors.textContent = safe(googleInfo && googleInfo.authors);
-
-        // OpenBD
-        if (this.elements.openbdTitle) this.elements.openbdTitle.textContent = safe(openbdInfo && openbdInfo.title, isbn ? '取得できませんでした' : '-');
-        if (this.elements.openbdSubtitle) this.elements.openbdSubtitle.textContent = safe(openbdInfo && openbdInfo.subtitle);
-        if (this.elements.openbdVolume) this.elements.openbdVolume.textContent = safe(openbdInfo && openbdInfo.volume);
-        if (this.elements.openbdPublisher) this.elements.openbdPublisher.textContent = safe(openbdInfo && openbdInfo.publisher);
-        if (this.elements.openbdAuthors) this.elements.openbdAuthors.textContent = safe(openbdInfo && openbdInfo.authors);
-        if (this.elements.openbdNdc) this.elements.openbdNdc.textContent = safe(openbdInfo && openbdInfo.ndc, isbn ? '不明' : '-');
-
-        // NDLサーチ
-        if (this.elements.ndlTitle) this.elements.ndlTitle.textContent = safe(ndlInfo && ndlInfo.title, isbn ? '取得できませんでした' : '-');
-        if (this.elements.ndlSubtitle) this.elements.ndlSubtitle.textContent = safe(ndlInfo && ndlInfo.subtitle);
-        if (this.elements.ndlVolume) this.elements.ndlVolume.textContent = safe(ndlInfo && ndlInfo.volume);
-        if (this.elements.ndlPublisher) this.elements.ndlPublisher.textContent = safe(ndlInfo && ndlInfo.publisher);
-        if (this.elements.ndlAuthors) this.elements.ndlAuthors.textContent = safe(ndlInfo && ndlInfo.authors);
-        if (this.elements.ndlNdc) this.elements.ndlNdc.textContent = safe(ndlInfo && ndlInfo.ndc, isbn ? '不明' : '-');
-
-        this.elements.cCodeDisplay.textContent = ccode || '-';
-        if (parsedCCode) {
-            this.elements.targetDisplay.textContent = parsedCCode.target;
-            this.elements.formatDisplay.textContent = parsedCCode.format;
-            this.elements.contentDisplay.textContent = parsedCCode.content;
-        } else {
-            this.elements.targetDisplay.textContent = '-';
-            this.elements.formatDisplay.textContent = '-';
-            this.elements.contentDisplay.textContent = '-';
+    /**
+     * 読み取りに成功した後、設定（APP_CONFIG.input.focusAfterScan）に従ってフォーカスを移す
+     */
+    moveFocusAfterScan() {
+        const focus = APP_CONFIG.input.focusAfterScan;
+        if (focus === 'reset') {
+            this.resetInputs();
+            return;
+        }
+        if (focus !== 'next') return;
+        // 次のウィジェットのISBN欄へフォーカス移動（次のウィジェットがなければ、このウィジェットのISBN欄を選択して次の書籍に備える）
+        const nextWidget = this.nextWidgetId ? document.getElementById(this.nextWidgetId) : null;
+        const nextInput = nextWidget ? nextWidget.querySelector('.isbn-input') : this.elements.isbnInput;
+        if (nextInput) {
+            nextInput.focus();
+            nextInput.select();
+        }
+    }
+
+    /**
+     * 読み取った上段・下段のコードを入力欄に反映して読み込む
+     * @param {{isbn: string|null, ccode: string|null}} codes
+     */
+    async submitCodes({ isbn, ccode }) {
+        this.hideImageNotice();
+        if (this.elements.isbnInput) this.elements.isbnInput.value = isbn || '';
+        if (this.elements.ccodeInput) this.elements.ccodeInput.value = ccode || '';
+        await this.processInput();
+    }
+
+    /**
+     * 写真から書籍JANコードを読み取り、入力欄に反映して読み込む
+     * 片方の段しか読めなかった場合は、読めた段だけで読み込み、読めなかった段を知らせる
+     * @param {File} file
+     */
+    async processImage(file) {
+        this.hideImageNotice();
+
+        let decoded;
+        try {
+            decoded = await decodeBookImage(file);
+        } catch (error) {
+            console.error('画像の読み込みエラー:', error);
+            this.showError('画像を読み込めませんでした');
+            return;
+        }
+
+        if (!decoded.isbn && !decoded.secondTier) {
+            this.showError('画像からバーコードを読み取れませんでした。バーコード全体が写るように撮影してください');
+            return;
+        }
+
+        await this.submitCodes({ isbn: decoded.isbn, ccode: decoded.secondTier });
+
+        if (decoded.missing.length) {
+            const labels = decoded.missing.map((key) => IMAGE_BARCODE_LABELS[key]).join('・');
+            this.showImageNotice(`⚠️ ${labels}のバーコードを読み取れませんでした。手入力するか、撮影し直してください`);
         }
+    }
+
+    showImageNotice(message) {
+        if (!this.elements.imageNotice) return;
+        this.elements.imageNotice.textContent = message;
+        this.elements.imageNotice.classList.remove('hidden');
+    }
+
+    hideImageNotice() {
+        if (this.elements.imageNotice) this.elements.imageNotice.classList.add('hidden');
+    }
+
+    showResult(data) {
+        const { isbn, ccode } = data;
+        this.currentRecord = data;
+
+        this.elements.isbnDisplay.textContent = isbn ? formatISBN(isbn) : (data.product ? '-' : '不明');
+        this.renderProduct(data.product || null);
+        this.renderLocation(data);
+
+        this.renderSources(data);
+        this.renderCCode(ccode);
+
+        const price = data.price != null ? data.price : null;
+        if (this.elements.priceDisplay) this.elements.priceDisplay.textContent = formatPrice(price);
+        if (this.elements.taxIncludedLabel) this.elements.taxIncludedLabel.textContent = `税込価格（${formatTaxRate()}）:`;
+        if (this.elements.taxIncludedDisplay) this.elements.taxIncludedDisplay.textContent = formatPrice(calcTaxIncludedPrice(price));
 
         this.elements.resultDiv.classList.remove('hidden');
         this.elements.errorDiv.classList.add('hidden');
     }
 
+    /**
+     * 記録の棚を表示する（前回と別の棚なら前回の棚も示す）
+     * @param {Object} record
+     */
+    renderLocation(record) {
+        const { locationRow, locationDisplay } = this.elements;
+        if (!locationRow) return;
+        const text = describeLocation(record);
+        locationRow.classList.toggle('hidden', !text);
+        locationDisplay.textContent = text;
+    }
+
+    /**
+     * 書籍以外のバーコード（雑誌・楽譜・一般の商品）の内容を表示する
+     * @param {Object|null} product
+     */
+    renderProduct(product) {
+        const container = this.elements.productRows;
+        if (!container) return;
+        container.textContent = '';
+        container.classList.toggle('hidden', !product);
+        if (!product) return;
+
+        for (const [label, value] of describeProductCode(product)) {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'label';
+            labelSpan.textContent = `${label}:`;
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'value';
+            valueSpan.textContent = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            container.appendChild(row);
+        }
+    }
+
+    /**
+     * 取得元ごとの書籍情報と統合レコードを表示する
+     * 有効な取得元の順に並べ、記録にだけ残っている取得元（無効化したものなど）は後ろに表示する
+     * @param {Object} record
+     */
+    renderSources(record) {
+        const container = this.elements.sourceSections;
+        if (!container) return;
+
+        const sources = record.sources || {};
+        const status = record.sourceStatus || {};
+        const ids = providerRegistry.list().map((provider) => provider.id);
+        for (const id of Object.keys(sources)) {
+            if (!ids.includes(id)) ids.push(id);
+        }
+
+        container.textContent = '';
+        for (const id of ids) {
+            const info = sources[id] || null;
+            const provider = providerRegistry.list().find((p) => p.id === id);
+            const fields = provider ? provider.fields : Object.keys(info || MERGE_FIELDS);
+            // 状態を持たない古い記録は、値の有無から状態を推定する
+            const state = status[id] || (info ? 'found' : (record.isbn ? 'not-found' : 'skipped'));
+
+            const section = document.createElement('div');
+            section.className = 'source-section';
+
+            const heading = document.createElement('h4');
+            heading.textContent = providerRegistry.getLabel(id);
+            const badge = document.createElement('span');
+            badge.className = `lookup-status status-${state}`;
+            badge.textContent = LOOKUP_STATUS_LABELS[state] || state;
+            heading.appendChild(badge);
+            section.appendChild(heading);
+
+            fields.forEach((field, i) => {
+                const row = document.createElement('div');
+                row.className = 'info-row';
+
+                const label = document.createElement('span');
+                label.className = 'label';
+                label.textContent = `${MERGE_FIELDS[field] || field}:`;
+
+                const value = document.createElement('span');
+                value.className = `value ${id}-${field}`;
+                value.dataset.source = id;
+                value.dataset.field = field;
+                const text = info && info[field] ? String(info[field]).trim() : '';
+                if (text) {
+                    renderFieldValue(value, field, text);
+                } else {
+                    // 値がない場合、先頭の項目に取得状態を表示する
+                    value.textContent = i === 0 && state !== 'found' && state !== 'skipped'
+                        ? LOOKUP_STATUS_LABELS[state]
+                        : '-';
+                }
+                if (field === 'ndc' && text) {
+                    value.title = parseNDC(text).map(formatNDCPath).join('\n');
+                }
+
+                row.appendChild(label);
+                row.appendChild(value);
+                section.appendChild(row);
+            });
+            container.appendChild(section);
+        }
+
+        this.renderMerged(record);
+    }
+
+    /**
+     * Cコードと各部分の表示名を表示し、分類表にない部分に印を付ける
+     * （保存済みの記録は解析結果の形式が古い場合があるため、Cコードから解析し直す）
+     * @param {string|null} ccode
+     */
+    renderCCode(ccode) {
+        const parsed = ccode ? parseCCode(ccode) : null;
+        const displays = {
+            target: this.elements.targetDisplay,
+            format: this.elements.formatDisplay,
+            content: this.elements.contentDisplay
+        };
+
+        if (this.elements.ccodeBrowserLink) {
+            this.elements.ccodeBrowserLink.href = parsed && parsed.valid
+                ? `ccode-browser.html?code=${ccode}`
+                : 'ccode-browser.html';
+        }
+
+        const codeDisplay = this.elements.cCodeDisplay;
+        codeDisplay.textContent = '';
+        if (!parsed) {
+            codeDisplay.textContent = ccode || '-';
+            for (const display of Object.values(displays)) {
+                display.textContent = '-';
+                display.classList.remove('invalid');
+            }
+            return;
+        }
+
+        for (const [name, part] of Object.entries(parsed.parts)) {
+            const digits = document.createElement('span');
+            digits.className = 'ccode-part';
+            digits.classList.toggle('invalid', !part.valid);
+            digits.textContent = part.code;
+            codeDisplay.appendChild(digits);
+
+            displays[name].textContent = part.valid ? part.label : `⚠️ 分類表にない数字です（${part.code}）`;
+            displays[name].classList.toggle('invalid', !part.valid);
+        }
+    }
+
+    /**
+     * NDCの分類記号を類・綱・目の名称で表示する行を作る（分類表にない記号には印を付ける）
+     * @param {string} value
+     * @returns {HTMLElement}
+     */
+    createNDCRow(value) {
+        const entries = parseNDC(value);
+        const unknown = entries.some((entry) => !entry.known);
+
+        const row = document.createElement('div');
+        row.className = 'info-row ndc-row';
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'label';
+        labelSpan.textContent = `${unknown ? '⚠️ ' : ''}分類名:`;
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'value';
+        for (const entry of entries) {
+            const line = document.createElement('span');
+            line.className = 'ndc-path';
+            line.classList.toggle('unknown', !entry.known);
+            line.textContent = formatNDCPath(entry);
+            valueSpan.appendChild(line);
+        }
+
+        row.appendChild(labelSpan);
+        row.appendChild(valueSpan);
+        return row;
+    }
+
+    /**
+     * ISBNの出版者記号から分かる出版社と、取得元の出版社との突き合わせ結果の行を作る
+     * 表にない出版者記号は、出版社名を登録できる（この端末のブラウザに保存）
+     * @param {{key: string, name: string|null, local: boolean, matches: boolean|null}} registrant
+     * @returns {HTMLElement}
+     */
+    createRegistrantRow(registrant) {
+        const row = document.createElement('div');
+        row.className = 'info-row registrant-row';
+        row.classList.toggle('conflict', registrant.matches === false);
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'label';
+        labelSpan.textContent = `${registrant.matches === false ? '⚠️ ' : ''}出版者記号:`;
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'value';
+        let text = `${registrant.key} ${registrant.name || '（未登録）'}`;
+        if (registrant.local) text += '（登録済み）';
+        if (registrant.matches === true) text += ' ✓ 取得元の出版社と一致';
+        if (registrant.matches === false) text += ' — 取得元の出版社と異なります';
+        valueSpan.textContent = text;
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'registrant-edit-btn';
+        editBtn.textContent = registrant.name ? '出版社名を変更' : '出版社名を登録';
+        editBtn.addEventListener('click', () => {
+            const name = prompt(`出版者記号 ${registrant.key} の出版社名を入力してください（空にすると登録を削除します）`,
+                registrant.name || '');
+            if (name === null) return;
+            setLocalPublisher(registrant.key, name);
+            if (this.currentRecord) this.renderMerged(this.currentRecord);
+            if (this.onPublisherChange) this.onPublisherChange();
+        });
+
+        row.appendChild(labelSpan);
+        row.appendChild(valueSpan);
+        row.appendChild(editBtn);
+        return row;
+    }
+
+    /**
+     * 統合レコードを表示し、取得元ごとの値に不一致・採用元の印を付ける
+     * @param {Object} record
+     */
+    renderMerged(record) {
+        const merged = mergeSources(record.sources || {}, record.selections || {}, record.isbn || null);
+
+        if (this.elements.mergedRows) {
+            this.elements.mergedRows.textContent = '';
+            for (const [field, label] of Object.entries(MERGE_FIELDS)) {
+                const { value, source, selected, conflict } = merged[field];
+
+                const row = document.createElement('div');
+                row.className = 'info-row';
+                row.classList.toggle('conflict', conflict);
+
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'label';
+                labelSpan.textContent = `${conflict ? '⚠️ ' : ''}${label}:`;
+
+                const valueSpan = document.createElement('span');
+                valueSpan.className = 'value';
+                if (value) {
+                    renderFieldValue(valueSpan, field, value);
+                } else {
+                    valueSpan.textContent = '-';
+                }
+
+                row.appendChild(labelSpan);
+                row.appendChild(valueSpan);
+
+                if (source) {
+                    const badge = document.createElement('span');
+                    badge.className = 'source-badge';
+                    badge.classList.toggle('selected', selected);
+                    const sourceLabel = source === REGISTRANT_SOURCE
+                        ? `出版者記号${merged.publisher.registrant.local ? '（登録）' : ''}`
+                        : providerRegistry.getLabel(source);
+                    badge.textContent = `${sourceLabel}${selected ? '（選択）' : ''}`;
+                    row.appendChild(badge);
+                }
+                this.elements.mergedRows.appendChild(row);
+
+                if (field === 'ndc' && value) {
+                    this.elements.mergedRows.appendChild(this.createNDCRow(value));
+                }
+                if (field === 'publisher' && merged.publisher.registrant) {
+                    this.elements.mergedRows.appendChild(this.createRegistrantRow(merged.publisher.registrant));
+                }
+            }
+        }
+
+        if (this.elements.classificationDisplay) {
+            const check = checkClassification(record.ccode, merged.ndc.value);
+            const display = this.elements.classificationDisplay;
+            display.className = `value classification-display${check.verdict ? ` verdict-${check.verdict}` : ''}`;
+            display.textContent = describeClassification(check) || '-';
+        }
+
+        this.root.querySelectorAll('[data-source][data-field]').forEach((el) => {
+            const { field, source } = el.dataset;
+            const item = merged[field];
+            const hasValue = Boolean(item && item.candidates.some((c) => c.source === source));
+            el.classList.toggle('selectable', hasValue);
+            el.classList.toggle('conflict', Boolean(hasValue && item.conflict));
+            el.classList.toggle('chosen', Boolean(hasValue && item.source === source));
+        });
+    }
+
+    /**
+     * 統合レコードの項目の採用元を変更する
+     * @param {string} field
+     * @param {string} source
+     */
+    async selectSource(field, source) {
+        const record = this.currentRecord;
+        if (!record) return;
+
+        const info = record.sources && record.sources[source];
+        if (!info || !info[field]) return;
+
+        record.selections = { ...(record.selections || {}), [field]: source };
+        this.renderMerged(record);
+
+        if (this.onSelectionChange) {
+            try {
+                await this.onSelectionChange(record);
+            } catch (error) {
+                console.error('採用元の保存エラー:', error);
+            }
+        }
+    }
+
+    /**
+     * 表示中の書籍を書誌データ形式でダウンロードする
+     * @param {'marcxml'|'dc'|'bibtex'|'ris'} format
+     */
+    exportBibliographic(format) {
+        const record = this.currentRecord;
+        if (!record) return;
+        const { extension, suffix, mimeType } = BIB_FORMATS[format];
+        const content = serializeBibliographic([record], format);
+        downloadFile(content, `${record.isbn || record.ccode || 'book'}${suffix}.${extension}`, mimeType);
+    }
+
     showError(message) {
         this.elements.errorDiv.textContent = `❌ エラー: ${message}`;
         this.elements.errorDiv.classList.remove('hidden');
@@ -484,17 +738,248 @@ class BookReaderWidget {
     }
 
     clear() {
+        this.elements.resultDiv.classList.add('hidden');
+        this.hideImageNotice();
+        this.resetInputs();
+    }
+
+    /**
+     * 入力欄を空にして、次の読み取りを待つ
+     */
+    resetInputs() {
         if (this.elements.isbnInput) this.elements.isbnInput.value = '';
         if (this.elements.ccodeInput) this.elements.ccodeInput.value = '';
-        this.elements.resultDiv.classList.add('hidden');
         this.elements.errorDiv.classList.add('hidden');
         if (this.elements.isbnInput) this.elements.isbnInput.focus();
     }
 }
 
+/**
+ * 履歴の編集内容を検証し、保存する変更を組み立てる
+ * @param {SessionStore} store
+ * @param {Object} entry 編集前の記録
+ * @param {{isbn: string, ccode: string, location: string, memo: string}} values
+ * @returns {Promise<Object>}
+ */
+async function buildEntryChanges(store, entry, values) {
+    const isbnValue = BarcodeParser.normalizeInput(values.isbn);
+    const ccodeValue = BarcodeParser.normalizeInput(values.ccode);
+
+    const isbn = isbnValue ? BarcodeParser.extractISBN(isbnValue) : null;
+    if (isbnValue && !isbn) {
+        throw new Error('ISBNの形式が正しくありません');
+    }
+    const ccode = ccodeValue ? BarcodeParser.extractCCode(ccodeValue) : null;
+    if (ccodeValue && !ccode) {
+        throw new Error('Cコードの形式が正しくありません');
+    }
+    const secondTier = ccodeValue ? BarcodeParser.parseSecondTierCode(ccodeValue) : null;
+
+    const changes = {
+        isbn,
+        ccode,
+        parsedCCode: ccode ? parseCCode(ccode) : null,
+        location: normalizeLocation(values.location),
+        memo: values.memo.trim()
+    };
+    // 第2段のコードが入力された場合は本体価格も更新し、Cコードだけ変わった場合は価格を破棄する
+    if (secondTier) {
+        changes.price = secondTier.price;
+    } else if (ccode !== entry.ccode) {
+        changes.price = null;
+    }
+    // ISBNが変わった場合は書籍情報を取り直し、前の書籍で選んだ採用元は破棄する
+    if (isbn !== entry.isbn) {
+        Object.assign(changes, await lookupSources(isbn));
+        changes.lookupState = isbn && isLookupIncomplete(changes.sourceStatus) ? 'pending' : undefined;
+        changes.selections = {};
+    }
+    // ISBNか棚が変わった場合は、その書籍をこの記録より前に読み取った棚を探し直す
+    if (isbn !== entry.isbn || changes.location !== (entry.location || null)) {
+        changes.previousLocation = isbn && changes.location
+            ? await store.findLastLocation(isbn, { before: entry })
+            : null;
+    }
+    return changes;
+}
+
 // アプリケーションの初期化
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    let history = null;
+    let queue = null;
+    let outbox = null;
+    let book1 = null;
+    let settings = null;
+
+    // 読み取り中の棚（棚のバーコードを読み取ると、以降に読み取る書籍の記録に付ける）
+    const location = new LocationPanel('location');
+    location.init();
+
+    // 連続読み取りの一覧（書籍情報の取得と保存はバックグラウンドで行う）
+    const batch = new BatchQueue('batch', {
+        lookup: async (record, onUpdate) => {
+            Object.assign(record, initialSourceState(record.isbn));
+            await lookupSources(record.isbn, (id, result) => {
+                record.sources[id] = result.info;
+                record.sourceStatus[id] = result.status;
+                onUpdate();
+            });
+            record.lookupState = isLookupIncomplete(record.sourceStatus) ? 'pending' : undefined;
+        },
+        onSave: async (record) => {
+            if (!history) return null;
+            const saved = await history.add(record);
+            location.showScanResult(saved);
+            if (queue) await queue.notify();
+            // ISBNのない記録（Cコードのみ・雑誌・楽譜・一般の商品）は取得しないため、ここで送信待ちに入れる
+            if (outbox && !saved.isbn) await outbox.enqueue(saved);
+            return saved;
+        },
+        onUpdate: async (record) => {
+            if (!history) return;
+            const updated = await history.store.updateEntry(record.id, {
+                sources: record.sources,
+                sourceStatus: record.sourceStatus,
+                lookupState: record.lookupState
+            });
+            await history.refresh();
+            if (queue) await queue.notify();
+            if (outbox) await outbox.enqueue(updated);
+        },
+        onRemove: async (record) => {
+            if (!history) return;
+            await history.store.deleteEntry(record.id);
+            await history.refresh();
+            if (queue) await queue.notify();
+        },
+        onSelect: (record) => book1.showResult(record)
+    });
+    batch.init();
+
     // 書籍1のウィジェットを初期化
-    const book1 = new BookReaderWidget('book1');
+    book1 = new BookReaderWidget('book1', null, {
+        batch,
+        onResult: async (record) => {
+            if (!history) return null;
+            try {
+                const saved = await history.add(record);
+                location.showScanResult(saved);
+                if (queue) await queue.notify();
+                if (outbox) await outbox.enqueue(saved);
+                return saved;
+            } catch (error) {
+                console.error('スキャン履歴の保存エラー:', error);
+                history.showError('履歴を保存できませんでした');
+                return null;
+            }
+        },
+        onSelectionChange: async (record) => {
+            if (!history || !record.id) return;
+            await history.store.updateEntry(record.id, { selections: record.selections });
+            await history.refresh();
+        },
+        onPublisherChange: () => settings.renderPublishers(),
+        getLocation: () => location.location,
+        onLocation: (name) => location.setLocation(name)
+    });
     book1.init();
+
+    // スキャナーモード（入力欄のフォーカスに関係なく読み取り、上段・下段を組み合わせる）
+    const scannerMode = new ScannerModePanel('scanner-mode', {
+        onPair: (codes) => book1.submitCodes(codes),
+        onLocation: (name) => location.setLocation(name),
+        onError: (message) => book1.showError(message)
+    });
+    scannerMode.init();
+
+    // 一括照会（ISBNの一覧から書籍情報をまとめて取得する。取得元ごとの間隔はレジストリが空ける）
+    const bulk = new BulkLookupPanel('bulk', {
+        lookup: (isbn) => lookupSources(isbn),
+        onSelect: (record) => book1.showResult(record)
+    });
+    bulk.init();
+
+    // 設定パネル（保存すると取得元を登録し直し、次の読み取りから新しい設定を使う）
+    settings = new SettingsPanel('settings', {
+        onChange: () => {
+            configureProviders(providerRegistry);
+            // 送信先を設定した場合は、たまっている送信待ちを送る
+            if (outbox) outbox.process();
+        },
+        onPublishersChange: async () => {
+            if (book1.currentRecord) book1.renderMerged(book1.currentRecord);
+            if (history) await history.refresh();
+        }
+    });
+    settings.init();
+
+    // スキャン履歴の復元
+    try {
+        const store = new SessionStore();
+        await store.open();
+        // 前回の連続読み取りで取得中のまま残った記録は、未取得に戻して後で取得し直す
+        await store.resetLoadingEntries();
+        // 蔵書点検（スキャン履歴が変わるたびに所蔵リストと照合し直す）
+        const stocktake = new StocktakePanel('stocktake', store);
+        stocktake.init();
+        // シリーズ（スキャン履歴が変わるたびにまとめ直し、欠巻・重複を表示する）
+        const series = new SeriesPanel('series');
+        series.init();
+
+        history = new SessionHistoryPanel('history', store, {
+            onSelect: (entry) => book1.showResult(entry),
+            onEdit: (entry, values) => buildEntryChanges(store, entry, values),
+            // 編集で書籍情報の取得を終えた記録は送信し、送信済みの記録は変更として送り直す（ISBNを変えて未取得になった記録は、再取得を終えてから送る）
+            onUpdate: async (entry) => {
+                if (queue) await queue.notify();
+                if (outbox) await outbox.enqueue(entry, { update: true });
+            },
+            onChange: async (entries) => {
+                series.update(entries);
+                await stocktake.update(entries);
+                // 記録を削除すると送信待ちも削除されるため、送信状態を表示し直す
+                if (outbox) outbox.notify();
+            }
+        });
+        await history.init();
+
+        const entries = history.entries;
+        if (entries.length) {
+            book1.showResult(entries[entries.length - 1]);
+        }
+
+        // 取得結果のキャッシュと、オフライン時に未取得の記録の再取得
+        const cache = new LookupCache();
+        await cache.open();
+        providerRegistry.setCache(cache);
+
+        let statusBar = null;
+        // 書籍情報の取得を終えた記録のWebhookでの送信（送信先が未設定なら送信待ちに入れない）
+        outbox = new WebhookOutbox({
+            onChange: async () => {
+                history.setSyncStates(await outbox.getStates());
+                if (statusBar) statusBar.setWebhookCounts(await outbox.countByState());
+            }
+        });
+        await outbox.open();
+        history.setSyncStates(await outbox.getStates());
+
+        queue = new PendingLookupQueue(store, (isbn) => lookupSources(isbn), {
+            onChange: async (count) => {
+                if (statusBar) {
+                    statusBar.setPendingCount(count);
+                    await statusBar.refreshCacheInfo();
+                }
+                await history.refresh();
+            },
+            // 未取得に戻るのは未送信の記録か、ISBNを編集した記録だけなので、送信済みなら変更として送る
+            onComplete: (entry) => outbox.enqueue(entry, { update: true })
+        });
+        statusBar = new NetworkStatusBar('network-status', { queue, cache, outbox });
+        await statusBar.init();
+        queue.start();
+        outbox.start();
+    } catch (error) {
+        console.error('スキャン履歴の初期化エラー:', error);
+    }
 });
@@ -0,0 +1,360 @@
+// バーコード文字列の解析
+
+import { APP_CONFIG } from './config.js';
+
+/**
+ * バーコード文字列の解析を行うクラス
+ */
+export class BarcodeParser {
+    /**
+     * 全角英数字を半角に変換し、前後の空白を削除する
+     * ISBN-10のチェックデジット「X」や全角ハイフンも半角にそろえる
+     * @param {string} input 
+     * @returns {string}
+     */
+    static normalizeInput(input) {
+        if (!input) return '';
+        return input
+            .replace(/[０-９Ａ-Ｚａ-ｚ]/g, (s) => String.fromCharCode(s.charCodeAt(0) - 0xFEE0))
+            .replace(/x$/, 'X')
+            .replace(/[－‐―ー]/g, '-')
+            .trim();
+    }
+
+    /**
+     * EAN-13（ISBN-13・書籍JANコード第2段）のチェックデジットを計算する（モジュラス10 ウェイト1・3）
+     * @param {string} digits 先頭12桁
+     * @returns {string}
+     */
+    static computeEAN13CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < 12; i++) {
+            sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+        }
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    /**
+     * ISBN-10のチェックデジットを計算する（モジュラス11 ウェイト10〜2）
+     * @param {string} digits 先頭9桁
+     * @returns {string} 0〜9 または X
+     */
+    static computeISBN10CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < 9; i++) {
+            sum += Number(digits[i]) * (10 - i);
+        }
+        const check = (11 - (sum % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+
+    /**
+     * 979-0 はISMN（楽譜）に割り当てられているため、ISBNとしては扱わない
+     * @param {string} isbn 13桁（ハイフンなし）
+     * @returns {boolean}
+     */
+    static isValidISBN13(isbn) {
+        return /^(978\d|979[1-9])\d{9}$/.test(isbn)
+            && this.computeEAN13CheckDigit(isbn) === isbn[12];
+    }
+
+    /**
+     * @param {string} isbn 10桁（ハイフンなし、末尾はXも可）
+     * @returns {boolean}
+     */
+    static isValidISBN10(isbn) {
+        return /^\d{9}[\dX]$/.test(isbn)
+            && this.computeISBN10CheckDigit(isbn) === isbn[9];
+    }
+
+    /**
+     * ISBN-10を978から始まるISBN-13に変換する
+     * @param {string} isbn10 10桁（ハイフンなし）
+     * @returns {string}
+     */
+    static isbn10To13(isbn10) {
+        const body = `978${isbn10.substring(0, 9)}`;
+        return body + this.computeEAN13CheckDigit(body);
+    }
+
+    /**
+     * 入力文字列からISBNを抽出する
+     * ISBN-10が入力された場合はISBN-13に変換して返す
+     * @param {string} input 
+     * @returns {string|null} 13桁のISBN（ハイフンなし）。ISBNらしい文字列がなければnull
+     * @throws {Error} チェックデジットが一致しない場合
+     */
+    static extractISBN(input) {
+        const cleaned = this.normalizeInput(input);
+
+        let candidate = null;
+
+        // パターン1: 13桁のISBN（978または979で始まる。979-0 はISMN）
+        if (/^(978\d|979[1-9])\d{9}$/.test(cleaned)) {
+            candidate = cleaned;
+        }
+
+        // パターン2: 旧規格のISBN-10（例: 4-10-100101-X, ISBN4101001014）
+        if (!candidate) {
+            const isbn10Match = cleaned.toUpperCase().match(/^(?:ISBN)?[:\s]*((?:\d[-\s]?){9}[\dX])$/);
+            if (isbn10Match) {
+                const isbn10 = isbn10Match[1].replace(/[-\s]/g, '');
+                if (!this.isValidISBN10(isbn10)) {
+                    throw new Error(`ISBN-10のチェックデジットが正しくありません（${isbn10}: 正しくは ${this.computeISBN10CheckDigit(isbn10)}）`);
+                }
+                return this.isbn10To13(isbn10);
+            }
+        }
+
+        // パターン3: ハイフン区切りのISBN（例: 978-4-10-100101-2）
+        if (!candidate) {
+            const isbnMatch = cleaned.match(/(978|979(?![-\s]?0))(?:[-\s]?\d){10}/);
+            if (isbnMatch) {
+                candidate = isbnMatch[0].replace(/[-\s]/g, '');
+            }
+        }
+
+        if (!candidate) {
+            return null;
+        }
+
+        if (!this.isValidISBN13(candidate)) {
+            throw new Error(`ISBNのチェックデジットが正しくありません（${candidate}: 正しくは ${this.computeEAN13CheckDigit(candidate)}）`);
+        }
+        return candidate;
+    }
+
+    /**
+     * 入力文字列からCコードを抽出する
+     * @param {string} input 
+     * @returns {string|null} 4桁のCコード
+     */
+    static extractCCode(input) {
+        const cleaned = this.normalizeInput(input);
+
+        // パターン1: JANコードとCコードがハイフン区切り（例: 9784101001012-0091）
+        const hyphenMatch = cleaned.match(/^(\d{13})[-\s](\d{4})$/);
+        if (hyphenMatch) {
+            return hyphenMatch[2];
+        }
+
+        // パターン2: JANコードにCプレフィックス付きCコード（例: 9784101001012C0091）
+        const cPrefixMatch = cleaned.match(/^(\d{13})C*(\d{4})$/);
+        if (cPrefixMatch) {
+            return cPrefixMatch[2];
+        }
+
+        // パターン3: 純粋なCコード（4桁）
+        if (/^\d{4}$/.test(cleaned)) {
+            return cleaned;
+        }
+
+        // パターン4: Cプレフィックス付きの純粋なCコード
+        const pureCMatch = cleaned.match(/^C*(\d{4})$/);
+        if (pureCMatch) {
+            return pureCMatch[1];
+        }
+
+        // パターン5: チェックデジット付きCコード（5桁）
+        if (/^\d{5}$/.test(cleaned)) {
+            return cleaned.substring(0, 4);
+        }
+
+        // パターン6: 書籍JANコード第2段（192で始まる）
+        // 例: 1920093005807 -> 0093 (Cコード)
+        const secondTier = this.parseSecondTierCode(cleaned);
+        if (secondTier) {
+            return secondTier.ccode;
+        }
+
+        return null;
+    }
+
+    /**
+     * 1回分のスキャン結果が、書籍のどちらの段のコードかを判定する
+     * - isbn: 上段（ISBN）
+     * - second-tier: 下段（192から始まる書籍JANコード第2段）
+     * - ccode: Cコードのみ（4桁など）
+     * - combined: ISBNとCコードを1つにまとめた文字列（例: 9784101001012C0091）
+     * - magazine / ismn / ean: 書籍以外のコード（parseProductCode を参照）。上段・下段の組み合わせはない
+     * - location: 棚のバーコード（parseLocationCode を参照）。location に棚の名前が入る
+     * @param {string} input
+     * @returns {{type: string, isbn: string|null, ccode: string|null, code: string, location?: string}|null} 判定できなければnull
+     * @throws {Error} チェックデジットや桁数が正しくない場合
+     */
+    static classify(input) {
+        const cleaned = this.normalizeInput(input);
+        if (!cleaned) return null;
+
+        const location = this.parseLocationCode(input);
+        if (location) {
+            return { type: 'location', isbn: null, ccode: null, code: location.code, location: location.location };
+        }
+
+        const secondTier = this.parseSecondTierCode(cleaned);
+        if (secondTier) {
+            return { type: 'second-tier', isbn: null, ccode: secondTier.ccode, code: secondTier.code };
+        }
+
+        const product = this.parseProductCode(cleaned);
+        if (product) {
+            return { type: product.type, isbn: null, ccode: null, code: cleaned };
+        }
+
+        const isbn = this.extractISBN(cleaned);
+        const ccode = this.extractCCode(cleaned);
+        if (isbn && ccode) {
+            return { type: 'combined', isbn, ccode, code: cleaned };
+        }
+        if (isbn) {
+            return { type: 'isbn', isbn, ccode: null, code: isbn };
+        }
+        if (ccode) {
+            return { type: 'ccode', isbn: null, ccode, code: cleaned };
+        }
+        return null;
+    }
+
+    /**
+     * 書籍JANコード第2段（192 + Cコード4桁 + 本体価格5桁 + チェックデジット）を解析する
+     * 例: 1920093005807 -> { ccode: '0093', price: 580 }
+     * @param {string} input 
+     * @returns {{code: string, ccode: string, price: number}|null} 第2段のコードでなければnull
+     * @throws {Error} 桁数またはチェックデジットが正しくない場合
+     */
+    static parseSecondTierCode(input) {
+        const cleaned = this.normalizeInput(input).replace(/[-\s]/g, '');
+
+        if (!/^192\d{3,}$/.test(cleaned)) {
+            return null;
+        }
+        if (cleaned.length !== 13) {
+            throw new Error(`書籍JANコード第2段の桁数が正しくありません（${cleaned}: ${cleaned.length}桁）`);
+        }
+        const checkDigit = this.computeEAN13CheckDigit(cleaned);
+        if (checkDigit !== cleaned[12]) {
+            throw new Error(`書籍JANコード第2段のチェックデジットが正しくありません（${cleaned}: 正しくは ${checkDigit}）`);
+        }
+
+        return {
+            code: cleaned,
+            ccode: cleaned.substring(3, 7),
+            price: Number(cleaned.substring(7, 12))
+        };
+    }
+
+    /**
+     * 雑誌JANコード（定期刊行物コード）を解析する
+     * 491 + 予備1桁 + 雑誌コード5桁 + 月号2桁 + 年号1桁（西暦の末尾）+ チェックデジット。
+     * 価格のアドオンコード（予備1桁 + 価格4桁）は、続けて（空白・ハイフン区切りも可）読み取った場合に解析する。
+     * 例: 491012345054600580 -> { magazineCode: '12345', issue: '05', yearDigit: '4', price: 580 }
+     * @param {string} input
+     * @returns {{type: 'magazine', code: string, addOn: string|null, magazineCode: string, issue: string, yearDigit: string, price: number|null}|null}
+     *          雑誌JANコードでなければnull
+     * @throws {Error} 桁数またはチェックデジットが正しくない場合
+     */
+    static parseMagazineCode(input) {
+        const cleaned = this.normalizeInput(input).replace(/[-\s]/g, '');
+
+        if (!/^491\d{3,}$/.test(cleaned)) {
+            return null;
+        }
+        if (cleaned.length !== 13 && cleaned.length !== 18) {
+            throw new Error(`雑誌JANコードの桁数が正しくありません（${cleaned}: ${cleaned.length}桁。アドオンを含めて13桁または18桁）`);
+        }
+        const code = cleaned.substring(0, 13);
+        const checkDigit = this.computeEAN13CheckDigit(code);
+        if (checkDigit !== code[12]) {
+            throw new Error(`雑誌JANコードのチェックデジットが正しくありません（${code}: 正しくは ${checkDigit}）`);
+        }
+
+        const addOn = cleaned.length === 18 ? cleaned.substring(13) : null;
+        return {
+            type: 'magazine',
+            code,
+            addOn,
+            magazineCode: code.substring(4, 9),
+            issue: code.substring(9, 11),
+            yearDigit: code[11],
+            price: addOn ? Number(addOn.substring(1)) : null
+        };
+    }
+
+    /**
+     * ISMN（楽譜の国際標準番号）を解析する
+     * 979-0 から始まる13桁と、旧規格の10桁（M + 9桁）に対応し、13桁にそろえて返す。
+     * 旧規格のチェックデジットは、M を 979-0 に置き換えた13桁のものと同じになる。
+     * @param {string} input
+     * @returns {{type: 'ismn', code: string}|null} ISMNでなければnull
+     * @throws {Error} チェックデジットが正しくない場合
+     */
+    static parseISMN(input) {
+        const cleaned = this.normalizeInput(input).toUpperCase().replace(/^ISMN[:\s]*/, '').replace(/[-\s]/g, '');
+
+        let code = null;
+        if (/^9790\d{9}$/.test(cleaned)) {
+            code = cleaned;
+        } else if (/^M\d{9}$/.test(cleaned)) {
+            code = `9790${cleaned.substring(1)}`;
+        }
+        if (!code) {
+            return null;
+        }
+
+        const checkDigit = this.computeEAN13CheckDigit(code);
+        if (checkDigit !== code[12]) {
+            throw new Error(`ISMNのチェックデジットが正しくありません（${cleaned}: 正しくは ${checkDigit}）`);
+        }
+        return { type: 'ismn', code };
+    }
+
+    /**
+     * 書籍以外のバーコード（雑誌JANコード、ISMN、一般の商品のJANコード）を解析する
+     * ISBN・書籍JANコード第2段は対象外（extractISBN・parseSecondTierCode を使う）
+     * @param {string} input
+     * @returns {{type: string, code: string}|null} type は 'magazine' / 'ismn' / 'ean'。該当しなければnull
+     * @throws {Error} チェックデジットや桁数が正しくない場合
+     */
+    static parseProductCode(input) {
+        const cleaned = this.normalizeInput(input);
+
+        const product = this.parseMagazineCode(cleaned) || this.parseISMN(cleaned);
+        if (product) {
+            return product;
+        }
+
+        // 一般の商品のJANコード（EAN-13）。ISBN（978・979）と書籍JANコード第2段（192）を除く
+        if (/^\d{13}$/.test(cleaned) && !/^(978|979|192)/.test(cleaned)) {
+            const checkDigit = this.computeEAN13CheckDigit(cleaned);
+            if (checkDigit !== cleaned[12]) {
+                throw new Error(`JANコードのチェックデジットが正しくありません（${cleaned}: 正しくは ${checkDigit}）`);
+            }
+            return { type: 'ean', code: cleaned };
+        }
+        return null;
+    }
+
+    /**
+     * 棚のバーコード（接頭記号 + 棚の名前）を解析する
+     * 例: 接頭記号が LOC のとき、「LOC-A-01」「LOC:A-01」「loc A-01」 -> { location: 'A-01' }
+     * 棚の名前には日本語も使えるため、normalizeInput（長音記号をハイフンにする）は通さない
+     * @param {string} input
+     * @param {string} [prefix] 省略すると設定の接頭記号（APP_CONFIG.input.locationPrefix）。空なら解析しない
+     * @returns {{type: 'location', code: string, location: string}|null} 棚のバーコードでなければnull
+     * @throws {Error} 接頭記号の後に棚の名前がない場合
+     */
+    static parseLocationCode(input, prefix = APP_CONFIG.input.locationPrefix) {
+        const code = String(input || '').normalize('NFKC').trim();
+        const normalizedPrefix = String(prefix || '').normalize('NFKC').trim();
+        if (!normalizedPrefix || !code.toUpperCase().startsWith(normalizedPrefix.toUpperCase())) {
+            return null;
+        }
+
+        // 接頭記号と棚の名前の間の区切り（ハイフン・コロン・空白）は除く
+        const location = code.substring(normalizedPrefix.length).replace(/^[-:\s]+/, '').replace(/\s+/g, ' ');
+        if (!location) {
+            throw new Error(`棚のバーコードに棚の名前がありません（${code}）`);
+        }
+        return { type: 'location', code, location };
+    }
+}
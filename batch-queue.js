@@ -0,0 +1,339 @@
+// 連続読み取り（読み取った書籍を一覧に追加し、書籍情報を並行して取得する）
+
+import { APP_CONFIG } from './config.js';
+import { formatISBN } from './isbn-ranges.js';
+import { formatProductCode } from './product-codes.js';
+import { formatPrice } from './price.js';
+import { getMergedValues } from './reconcile.js';
+import { describeLocation, isMisplaced } from './location.js';
+
+// 連続読み取りの有効・無効を保存するlocalStorageのキー
+const BATCH_MODE_KEY = 'bookReader.batchMode';
+
+/** 一覧の各行の状態の表示名 */
+export const BATCH_STATE_LABELS = {
+    queued: '待機中',
+    loading: '取得中',
+    done: '完了',
+    pending: '未取得（オフライン）',
+    error: 'エラー'
+};
+
+/**
+ * 連続読み取りの一覧を管理するクラス
+ *
+ * 読み取った書籍は1冊ずつカードとして一覧の先頭に追加し、すぐに履歴へ保存する。
+ * 書籍情報の取得は最大 concurrency 件まで並行して行い、その間も読み取りを続けられる。
+ * 各カードは取得状態を表示し、個別に再取得・削除できる。
+ */
+export class BatchQueue {
+    /**
+     * @param {string} rootId
+     * @param {Object} options
+     * @param {(record: Object, onUpdate: () => void) => Promise<void>} options.lookup 記録の書籍情報を取得して記録に反映する
+     * @param {(record: Object) => Promise<Object|null>} options.onSave 記録を保存し、保存後の記録を返す
+     * @param {(record: Object) => Promise<void>} options.onUpdate 取得結果を保存する
+     * @param {(record: Object) => Promise<void>} options.onRemove 記録を削除する
+     * @param {(record: Object) => void} [options.onSelect] カードがクリックされたとき
+     * @param {number} [options.concurrency] 同時に取得する件数
+     */
+    constructor(rootId, options) {
+        this.root = document.getElementById(rootId);
+        this.lookup = options.lookup;
+        this.onSave = options.onSave;
+        this.onUpdate = options.onUpdate;
+        this.onRemove = options.onRemove;
+        this.onSelect = options.onSelect || null;
+        this.concurrency = options.concurrency || APP_CONFIG.batch.concurrency;
+
+        this.items = [];
+        this.running = 0;
+        this.enabled = false;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            toggle: this.root.querySelector('.batch-mode-toggle'),
+            body: this.root.querySelector('.batch-body'),
+            summary: this.root.querySelector('.batch-summary'),
+            clearDoneBtn: this.root.querySelector('.batch-clear-done-btn'),
+            list: this.root.querySelector('.batch-list'),
+            emptyMessage: this.root.querySelector('.batch-empty')
+        };
+    }
+
+    init() {
+        this.elements.toggle.checked = localStorage.getItem(BATCH_MODE_KEY) === 'on';
+        this.elements.toggle.addEventListener('change', () => {
+            this.setEnabled(this.elements.toggle.checked);
+        });
+        this.elements.clearDoneBtn.addEventListener('click', () => {
+            this.items = this.items.filter((item) => item.state !== 'done');
+            this.render();
+        });
+        this.setEnabled(this.elements.toggle.checked);
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(BATCH_MODE_KEY, enabled ? 'on' : 'off');
+        this.elements.body.classList.toggle('hidden', !enabled);
+        this.render();
+    }
+
+    /**
+     * 読み取った書籍を一覧に追加し、書籍情報の取得を予約する
+     * @param {Object} record { isbn, ccode, parsedCCode, price, sources, sourceStatus }
+     */
+    async enqueue(record) {
+        const item = {
+            record,
+            state: record.isbn ? 'queued' : 'done',
+            error: null,
+            removed: false,
+            saving: false
+        };
+        // 取得中として保存し、未取得の記録の再取得（lookup-queue.js）と重ねて取得しないようにする
+        // 取得を終えられなかった場合（タブを閉じた場合など）は、次に開いたときに未取得に戻る
+        if (record.isbn) {
+            record.lookupState = 'loading';
+        }
+        this.items.unshift(item);
+        this.render();
+
+        await this.save(item);
+        this.render();
+        this.pump();
+    }
+
+    /**
+     * 記録を履歴に保存する（保存できなかった場合は item を error にする）
+     * @param {Object} item
+     * @returns {Promise<boolean>} 保存できたか
+     */
+    async save(item) {
+        const { record } = item;
+        try {
+            const saved = await this.onSave(record);
+            if (saved) {
+                Object.assign(record, { id: saved.id, scannedAt: saved.scannedAt });
+                // 保存中に削除された場合は、保存した記録も削除する
+                if (item.removed) await this.onRemove(record);
+            }
+            return true;
+        } catch (error) {
+            console.error('連続読み取りの保存エラー:', error);
+            item.state = 'error';
+            item.error = '履歴に保存できませんでした';
+            return false;
+        }
+    }
+
+    /**
+     * 空きがあれば、待機中の書籍情報の取得を古い順に始める
+     */
+    pump() {
+        while (this.running < this.concurrency) {
+            const item = this.items.slice().reverse().find((i) => i.state === 'queued');
+            if (!item) return;
+            this.run(item);
+        }
+    }
+
+    /**
+     * @param {Object} item
+     */
+    async run(item) {
+        this.running++;
+        item.state = 'loading';
+        item.error = null;
+        this.render();
+
+        const { record } = item;
+        try {
+            // 未取得として保存済みの記録（再試行）は、取得中に戻してから取得する
+            if (record.id && record.lookupState !== 'loading') {
+                record.lookupState = 'loading';
+                await this.onUpdate(record);
+            }
+            await this.lookup(record, () => this.renderItem(item));
+            if (item.removed) return;
+
+            if (record.lookupState === 'pending') {
+                item.state = navigator.onLine ? 'error' : 'pending';
+                item.error = navigator.onLine ? 'すべての取得元で取得できませんでした' : null;
+            } else {
+                item.state = 'done';
+            }
+            if (record.id) await this.onUpdate(record);
+        } catch (error) {
+            console.error('連続読み取りの取得エラー:', error);
+            item.state = 'error';
+            item.error = error.message;
+            // 取得中のまま残さず、未取得の記録として後で取得し直す
+            record.lookupState = 'pending';
+            if (record.id && !item.removed) {
+                try {
+                    await this.onUpdate(record);
+                } catch (updateError) {
+                    console.error('連続読み取りの保存エラー:', updateError);
+                }
+            }
+        } finally {
+            this.running--;
+            if (!item.removed) this.render();
+            this.pump();
+        }
+    }
+
+    /**
+     * @param {Object} item
+     */
+    async retry(item) {
+        if (item.state === 'loading' || item.state === 'queued' || item.saving) return;
+        // 履歴に保存できなかった記録は、保存からやり直す（保存できたら書籍情報を取得する）
+        if (!item.record.id) {
+            item.saving = true;
+            item.error = null;
+            this.render();
+            const saved = await this.save(item);
+            item.saving = false;
+            if (!saved) {
+                this.render();
+                return;
+            }
+        }
+        item.state = item.record.isbn ? 'queued' : 'done';
+        this.render();
+        this.pump();
+    }
+
+    /**
+     * 一覧と履歴から削除する（読み取りの取り消し）
+     * @param {Object} item
+     */
+    async remove(item) {
+        item.removed = true;
+        this.items = this.items.filter((i) => i !== item);
+        this.render();
+        if (item.record.id) {
+            try {
+                await this.onRemove(item.record);
+            } catch (error) {
+                console.error('連続読み取りの削除エラー:', error);
+            }
+        }
+    }
+
+    render() {
+        if (!this.elements) return;
+        const { list } = this.elements;
+        list.textContent = '';
+        for (const item of this.items) {
+            item.element = this.createCard(item);
+            list.appendChild(item.element);
+        }
+        this.renderSummary();
+        this.elements.emptyMessage.classList.toggle('hidden', this.items.length > 0);
+    }
+
+    /**
+     * 1件分のカードだけを描き直す（取得元が応答するたびに呼ばれる）
+     * @param {Object} item
+     */
+    renderItem(item) {
+        if (!item.element || item.removed) return;
+        const card = this.createCard(item);
+        item.element.replaceWith(card);
+        item.element = card;
+    }
+
+    renderSummary() {
+        const counts = {};
+        for (const item of this.items) {
+            counts[item.state] = (counts[item.state] || 0) + 1;
+        }
+        const parts = Object.keys(BATCH_STATE_LABELS)
+            .filter((state) => counts[state])
+            .map((state) => `${BATCH_STATE_LABELS[state]} ${counts[state]}`);
+        this.elements.summary.textContent = `${this.items.length} 件${parts.length ? `（${parts.join('・')}）` : ''}`;
+        this.elements.clearDoneBtn.disabled = !counts.done;
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    createCard(item) {
+        const { record } = item;
+        const merged = getMergedValues(record);
+
+        const card = document.createElement('div');
+        card.className = `batch-card state-${item.state}`;
+
+        const header = document.createElement('div');
+        header.className = 'batch-card-header';
+        const code = document.createElement('span');
+        code.className = 'batch-card-isbn';
+        code.textContent = record.isbn ? formatISBN(record.isbn) : (record.product ? formatProductCode(record.product) : '(ISBNなし)');
+        const badge = document.createElement('span');
+        badge.className = `batch-state state-${item.state}`;
+        badge.textContent = BATCH_STATE_LABELS[item.state];
+        header.append(code, badge);
+
+        const title = document.createElement('div');
+        title.className = 'batch-card-title';
+        title.textContent = merged.title || (item.state === 'loading' || item.state === 'queued' ? '…' : '（書籍名不明）');
+
+        const detail = document.createElement('div');
+        detail.className = 'batch-card-detail';
+        detail.textContent = [
+            merged.authors,
+            merged.publisher,
+            record.ccode ? `C${record.ccode}` : null,
+            record.price != null ? formatPrice(record.price) : null,
+            record.location ? `棚 ${describeLocation(record)}` : null
+        ].filter(Boolean).join(' / ');
+        detail.classList.toggle('misplaced', isMisplaced(record));
+
+        card.append(header, title, detail);
+
+        if (item.error) {
+            const error = document.createElement('div');
+            error.className = 'batch-card-error';
+            error.textContent = item.error;
+            card.appendChild(error);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'batch-card-actions';
+        if (item.state === 'error' || item.state === 'pending') {
+            actions.appendChild(this.createButton('再試行', 'batch-retry-btn', () => this.retry(item)));
+        }
+        actions.appendChild(this.createButton('削除', 'batch-remove-btn', () => this.remove(item)));
+        card.appendChild(actions);
+
+        card.addEventListener('click', () => {
+            if (this.onSelect) this.onSelect(item.record);
+        });
+        return card;
+    }
+
+    createButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+}
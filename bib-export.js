@@ -0,0 +1,415 @@
+// 書誌データ形式（MARCXML / Dublin Core / BibTeX / RIS）での出力
+
+import { parseNDC } from './ndc-data.js';
+import { parseCCode } from './ccode-data.js';
+import { getMergedValues, splitAuthors } from './reconcile.js';
+
+/** 書誌データ形式ごとの表示名・拡張子・MIMEタイプ（suffix はファイル名の末尾に付ける） */
+export const BIB_FORMATS = {
+    marcxml: { label: 'MARCXML', extension: 'xml', suffix: '_marc', mimeType: 'application/marcxml+xml;charset=utf-8' },
+    dc: { label: 'Dublin Core', extension: 'xml', suffix: '_dc', mimeType: 'application/xml;charset=utf-8' },
+    bibtex: { label: 'BibTeX', extension: 'bib', suffix: '', mimeType: 'application/x-bibtex;charset=utf-8' },
+    ris: { label: 'RIS', extension: 'ris', suffix: '', mimeType: 'application/x-research-info-systems;charset=utf-8' }
+};
+
+/**
+ * 記録から書誌データの項目を取り出す
+ * @param {Object} entry スキャン記録（sources, selections を含む）
+ * @returns {{isbn: string|null, title: string|null, subtitle: string|null, volume: string|null, authors: string[],
+ *            publisher: string|null, publishedDate: string|null, pages: string|null, description: string|null,
+ *            ndc: string[], ccode: string|null, ccodeLabel: string|null, price: number|null}}
+ *          price はバーコードの価格、なければ取得元の価格
+ */
+export function toBibRecord(entry) {
+    const merged = getMergedValues(entry);
+    const parsed = entry.ccode ? parseCCode(entry.ccode) : null;
+    return {
+        isbn: entry.isbn || null,
+        title: merged.title,
+        subtitle: merged.subtitle,
+        volume: merged.volume,
+        // 生没年（「1867-1916」など）は著者名として扱わない
+        authors: splitAuthors(merged.authors).filter((name) => !/^\d{4}-?(\d{4})?$/.test(name)),
+        publisher: merged.publisher,
+        publishedDate: merged.publishedDate,
+        pages: merged.pages,
+        description: merged.description,
+        ndc: parseNDC(merged.ndc).filter((e) => e.valid).map((e) => e.code),
+        ccode: entry.ccode || null,
+        ccodeLabel: parsed ? `${parsed.target}・${parsed.format}・${parsed.content}` : null,
+        price: entry.price != null ? entry.price : (merged.listPrice ? Number(merged.listPrice) : null)
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 書名とサブタイトルを「書名 : サブタイトル」の形にする
+function fullTitle(record) {
+    return [record.title, record.subtitle].filter(Boolean).join(' : ');
+}
+
+// ---- MARCXML ----
+
+/**
+ * MARC21のデータフィールドを作る（値のないサブフィールドは省き、すべて空ならnull）
+ * @param {string} tag
+ * @param {string} ind1
+ * @param {string} ind2
+ * @param {[string, string|null][]} subfields
+ * @returns {string|null}
+ */
+function marcDataField(tag, ind1, ind2, subfields) {
+    const present = subfields.filter(([, value]) => value);
+    if (!present.length) return null;
+    const lines = present.map(([code, value]) => `      <subfield code="${code}">${escapeXml(value)}</subfield>`);
+    return [`    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">`, ...lines, '    </datafield>'].join('\n');
+}
+
+function marcRecord(record) {
+    const [mainAuthor, ...otherAuthors] = record.authors;
+    const fields = [
+        marcDataField('020', ' ', ' ', [['a', record.isbn], ['c', record.price != null ? `JPY${record.price}` : null]]),
+        ...record.ndc.map((code) => marcDataField('084', ' ', ' ', [['a', code], ['2', 'njb']])),
+        marcDataField('100', '1', ' ', [['a', mainAuthor]]),
+        marcDataField('245', mainAuthor ? '1' : '0', '0', [['a', record.title], ['b', record.subtitle], ['n', record.volume]]),
+        marcDataField('264', ' ', '1', [['b', record.publisher], ['c', record.publishedDate]]),
+        marcDataField('300', ' ', ' ', [['a', record.pages ? `${record.pages} p.` : null]]),
+        marcDataField('500', ' ', ' ', [['a', record.ccode ? `Cコード: ${record.ccode}（${record.ccodeLabel}）` : null]]),
+        marcDataField('520', ' ', ' ', [['a', record.description]]),
+        ...otherAuthors.map((name) => marcDataField('700', '1', ' ', [['a', name]]))
+    ].filter(Boolean);
+
+    return [
+        '  <record>',
+        '    <leader>00000nam a2200000 i 4500</leader>',
+        ...fields,
+        '  </record>'
+    ].join('\n');
+}
+
+// ---- Dublin Core ----
+
+function dcRecord(record) {
+    const elements = [
+        ['title', fullTitle(record) || null],
+        ...record.authors.map((name) => ['creator', name]),
+        ['publisher', record.publisher],
+        ['date', record.publishedDate],
+        ['identifier', record.isbn ? `urn:isbn:${record.isbn}` : null],
+        ...record.ndc.map((code) => ['subject', `NDC ${code}`]),
+        ['description', record.volume ? `巻次: ${record.volume}` : null],
+        ['description', record.ccode ? `Cコード: ${record.ccode}（${record.ccodeLabel}）` : null],
+        ['description', record.description],
+        ['format', record.pages ? `${record.pages}p` : null],
+        ['type', 'Text']
+    ].filter(([, value]) => value);
+
+    return [
+        '  <oai_dc:dc>',
+        ...elements.map(([name, value]) => `    <dc:${name}>${escapeXml(value)}</dc:${name}>`),
+        '  </oai_dc:dc>'
+    ].join('\n');
+}
+
+// ---- BibTeX ----
+
+// BibTeXの値として使えるよう、LaTeXの特殊文字をエスケープする
+function escapeBibtex(value) {
+    return String(value)
+        .replace(/\\/g, '\\textbackslash ')
+        .replace(/([{}&%$#_])/g, '\\$1')
+        .replace(/~/g, '\\textasciitilde ')
+        .replace(/\^/g, '\\textasciicircum ');
+}
+
+function bibtexRecord(record, index) {
+    const key = record.isbn ? `isbn${record.isbn}` : `book${index + 1}`;
+    const note = [
+        record.ndc.length ? `NDC ${record.ndc.join(', ')}` : null,
+        record.ccode ? `Cコード ${record.ccode}` : null
+    ].filter(Boolean).join('; ');
+    const fields = [
+        ['title', fullTitle(record) || null],
+        ['author', record.authors.length ? record.authors.join(' and ') : null],
+        ['publisher', record.publisher],
+        ['year', record.publishedDate ? record.publishedDate.substring(0, 4) : null],
+        ['volume', record.volume],
+        ['pages', record.pages],
+        ['isbn', record.isbn],
+        ['abstract', record.description],
+        ['note', note || null]
+    ].filter(([, value]) => value);
+
+    return [
+        `@book{${key},`,
+        ...fields.map(([name, value]) => `  ${name} = {${escapeBibtex(value)}},`),
+        '}'
+    ].join('\n');
+}
+
+// ---- RIS ----
+
+function risRecord(record) {
+    const tags = [
+        ['TY', 'BOOK'],
+        ['TI', fullTitle(record) || null],
+        ...record.authors.map((name) => ['AU', name]),
+        ['PB', record.publisher],
+        ['PY', record.publishedDate ? record.publishedDate.substring(0, 4) : null],
+        ['DA', record.publishedDate ? record.publishedDate.replace(/-/g, '/') : null],
+        ['VL', record.volume],
+        ['SP', record.pages],
+        ['SN', record.isbn],
+        ['AB', record.description],
+        ...record.ndc.map((code) => ['KW', `NDC ${code}`]),
+        ['N1', record.ccode ? `Cコード: ${record.ccode}（${record.ccodeLabel}）` : null]
+    ].filter(([, value]) => value);
+
+    // RISは1行1項目のため、値の中の改行は空白にする
+    return [...tags.map(([tag, value]) => `${tag}  - ${String(value).replace(/\s*[\r\n]+\s*/g, ' ')}`), 'ER  - '].join('\r\n');
+}
+
+/**
+ * 記録を書誌データ形式の文字列に変換する
+ * @param {Object[]} entries 1冊分の場合も配列で渡す
+ * @param {'marcxml'|'dc'|'bibtex'|'ris'} format
+ * @returns {string}
+ */
+export function serializeBibliographic(entries, format) {
+    const records = entries.map(toBibRecord);
+
+    if (format === 'marcxml') {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<collection xmlns="http://www.loc.gov/MARC21/slim">',
+            ...records.map(marcRecord),
+            '</collection>',
+            ''
+        ].join('\n');
+    }
+    if (format === 'dc') {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<records xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            ...records.map(dcRecord),
+            '</records>',
+            ''
+        ].join('\n');
+    }
+    if (format === 'bibtex') {
+        return `${records.map(bibtexRecord).join('\n\n')}\n`;
+    }
+    if (format === 'ris') {
+        return `${records.map(risRecord).join('\r\n\r\n')}\r\n`;
+    }
+    throw new Error(`未対応の書誌データ形式です: ${format}`);
+}
+
+// ---- 読み込み（書き出した書誌データを項目に戻す） ----
+
+function unescapeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+function unescapeBibtex(value) {
+    return value.replace(/\\textbackslash |\\textasciitilde |\\textasciicircum |\\([{}&%$#_])/g, (match, char) => {
+        if (char) return char;
+        return { '\\textbackslash ': '\\', '\\textasciitilde ': '~', '\\textasciicircum ': '^' }[match];
+    });
+}
+
+// 項目がすべて空の書誌データ（読み込んだ値を書き込む）
+function emptyBibRecord() {
+    return {
+        isbn: null, title: null, subtitle: null, volume: null, authors: [], publisher: null,
+        publishedDate: null, pages: null, description: null, ndc: [], ccode: null, price: null
+    };
+}
+
+// 「書名 : サブタイトル」を書名とサブタイトルに分ける
+function setFullTitle(record, value) {
+    const [title, ...rest] = value.split(' : ');
+    record.title = title || null;
+    record.subtitle = rest.length ? rest.join(' : ') : null;
+}
+
+// 「Cコード: 0193（…）」「Cコード 0193」からCコードを取り出す
+function findCCode(value) {
+    const match = /Cコード:? ?(\d{4})/.exec(value);
+    return match ? match[1] : null;
+}
+
+function parseMarcRecord(xml) {
+    const record = emptyBibRecord();
+    for (const [, tag, body] of xml.matchAll(/<datafield tag="(\d{3})"[^>]*>([\s\S]*?)<\/datafield>/g)) {
+        const subfields = {};
+        for (const [, code, value] of body.matchAll(/<subfield code="(.)">([\s\S]*?)<\/subfield>/g)) {
+            subfields[code] = unescapeXml(value);
+        }
+        if (tag === '020') {
+            record.isbn = subfields.a || null;
+            if (subfields.c) record.price = Number(subfields.c.replace(/^JPY/, ''));
+        } else if (tag === '084') {
+            record.ndc.push(subfields.a);
+        } else if (tag === '100' || tag === '700') {
+            record.authors.push(subfields.a);
+        } else if (tag === '245') {
+            record.title = subfields.a || null;
+            record.subtitle = subfields.b || null;
+            record.volume = subfields.n || null;
+        } else if (tag === '264') {
+            record.publisher = subfields.b || null;
+            record.publishedDate = subfields.c || null;
+        } else if (tag === '300') {
+            record.pages = subfields.a ? subfields.a.replace(/ p\.$/, '') : null;
+        } else if (tag === '500') {
+            record.ccode = findCCode(subfields.a || '');
+        } else if (tag === '520') {
+            record.description = subfields.a || null;
+        }
+    }
+    return record;
+}
+
+function parseDcRecord(xml) {
+    const record = emptyBibRecord();
+    for (const [, name, raw] of xml.matchAll(/<dc:(\w+)>([\s\S]*?)<\/dc:\1>/g)) {
+        const value = unescapeXml(raw);
+        if (name === 'title') {
+            setFullTitle(record, value);
+        } else if (name === 'creator') {
+            record.authors.push(value);
+        } else if (name === 'publisher') {
+            record.publisher = value;
+        } else if (name === 'date') {
+            record.publishedDate = value;
+        } else if (name === 'identifier' && value.startsWith('urn:isbn:')) {
+            record.isbn = value.substring('urn:isbn:'.length);
+        } else if (name === 'subject' && value.startsWith('NDC ')) {
+            record.ndc.push(value.substring(4));
+        } else if (name === 'description') {
+            if (value.startsWith('巻次: ')) {
+                record.volume = value.substring('巻次: '.length);
+            } else if (value.startsWith('Cコード: ')) {
+                record.ccode = findCCode(value);
+            } else {
+                record.description = value;
+            }
+        } else if (name === 'format') {
+            record.pages = value.replace(/p$/, '');
+        }
+    }
+    return record;
+}
+
+/**
+ * BibTeXの1件の項目を読み取る（値は {} で囲まれ、\{ \} はエスケープされた括弧）
+ * @param {string} body 「@book{キー,」の後から、対応する「}」の前まで
+ * @returns {Object<string, string>}
+ */
+function parseBibtexFields(body) {
+    const fields = {};
+    const pattern = /(\w+) = \{/g;
+    let match;
+    while ((match = pattern.exec(body))) {
+        let depth = 1;
+        let i = pattern.lastIndex;
+        for (; i < body.length && depth > 0; i++) {
+            if (body[i] === '\\') {
+                i++;
+            } else if (body[i] === '{') {
+                depth++;
+            } else if (body[i] === '}') {
+                depth--;
+            }
+        }
+        fields[match[1]] = unescapeBibtex(body.substring(pattern.lastIndex, i - 1));
+        pattern.lastIndex = i;
+    }
+    return fields;
+}
+
+function parseBibtexRecord(body) {
+    const fields = parseBibtexFields(body);
+    const record = emptyBibRecord();
+    if (fields.title) setFullTitle(record, fields.title);
+    record.authors = fields.author ? fields.author.split(' and ') : [];
+    record.publisher = fields.publisher || null;
+    record.publishedDate = fields.year || null;
+    record.volume = fields.volume || null;
+    record.pages = fields.pages || null;
+    record.isbn = fields.isbn || null;
+    record.description = fields.abstract || null;
+    for (const part of (fields.note || '').split('; ')) {
+        if (part.startsWith('NDC ')) record.ndc = part.substring(4).split(', ');
+        if (part.startsWith('Cコード')) record.ccode = findCCode(part);
+    }
+    return record;
+}
+
+function parseRisRecord(lines) {
+    const record = emptyBibRecord();
+    for (const [tag, value] of lines) {
+        if (tag === 'TI') setFullTitle(record, value);
+        if (tag === 'AU') record.authors.push(value);
+        if (tag === 'PB') record.publisher = value;
+        if (tag === 'DA') record.publishedDate = value.replace(/\//g, '-');
+        if (tag === 'PY' && !record.publishedDate) record.publishedDate = value;
+        if (tag === 'VL') record.volume = value;
+        if (tag === 'SP') record.pages = value;
+        if (tag === 'SN') record.isbn = value;
+        if (tag === 'AB') record.description = value;
+        if (tag === 'KW' && value.startsWith('NDC ')) record.ndc.push(value.substring(4));
+        if (tag === 'N1') record.ccode = findCCode(value);
+    }
+    return record;
+}
+
+/**
+ * serializeBibliographic で書き出した文字列を、書誌データの項目に戻す
+ *
+ * 書き出した内容の確認用で、他のシステムが作った書誌データの読み込みには対応しない。
+ * BibTeX では出版日は年だけ、MARCXML 以外では価格は戻らない（書き出していないため）。
+ *
+ * @param {string} text
+ * @param {'marcxml'|'dc'|'bibtex'|'ris'} format
+ * @returns {Object[]} toBibRecord と同じ形（ccodeLabel を除く）
+ */
+export function parseBibliographic(text, format) {
+    if (format === 'marcxml') {
+        return [...text.matchAll(/<record>([\s\S]*?)<\/record>/g)].map(([, xml]) => parseMarcRecord(xml));
+    }
+    if (format === 'dc') {
+        return [...text.matchAll(/<oai_dc:dc>([\s\S]*?)<\/oai_dc:dc>/g)].map(([, xml]) => parseDcRecord(xml));
+    }
+    if (format === 'bibtex') {
+        return text.split(/^@book\{[^,\n]*,\n/m).slice(1)
+            .map((body) => parseBibtexRecord(body.replace(/\}\s*$/, '')));
+    }
+    if (format === 'ris') {
+        const records = [];
+        let lines = [];
+        for (const line of text.split(/\r?\n/)) {
+            const match = /^([A-Z][A-Z0-9])  - ?(.*)$/.exec(line);
+            if (!match) continue;
+            if (match[1] === 'ER') {
+                records.push(parseRisRecord(lines));
+                lines = [];
+            } else {
+                lines.push([match[1], match[2]]);
+            }
+        }
+        return records;
+    }
+    throw new Error(`未対応の書誌データ形式です: ${format}`);
+}
@@ -0,0 +1,451 @@
+// スキャン記録のエクスポート・インポート（CSV / TSV / JSON）
+
+import { parseCCode } from './ccode-data.js';
+import { BarcodeParser } from './barcode-parser.js';
+import { MERGE_FIELDS, getMergedValues } from './reconcile.js';
+import { PROVIDERS } from './providers.js';
+import { normalizeLocation } from './location.js';
+
+/** 取得元ごとに出力する項目（統合の対象の項目と同じ） */
+const SOURCE_FIELDS = Object.keys(MERGE_FIELDS);
+
+/** 出力対象の取得元（キーは記録の sources のキー） */
+const SOURCES = Object.keys(PROVIDERS);
+
+/** CSV / TSV の列定義 */
+export const EXPORT_COLUMNS = [
+    'scannedAt',
+    'isbn',
+    'ccode',
+    'ccodeTarget',
+    'ccodeFormat',
+    'ccodeContent',
+    'price',
+    'productCode',
+    'location',
+    'previousLocation',
+    ...SOURCE_FIELDS.map((field) => `merged.${field}`),
+    ...SOURCES.flatMap((source) => SOURCE_FIELDS.map((field) => `${source}.${field}`)),
+    'selections',
+    'memo'
+];
+
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+    json: { extension: 'json', mimeType: 'application/json;charset=utf-8' }
+};
+
+const JSON_FORMAT_NAME = 'book-barcode-reader';
+const JSON_FORMAT_VERSION = 1;
+const BOM = '\uFEFF';
+
+/**
+ * 書籍以外のバーコードを、読み取ったときの形（雑誌はアドオンを含む）に戻す
+ * @param {Object|null} product
+ * @returns {string}
+ */
+function formatProductValue(product) {
+    return product ? `${product.code}${product.addOn || ''}` : '';
+}
+
+/**
+ * 記録を列名 → 値の平坦なオブジェクトに変換する
+ * @param {Object} entry
+ * @returns {Object<string, string>}
+ */
+function entryToRow(entry) {
+    const parsed = entry.parsedCCode || {};
+    const sources = entry.sources || {};
+    const row = {
+        scannedAt: entry.scannedAt || '',
+        isbn: entry.isbn || '',
+        ccode: entry.ccode || '',
+        ccodeTarget: parsed.target || '',
+        ccodeFormat: parsed.format || '',
+        ccodeContent: parsed.content || '',
+        price: entry.price != null ? String(entry.price) : '',
+        productCode: formatProductValue(entry.product),
+        location: entry.location || '',
+        previousLocation: entry.previousLocation || '',
+        selections: formatSelections(entry.selections),
+        memo: entry.memo || ''
+    };
+    const merged = getMergedValues(entry);
+    for (const field of SOURCE_FIELDS) {
+        row[`merged.${field}`] = merged[field] || '';
+    }
+    for (const source of SOURCES) {
+        const info = sources[source] || {};
+        for (const field of SOURCE_FIELDS) {
+            row[`${source}.${field}`] = info[field] || '';
+        }
+    }
+    return row;
+}
+
+// 採用元の選択を「title:ndl;authors:google」の形式にする
+function formatSelections(selections) {
+    return Object.entries(selections || {})
+        .map(([field, source]) => `${field}:${source}`)
+        .join(';');
+}
+
+// 「title:ndl;authors:google」の形式を採用元の選択に戻す
+function parseSelections(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+
+    const selections = {};
+    for (const part of String(value).split(';')) {
+        if (!part.trim()) continue;
+        const [field, source] = part.split(':').map((s) => s.trim());
+        if (!SOURCE_FIELDS.includes(field) || !SOURCES.includes(source)) {
+            throw new Error(`採用元の指定が正しくありません: ${part}`);
+        }
+        selections[field] = source;
+    }
+    return selections;
+}
+
+function escapeCsvValue(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeTsvValue(value) {
+    // TSVには引用符の規約がないため、区切り文字となる空白類は空白に置き換える
+    return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * 記録をJSONで出力する形（インポートで取り込める形）に変換する
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function toExportRecord(entry) {
+    return {
+        scannedAt: entry.scannedAt || null,
+        isbn: entry.isbn || null,
+        ccode: entry.ccode || null,
+        parsedCCode: entry.parsedCCode || null,
+        price: entry.price != null ? entry.price : null,
+        productCode: formatProductValue(entry.product) || null,
+        location: entry.location || null,
+        previousLocation: entry.previousLocation || null,
+        merged: getMergedValues(entry),
+        sources: entry.sources || {},
+        sourceStatus: entry.sourceStatus || {},
+        selections: entry.selections || {},
+        memo: entry.memo || ''
+    };
+}
+
+/**
+ * 記録を指定形式の文字列に変換する
+ * @param {Object[]} entries
+ * @param {'csv'|'tsv'|'json'} format
+ * @returns {string}
+ */
+export function serializeEntries(entries, format) {
+    if (format === 'json') {
+        const payload = {
+            format: JSON_FORMAT_NAME,
+            version: JSON_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: entries.map(toExportRecord)
+        };
+        return JSON.stringify(payload, null, 2);
+    }
+
+    return serializeTable(EXPORT_COLUMNS, entries.map(entryToRow), format);
+}
+
+/**
+ * 列名 → 値の行をCSV / TSVの文字列に変換する
+ * @param {string[]} columns 見出し行に出力する列名
+ * @param {Object<string, string>[]} rows
+ * @param {'csv'|'tsv'} format
+ * @returns {string}
+ */
+export function serializeTable(columns, rows, format) {
+    if (format === 'csv') {
+        const lines = [columns.map(escapeCsvValue).join(',')];
+        for (const row of rows) {
+            lines.push(columns.map((col) => escapeCsvValue(row[col] ?? '')).join(','));
+        }
+        // Excelで文字化けしないようBOMを付け、改行はCRLFにする
+        return BOM + lines.join('\r\n') + '\r\n';
+    }
+
+    if (format === 'tsv') {
+        const lines = [columns.join('\t')];
+        for (const row of rows) {
+            lines.push(columns.map((col) => escapeTsvValue(row[col] ?? '')).join('\t'));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    throw new Error(`未対応の形式です: ${format}`);
+}
+
+/**
+ * CSV文字列を2次元配列に分解する（RFC 4180準拠、引用符内の改行に対応）
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function parseTsv(text) {
+    return text.split(/\r?\n/)
+        .filter((line) => line.length > 0)
+        .map((line) => line.split('\t'));
+}
+
+/**
+ * 取り込んだ1件分の値を検証し、保存用の記録に変換する
+ * @param {Object} values isbn, ccode, price, productCode, location, previousLocation, sources, selections, memo, scannedAt
+ * @returns {Object} 記録
+ */
+function validateRecord(values) {
+    const isbnValue = BarcodeParser.normalizeInput(values.isbn || '');
+    const ccodeValue = BarcodeParser.normalizeInput(values.ccode || '');
+    const productValue = BarcodeParser.normalizeInput(values.productCode || '');
+
+    if (!isbnValue && !ccodeValue && !productValue) {
+        throw new Error('ISBNとCコードがどちらも空です');
+    }
+
+    // 雑誌・楽譜・一般の商品の記録は、ISBN・Cコードを持たない
+    let product = null;
+    if (productValue && !isbnValue && !ccodeValue) {
+        product = BarcodeParser.parseProductCode(productValue);
+        if (!product) {
+            throw new Error(`商品コードの形式が正しくありません: ${productValue}`);
+        }
+    }
+
+    const isbn = isbnValue ? BarcodeParser.extractISBN(isbnValue) : null;
+    if (isbnValue && !isbn) {
+        throw new Error(`ISBNの形式が正しくありません: ${isbnValue}`);
+    }
+
+    const ccode = ccodeValue ? BarcodeParser.extractCCode(ccodeValue) : null;
+    if (ccodeValue && !ccode) {
+        throw new Error(`Cコードの形式が正しくありません: ${ccodeValue}`);
+    }
+
+    let price = null;
+    if (values.price != null && String(values.price).trim() !== '') {
+        const priceText = BarcodeParser.normalizeInput(String(values.price)).replace(/[,円]/g, '');
+        if (!/^\d+$/.test(priceText)) {
+            throw new Error(`本体価格の形式が正しくありません: ${values.price}`);
+        }
+        price = Number(priceText);
+    }
+
+    let scannedAt = new Date().toISOString();
+    if (values.scannedAt) {
+        const date = new Date(values.scannedAt);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`日時の形式が正しくありません: ${values.scannedAt}`);
+        }
+        scannedAt = date.toISOString();
+    }
+
+    const sources = {};
+    for (const source of SOURCES) {
+        const info = values.sources && values.sources[source];
+        if (info && typeof info !== 'object') {
+            throw new Error(`${source} の書籍情報の形式が正しくありません`);
+        }
+        const normalized = {};
+        let hasValue = false;
+        for (const field of SOURCE_FIELDS) {
+            const value = info && info[field] != null ? String(info[field]).trim() : '';
+            normalized[field] = value || null;
+            hasValue = hasValue || Boolean(value);
+        }
+        sources[source] = hasValue ? normalized : null;
+    }
+
+    return {
+        isbn,
+        ccode,
+        parsedCCode: ccode ? parseCCode(ccode) : null,
+        price,
+        product,
+        location: normalizeLocation(values.location),
+        previousLocation: normalizeLocation(values.previousLocation),
+        sources,
+        selections: parseSelections(values.selections),
+        memo: values.memo ? String(values.memo).trim() : '',
+        scannedAt
+    };
+}
+
+/**
+ * 表形式（CSV / TSV）の行を検証する
+ * @param {string[][]} table 見出し行を含む
+ * @returns {{records: Object[], errors: {row: number, message: string}[]}}
+ */
+function importTable(table) {
+    if (!table.length) {
+        throw new Error('ファイルが空です');
+    }
+
+    const header = table[0].map((h) => h.trim());
+    if (!header.includes('isbn') && !header.includes('ccode')) {
+        throw new Error('見出し行に isbn または ccode 列がありません');
+    }
+
+    const records = [];
+    const errors = [];
+    for (let i = 1; i < table.length; i++) {
+        const cells = table[i];
+        if (cells.every((cell) => !cell.trim())) continue;
+
+        const row = {};
+        header.forEach((name, col) => {
+            row[name] = cells[col] !== undefined ? cells[col] : '';
+        });
+
+        const sources = {};
+        for (const source of SOURCES) {
+            sources[source] = {};
+            for (const field of SOURCE_FIELDS) {
+                sources[source][field] = row[`${source}.${field}`];
+            }
+        }
+
+        try {
+            records.push(validateRecord({
+                isbn: row.isbn,
+                ccode: row.ccode,
+                price: row.price,
+                productCode: row.productCode,
+                location: row.location,
+                previousLocation: row.previousLocation,
+                selections: row.selections,
+                memo: row.memo,
+                scannedAt: row.scannedAt,
+                sources
+            }));
+        } catch (error) {
+            // 行番号は見出し行を1行目とした表示上の番号
+            errors.push({ row: i + 1, message: error.message });
+        }
+    }
+    return { records, errors };
+}
+
+function importJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('JSONの構文が正しくありません');
+    }
+
+    const items = Array.isArray(data) ? data : data && data.entries;
+    if (!Array.isArray(items)) {
+        throw new Error('JSONに entries 配列がありません');
+    }
+
+    const records = [];
+    const errors = [];
+    items.forEach((item, i) => {
+        try {
+            if (!item || typeof item !== 'object') {
+                throw new Error('記録がオブジェクトではありません');
+            }
+            records.push(validateRecord(item));
+        } catch (error) {
+            errors.push({ row: i + 1, message: error.message });
+        }
+    });
+    return { records, errors };
+}
+
+/**
+ * ファイル名と内容から形式を判定する
+ * @param {string} filename
+ * @param {string} text
+ * @returns {'csv'|'tsv'|'json'}
+ */
+export function detectFormat(filename, text) {
+    const ext = (filename.split('.').pop() || '').toLowerCase();
+    if (EXPORT_FORMATS[ext]) {
+        return ext;
+    }
+    const head = text.replace(BOM, '').trimStart();
+    if (head.startsWith('{') || head.startsWith('[')) return 'json';
+    const firstLine = head.split(/\r?\n/)[0];
+    return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * エクスポートしたファイルを読み込み、検証済みの記録と行ごとのエラーを返す
+ * @param {string} text
+ * @param {'csv'|'tsv'|'json'} format
+ * @returns {{records: Object[], errors: {row: number, message: string}[]}}
+ */
+export function parseImport(text, format) {
+    if (format === 'json') {
+        const body = text.startsWith(BOM) ? text.slice(BOM.length) : text;
+        return importJson(body);
+    }
+    return importTable(parseTable(text, format));
+}
+
+/**
+ * CSV / TSV の文字列を2次元配列に分解する（先頭のBOMは取り除く）
+ * @param {string} text
+ * @param {'csv'|'tsv'} format
+ * @returns {string[][]}
+ */
+export function parseTable(text, format) {
+    const body = text.startsWith(BOM) ? text.slice(BOM.length) : text;
+    if (format === 'csv') return parseCsv(body);
+    if (format === 'tsv') return parseTsv(body);
+    throw new Error(`未対応の形式です: ${format}`);
+}
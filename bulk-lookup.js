@@ -0,0 +1,190 @@
+// 一括照会（ISBNの一覧の読み込みと、同時取得数を制限した書籍情報の取得）
+
+import { detectFormat, parseTable } from './book-export.js';
+import { parseBookCodes } from './core.js';
+import { isIsbnColumnName } from './stocktake.js';
+
+/** 一覧の各行の状態の表示名 */
+export const BULK_STATE_LABELS = {
+    queued: '待機中',
+    loading: '取得中',
+    found: '取得済み',
+    'not-found': '該当なし',
+    error: '取得エラー',
+    cancelled: '中止'
+};
+
+/**
+ * ISBNの一覧（貼り付けた文字列、またはテキスト / CSV / TSV ファイル）を読み込む
+ *
+ * 1行に1冊で、1列目がISBN（ハイフン区切り・ISBN-10も可）、2列目があればCコード（または192から始まるコード）。
+ * 区切りはカンマ・タブ（1列だけの行は空白）で、1行目の1列目に数字がないか、ISBNの列の見出し（「ISBN13」など）なら
+ * 見出し行とみなして読み飛ばす。
+ * 空行と # から始まる行は無視する。
+ *
+ * @param {string} text
+ * @param {string} [filename] ファイルから読み込んだ場合は拡張子で区切りを判定する
+ * @returns {{items: {line: number, isbn: string, ccode: string|null, parsedCCode: Object|null, price: number|null}[],
+ *            errors: {line: number, message: string}[]}}
+ */
+export function parseIsbnList(text, filename = '') {
+    const format = detectFormat(filename, text) === 'tsv' ? 'tsv' : 'csv';
+    const items = [];
+    const errors = [];
+
+    parseTable(text, format).forEach((cells, i) => {
+        const line = i + 1;
+        // 区切りのない行は、空白で区切られているとみなす（「9784101001012 C0193」）
+        const columns = cells.length > 1 ? cells : (cells[0] || '').trim().split(/\s+/);
+        const [first = '', second = ''] = columns.map((cell) => cell.trim());
+        if (!first && !second) return;
+        if (first.startsWith('#')) return;
+        if (i === 0 && (!/\d/.test(first) || isIsbnColumnName(first))) return;
+
+        try {
+            const codes = parseBookCodes(first, second);
+            if (codes.product) {
+                throw new Error(`書籍のISBNではありません（${first}）`);
+            }
+            if (!codes.isbn) {
+                throw new Error(`ISBNが見つかりません（${first}）`);
+            }
+            const { isbn, ccode, parsedCCode, price } = codes;
+            items.push({ line, isbn, ccode, parsedCCode, price });
+        } catch (error) {
+            errors.push({ line, message: error.message });
+        }
+    });
+
+    return { items, errors };
+}
+
+/**
+ * 取得元ごとの取得状態から、1冊分の状態を決める
+ * どれかの取得元で見つかれば found、通信エラー・未取得がなくすべて該当なしなら not-found、それ以外は error
+ * @param {Object<string, string>} sourceStatus
+ * @returns {'found'|'not-found'|'error'}
+ */
+export function summarizeSourceStatus(sourceStatus) {
+    const statuses = Object.values(sourceStatus || {});
+    if (statuses.includes('found')) return 'found';
+    if (statuses.length && statuses.every((status) => status === 'not-found')) return 'not-found';
+    return 'error';
+}
+
+/**
+ * 一覧の書籍情報を、同時取得数を制限して順に取得するクラス
+ *
+ * 一時停止すると新しい取得を始めず（取得中のものは最後まで取得する）、再開すると続きから取得する。
+ * 中止すると待機中の行を cancelled にし、取得中のものが終わった時点で start() の Promise が解決する。
+ * 取得元ごとのリクエストの間隔は取得元レジストリ（minInterval）が空ける。
+ */
+export class BulkLookupRunner {
+    /**
+     * @param {Object[]} records 取得結果（sources, sourceStatus）を書き込む記録
+     * @param {(record: Object) => Promise<{sources: Object, sourceStatus: Object}>} lookup
+     * @param {Object} [options]
+     * @param {number} [options.concurrency]
+     * @param {(record: Object) => void} [options.onProgress] 行の状態が変わるたびに呼ばれる
+     */
+    constructor(records, lookup, { concurrency = 1, onProgress } = {}) {
+        this.records = records;
+        this.lookup = lookup;
+        this.concurrency = concurrency;
+        this.onProgress = onProgress || null;
+        this.running = 0;
+        this.paused = false;
+        this.cancelled = false;
+        this.resolveDone = null;
+
+        for (const record of records) {
+            record.bulkState = 'queued';
+        }
+    }
+
+    /**
+     * 取得を始める
+     * @returns {Promise<void>} すべての行が終わるか、中止して取得中のものが終わったら解決する
+     */
+    start() {
+        const done = new Promise((resolve) => {
+            this.resolveDone = resolve;
+        });
+        this.pump();
+        return done;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        if (this.cancelled) return;
+        this.paused = false;
+        this.pump();
+    }
+
+    cancel() {
+        this.cancelled = true;
+        for (const record of this.records) {
+            if (record.bulkState === 'queued') {
+                record.bulkState = 'cancelled';
+                this.notify(record);
+            }
+        }
+        this.pump();
+    }
+
+    /**
+     * @returns {{total: number, finished: number, running: number, counts: Object<string, number>}}
+     *          finished は取得を終えた行（中止した行を含む）
+     */
+    getProgress() {
+        const counts = {};
+        for (const record of this.records) {
+            counts[record.bulkState] = (counts[record.bulkState] || 0) + 1;
+        }
+        const unfinished = (counts.queued || 0) + (counts.loading || 0);
+        return { total: this.records.length, finished: this.records.length - unfinished, running: this.running, counts };
+    }
+
+    /**
+     * 空きがあれば次の行の取得を始め、すべて終わっていれば完了を知らせる
+     */
+    pump() {
+        while (!this.paused && !this.cancelled && this.running < this.concurrency) {
+            const record = this.records.find((r) => r.bulkState === 'queued');
+            if (!record) break;
+            this.run(record);
+        }
+        const waiting = !this.cancelled && this.records.some((r) => r.bulkState === 'queued');
+        if (!this.running && !waiting && this.resolveDone) {
+            this.resolveDone();
+            this.resolveDone = null;
+        }
+    }
+
+    /**
+     * @param {Object} record
+     */
+    async run(record) {
+        this.running++;
+        record.bulkState = 'loading';
+        this.notify(record);
+        try {
+            Object.assign(record, await this.lookup(record));
+            record.bulkState = summarizeSourceStatus(record.sourceStatus);
+        } catch (error) {
+            console.error('一括照会の取得エラー:', error);
+            record.bulkState = 'error';
+        } finally {
+            this.running--;
+            this.notify(record);
+            this.pump();
+        }
+    }
+
+    notify(record) {
+        if (this.onProgress) this.onProgress(record);
+    }
+}
@@ -0,0 +1,283 @@
+// 一括照会パネル（ISBNの一覧の読み込み、取得の進捗・一時停止・中止、結果の表示と保存）
+
+import { APP_CONFIG } from './config.js';
+import { formatISBN } from './isbn-ranges.js';
+import { EXPORT_FORMATS, serializeEntries } from './book-export.js';
+import { downloadFile } from './history-panel.js';
+import { getMergedValues } from './reconcile.js';
+import { BULK_STATE_LABELS, BulkLookupRunner, parseIsbnList } from './bulk-lookup.js';
+
+/**
+ * 取引先などから受け取ったISBNの一覧を、まとめて照会するクラス
+ *
+ * 現物を読み取らずに書籍情報を確認するためのもので、結果はスキャン履歴には保存しない
+ * （JSONで保存すると、スキャン履歴の「インポート」で取り込める）。
+ */
+export class BulkLookupPanel {
+    /**
+     * @param {string} rootId
+     * @param {Object} options
+     * @param {(isbn: string) => Promise<{sources: Object, sourceStatus: Object}>} options.lookup ISBNの書籍情報を取得する
+     * @param {(record: Object) => void} [options.onSelect] 結果の行がクリックされたとき
+     */
+    constructor(rootId, options) {
+        this.root = document.getElementById(rootId);
+        this.lookup = options.lookup;
+        this.onSelect = options.onSelect || null;
+        this.records = [];
+        this.runner = null;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            input: this.root.querySelector('.bulk-input'),
+            fileInput: this.root.querySelector('.bulk-file-input'),
+            concurrency: this.root.querySelector('.bulk-concurrency'),
+            startBtn: this.root.querySelector('.bulk-start-btn'),
+            pauseBtn: this.root.querySelector('.bulk-pause-btn'),
+            cancelBtn: this.root.querySelector('.bulk-cancel-btn'),
+            body: this.root.querySelector('.bulk-body'),
+            progress: this.root.querySelector('.bulk-progress'),
+            summary: this.root.querySelector('.bulk-summary'),
+            filter: this.root.querySelector('.bulk-filter'),
+            exportBtns: this.root.querySelectorAll('.bulk-export-btn'),
+            tableBody: this.root.querySelector('.bulk-table tbody'),
+            emptyMessage: this.root.querySelector('.bulk-empty'),
+            importReport: this.root.querySelector('.import-report'),
+            errorDiv: this.root.querySelector('.error')
+        };
+    }
+
+    init() {
+        const { concurrency } = this.elements;
+        concurrency.max = String(APP_CONFIG.bulk.maxConcurrency);
+        concurrency.value = String(APP_CONFIG.bulk.concurrency);
+
+        this.elements.fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.start(await file.text(), file.name);
+        });
+        this.elements.startBtn.addEventListener('click', () => this.start(this.elements.input.value));
+        this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.elements.cancelBtn.addEventListener('click', () => {
+            if (this.runner) this.runner.cancel();
+            this.renderControls();
+        });
+        this.elements.filter.addEventListener('change', () => this.renderRows());
+        this.elements.exportBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.exportResults(btn.dataset.format));
+        });
+        this.renderControls();
+    }
+
+    /**
+     * 一覧を読み込み、書籍情報の取得を始める
+     * @param {string} text
+     * @param {string} [filename]
+     */
+    async start(text, filename = '') {
+        if (this.isRunning()) return;
+        this.hideError();
+
+        const concurrency = Number(this.elements.concurrency.value);
+        const { maxConcurrency } = APP_CONFIG.bulk;
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxConcurrency) {
+            this.showError(`同時取得数は1〜${maxConcurrency}の整数で指定してください`);
+            return;
+        }
+
+        const { items, errors } = parseIsbnList(text, filename);
+        this.showImportReport(filename || '貼り付けた一覧', items.length, errors);
+        if (!items.length) {
+            this.showError('ISBNを1件も読み取れませんでした');
+            return;
+        }
+
+        const scannedAt = new Date().toISOString();
+        this.records = items.map((item) => ({
+            ...item,
+            product: null,
+            scannedAt,
+            memo: '',
+            selections: {},
+            sources: {},
+            sourceStatus: {}
+        }));
+        this.runner = new BulkLookupRunner(this.records, (record) => this.lookup(record.isbn), {
+            concurrency,
+            onProgress: (record) => this.update(record)
+        });
+        this.elements.body.classList.remove('hidden');
+        this.renderRows();
+
+        const done = this.runner.start();
+        this.renderControls();
+        await done;
+        this.renderControls();
+    }
+
+    togglePause() {
+        if (!this.isRunning()) return;
+        if (this.runner.paused) {
+            this.runner.resume();
+        } else {
+            this.runner.pause();
+        }
+        this.renderControls();
+    }
+
+    /**
+     * @returns {boolean} 取得の途中（一時停止中を含む）か
+     */
+    isRunning() {
+        if (!this.runner) return false;
+        const { finished, total } = this.runner.getProgress();
+        return finished < total;
+    }
+
+    /**
+     * 1行の状態が変わったときに、その行と進捗を描き直す
+     * @param {Object} record
+     */
+    update(record) {
+        // 「該当なしのみ」の表示中は、該当なしになった行を加えるために描き直す
+        if (this.elements.filter.value === 'no-hits') {
+            this.renderRows();
+            this.renderProgress();
+            return;
+        }
+        const tr = this.createRow(record);
+        if (record.element && record.element.isConnected) {
+            record.element.replaceWith(tr);
+        }
+        record.element = tr;
+        this.renderProgress();
+    }
+
+    renderControls() {
+        const running = this.isRunning();
+        const paused = Boolean(running && this.runner.paused);
+        this.elements.startBtn.disabled = running;
+        this.elements.fileInput.disabled = running;
+        this.elements.pauseBtn.disabled = !running || this.runner.cancelled;
+        this.elements.pauseBtn.textContent = paused ? '再開' : '一時停止';
+        this.elements.cancelBtn.disabled = !running || this.runner.cancelled;
+        this.elements.exportBtns.forEach((btn) => {
+            btn.disabled = running || !this.records.length;
+        });
+        this.renderProgress();
+    }
+
+    renderProgress() {
+        if (!this.runner) return;
+        const { total, finished, counts } = this.runner.getProgress();
+        this.elements.progress.max = total;
+        this.elements.progress.value = finished;
+
+        const parts = Object.keys(BULK_STATE_LABELS)
+            .filter((state) => counts[state])
+            .map((state) => `${BULK_STATE_LABELS[state]} ${counts[state]}`);
+        let status = '';
+        if (this.isRunning()) {
+            status = this.runner.cancelled ? '（中止しています…）' : (this.runner.paused ? '（一時停止中）' : '');
+        }
+        this.elements.summary.textContent = `${finished} / ${total} 件${status}: ${parts.join('・')}`;
+    }
+
+    renderRows() {
+        const noHitsOnly = this.elements.filter.value === 'no-hits';
+        const tbody = this.elements.tableBody;
+        tbody.textContent = '';
+        let shown = 0;
+        for (const record of this.records) {
+            record.element = this.createRow(record);
+            if (noHitsOnly && !isNoHits(record)) continue;
+            tbody.appendChild(record.element);
+            shown++;
+        }
+        this.elements.emptyMessage.classList.toggle('hidden', shown > 0);
+    }
+
+    /**
+     * @param {Object} record
+     * @returns {HTMLTableRowElement}
+     */
+    createRow(record) {
+        const merged = getMergedValues(record);
+        const tr = document.createElement('tr');
+        tr.className = `state-${record.bulkState}`;
+        tr.classList.toggle('no-hits', isNoHits(record));
+
+        const cells = [
+            String(record.line),
+            BULK_STATE_LABELS[record.bulkState],
+            formatISBN(record.isbn),
+            record.ccode || '-',
+            merged.title || '-',
+            merged.authors || '-',
+            merged.publisher || '-'
+        ];
+        for (const text of cells) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        tr.addEventListener('click', () => {
+            if (this.onSelect && record.bulkState !== 'queued' && record.bulkState !== 'loading') {
+                this.onSelect(record);
+            }
+        });
+        return tr;
+    }
+
+    /**
+     * 取得結果を保存する（中止した行は含めない）
+     * @param {'csv'|'tsv'|'json'} format
+     */
+    exportResults(format) {
+        const records = this.records.filter((record) => record.bulkState !== 'cancelled');
+        if (!records.length) return;
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        downloadFile(serializeEntries(records, format), `一括照会.${extension}`, mimeType);
+    }
+
+    showImportReport(source, importedCount, errors) {
+        const report = this.elements.importReport;
+        report.textContent = '';
+
+        const summary = document.createElement('p');
+        summary.textContent = `${source}: ${importedCount} 件のISBNを読み込みました` +
+            (errors.length ? `（${errors.length} 行はエラーのため読み込んでいません）` : '');
+        report.appendChild(summary);
+
+        if (errors.length) {
+            const list = document.createElement('ul');
+            for (const { line, message } of errors) {
+                const li = document.createElement('li');
+                li.textContent = `${line} 行目: ${message}`;
+                list.appendChild(li);
+            }
+            report.appendChild(list);
+        }
+        report.classList.toggle('has-errors', errors.length > 0);
+        report.classList.remove('hidden');
+    }
+
+    showError(message) {
+        this.elements.errorDiv.textContent = `❌ エラー: ${message}`;
+        this.elements.errorDiv.classList.remove('hidden');
+    }
+
+    hideError() {
+        this.elements.errorDiv.classList.add('hidden');
+    }
+}
+
+// どの取得元でも書籍情報が見つからなかった行か
+function isNoHits(record) {
+    return record.bulkState === 'not-found' || record.bulkState === 'error';
+}
@@ -0,0 +1,128 @@
+// Cコード一覧（分類の組み合わせからのコード作成と、表示名からの逆引き）
+
+import { CCODE_DATA, CCODE_PARTS, buildCCode, parseCCode, searchCCodes } from './ccode-data.js';
+import { suggestNDC } from './classification.js';
+
+// 検索結果の表示件数の上限
+const MAX_RESULTS = 200;
+
+/**
+ * Cコードの分類表を引くクラス
+ *
+ * 販売対象・発行形態・内容分類を一覧から選ぶとコードを表示し、
+ * 表示名の一部やコードの先頭の数字を入力すると該当するコードを一覧にする。
+ */
+export class CCodeBrowser {
+    /**
+     * @param {string} rootId
+     */
+    constructor(rootId) {
+        this.root = document.getElementById(rootId);
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            selects: {
+                target: this.root.querySelector('.target-select'),
+                format: this.root.querySelector('.format-select'),
+                content: this.root.querySelector('.content-select')
+            },
+            code: this.root.querySelector('.browser-code'),
+            labels: this.root.querySelector('.browser-labels'),
+            ndc: this.root.querySelector('.browser-ndc'),
+            searchInput: this.root.querySelector('.ccode-search'),
+            searchCount: this.root.querySelector('.search-count'),
+            tableBody: this.root.querySelector('.ccode-results tbody'),
+            emptyMessage: this.root.querySelector('.ccode-results-empty')
+        };
+    }
+
+    init() {
+        for (const [name, select] of Object.entries(this.elements.selects)) {
+            for (const [code, label] of Object.entries(CCODE_DATA[name])) {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = `${code}: ${label}`;
+                select.appendChild(option);
+            }
+            select.addEventListener('change', () => this.renderSelection());
+        }
+
+        this.elements.searchInput.addEventListener('input', () => this.renderSearch());
+
+        // index.html から ?code=0193 のように開かれた場合は、そのコードを選択した状態にする
+        const code = new URLSearchParams(location.search).get('code');
+        if (!code || !this.select(code)) {
+            this.renderSelection();
+        }
+        this.renderSearch();
+    }
+
+    /**
+     * Cコードを一覧で選択した状態にする
+     * @param {string} code
+     * @returns {boolean} 分類表にあるコードだったか
+     */
+    select(code) {
+        const parsed = parseCCode(code);
+        if (!parsed || !parsed.valid) return false;
+        for (const [name, part] of Object.entries(parsed.parts)) {
+            this.elements.selects[name].value = part.code;
+        }
+        this.renderSelection();
+        return true;
+    }
+
+    renderSelection() {
+        const { target, format, content } = this.elements.selects;
+        const code = buildCCode(target.value, format.value, content.value);
+        const parsed = parseCCode(code);
+
+        this.elements.code.textContent = `C${code}`;
+        this.elements.labels.textContent = Object.entries(CCODE_PARTS)
+            .map(([name, { label }]) => `${label}: ${parsed.parts[name].label}`)
+            .join(' / ');
+
+        const ndc = suggestNDC(content.value);
+        this.elements.ndc.textContent = ndc.length
+            ? `対応するNDC: ${ndc.map((s) => `${s.code} ${s.label}`).join('、')}`
+            : '';
+    }
+
+    renderSearch() {
+        const query = this.elements.searchInput.value.trim();
+        const tbody = this.elements.tableBody;
+        tbody.textContent = '';
+
+        if (!query) {
+            this.elements.searchCount.textContent = '';
+            this.elements.emptyMessage.classList.add('hidden');
+            return;
+        }
+
+        const results = searchCCodes(query);
+        this.elements.searchCount.textContent = results.length > MAX_RESULTS
+            ? `${results.length} 件（先頭の ${MAX_RESULTS} 件を表示）`
+            : `${results.length} 件`;
+
+        for (const result of results.slice(0, MAX_RESULTS)) {
+            const tr = document.createElement('tr');
+            for (const text of [result.code, result.target, result.format, result.content]) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+            tr.addEventListener('click', () => this.select(result.code));
+            tbody.appendChild(tr);
+        }
+        this.elements.emptyMessage.classList.toggle('hidden', results.length > 0);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const browser = new CCodeBrowser('ccode-browser');
+    browser.init();
+});
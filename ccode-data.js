@@ -133,19 +133,79 @@ export const CCODE_DATA = {
     }
 };
 
-// Cコードを解析する関数
+/** Cコードの各部分（桁の位置と表示名） */
+export const CCODE_PARTS = {
+    target: { start: 0, length: 1, label: '販売対象' },
+    format: { start: 1, length: 1, label: '発行形態' },
+    content: { start: 2, length: 2, label: '内容分類' }
+};
+
+/**
+ * Cコードを解析する関数
+ *
+ * 各部分は { code, label, valid } で返し、分類表にない数字は valid を false にする。
+ * target・format・content には従来どおり表示名（分類表にない場合は '不明'）を入れる。
+ *
+ * @param {string} ccode 4桁のCコード
+ * @returns {{raw: string, valid: boolean, target: string, format: string, content: string,
+ *            parts: Object<string, {code: string, label: string|null, valid: boolean}>}|null} 4桁の数字でなければnull
+ */
 export function parseCCode(ccode) {
-    if (!ccode || ccode.length !== 4) {
+    if (!ccode || !/^\d{4}$/.test(ccode)) {
         return null;
     }
-    
-    const targetCode = ccode[0];
-    const formatCode = ccode[1];
-    const contentCode = ccode.substring(2, 4);
-    
-    return {
-        target: CCODE_DATA.target[targetCode] || '不明',
-        format: CCODE_DATA.format[formatCode] || '不明',
-        content: CCODE_DATA.content[contentCode] || '不明'
-    };
+
+    const result = { raw: ccode, valid: true, parts: {} };
+    for (const [name, { start, length }] of Object.entries(CCODE_PARTS)) {
+        const code = ccode.substring(start, start + length);
+        const label = CCODE_DATA[name][code] || null;
+        result.parts[name] = { code, label, valid: label !== null };
+        result[name] = label || '不明';
+        result.valid = result.valid && label !== null;
+    }
+    return result;
+}
+
+/**
+ * 販売対象・発行形態・内容分類の数字からCコードを組み立てる
+ * @param {string} target
+ * @param {string} format
+ * @param {string} content
+ * @returns {string}
+ */
+export function buildCCode(target, format, content) {
+    return `${target}${format}${content}`;
+}
+
+/**
+ * 表示名の一部や数字からCコードを検索する
+ *
+ * 空白区切りの語がすべて、販売対象・発行形態・内容分類のいずれかの表示名に含まれるコードを返す
+ * （「文庫 日本文学」など）。数字だけの語はCコードの先頭の数字として扱う。
+ *
+ * @param {string} query
+ * @returns {{code: string, target: string, format: string, content: string}[]} コード順
+ */
+export function searchCCodes(query) {
+    const terms = String(query || '').normalize('NFKC').split(/[\s×,、]+/).filter(Boolean);
+    if (!terms.length) {
+        return [];
+    }
+
+    const results = [];
+    for (const [t, target] of Object.entries(CCODE_DATA.target)) {
+        for (const [f, format] of Object.entries(CCODE_DATA.format)) {
+            for (const [c, content] of Object.entries(CCODE_DATA.content)) {
+                const code = buildCCode(t, f, c);
+                const labels = [target, format, content];
+                const matched = terms.every((term) => (/^\d+$/.test(term)
+                    ? code.startsWith(term)
+                    : labels.some((label) => label.includes(term))));
+                if (matched) {
+                    results.push({ code, target, format, content });
+                }
+            }
+        }
+    }
+    return results.sort((a, b) => a.code.localeCompare(b.code));
 }
@@ -0,0 +1,233 @@
+// Cコードの内容分類とNDCの照合
+
+import { CCODE_DATA } from './ccode-data.js';
+import { NDC_DATA, parseNDC } from './ndc-data.js';
+
+/** 照合結果の表示名 */
+export const CLASSIFICATION_VERDICT_LABELS = {
+    match: '一致',
+    plausible: '近い分類',
+    mismatch: '不一致'
+};
+
+/**
+ * Cコードの内容分類（3-4桁目）に対応するNDCの分類記号の先頭部分
+ *
+ * NDCの分類記号がいずれかの先頭部分で始まれば「一致」とする。
+ * 「○○総記」にあたる内容分類（x0）は、その類全体に対応させる。
+ */
+export const CCODE_NDC_MAP = {
+    '00': ['0'],
+    '01': ['03'],
+    '02': ['05'],
+    '03': ['02', '03'],
+    '04': ['04'],
+    '05': ['05'],
+    '06': ['06'],
+    '07': ['07'],
+    '08': ['08'],
+    '09': ['09'],
+
+    '10': ['1'],
+    '11': ['11'],
+    '12': ['12'],
+    '13': ['13'],
+    '14': ['14'],
+    '15': ['15'],
+    '16': ['16'],
+    '17': ['17'],
+    '18': ['18'],
+    '19': ['19'],
+
+    '20': ['2'],
+    '21': ['21'],
+    '22': ['22'],
+    '23': ['23'],
+    '25': ['28'],
+    '26': ['29'],
+    '29': ['29'],
+
+    '30': ['3'],
+    '31': ['31', '32'],
+    '32': ['33'],
+    '33': ['335', '336'],
+    '34': ['34'],
+    '36': ['36'],
+    '37': ['37'],
+    '39': ['38'],
+
+    '40': ['4'],
+    '41': ['41'],
+    '42': ['42'],
+    '43': ['43'],
+    '44': ['44', '45'],
+    '45': ['46', '47', '48'],
+    '47': ['49'],
+
+    '50': ['5'],
+    '51': ['51'],
+    '52': ['52'],
+    '53': ['53'],
+    '54': ['54'],
+    '55': ['55'],
+    '56': ['56'],
+    '57': ['57'],
+    '58': ['58'],
+    '59': ['59'],
+
+    '60': ['6'],
+    '61': ['61', '65'],
+    '62': ['62'],
+    '63': ['63'],
+    '65': ['65'],
+    '66': ['66'],
+    '67': ['67'],
+    '68': ['68'],
+    '69': ['69'],
+
+    '70': ['7'],
+    '71': ['71'],
+    '72': ['72'],
+    '73': ['73'],
+    '74': ['74'],
+    '75': ['75'],
+    '76': ['76'],
+    '77': ['77'],
+    '78': ['78'],
+    '79': ['79'],
+
+    '80': ['8'],
+    '81': ['81'],
+    '82': ['82'],
+    '83': ['83'],
+    '84': ['84'],
+    '85': ['85'],
+    '86': ['86'],
+    '87': ['87'],
+    '89': ['88', '89'],
+
+    '90': ['9'],
+    '91': ['91'],
+    '92': ['92'],
+    '93': ['93'],
+    '94': ['94'],
+    '95': ['95'],
+    '96': ['96'],
+    '97': ['97'],
+    '98': ['98'],
+    '99': ['99']
+};
+
+// 類が異なっても「近い分類」とみなす組み合わせ（経営と商業など）
+const RELATED_NDC = {
+    '33': ['67'],
+    '59': ['38', '49'],
+    '67': ['33']
+};
+
+/**
+ * NDCの分類記号の先頭部分を、分類表の名称とともに返す
+ * @param {string} prefix 1〜3桁
+ * @returns {{code: string, label: string}}
+ */
+function describeNDCPrefix(prefix) {
+    const table = [NDC_DATA.classes, NDC_DATA.divisions, NDC_DATA.sections][prefix.length - 1];
+    return { code: prefix, label: (table && table[prefix]) || '' };
+}
+
+/**
+ * Cコードの内容分類に対応するNDCの分類を返す
+ * @param {string} content Cコードの3-4桁目
+ * @returns {{code: string, label: string}[]}
+ */
+export function suggestNDC(content) {
+    return (CCODE_NDC_MAP[content] || []).map(describeNDCPrefix);
+}
+
+/**
+ * NDCの分類記号に対応するCコードの内容分類を、より細かい対応のものから順に返す
+ * @param {string} ndcCode 3桁以上の分類記号
+ * @returns {{content: string, label: string}[]}
+ */
+export function suggestCCodeContent(ndcCode) {
+    const candidates = [];
+    for (const [content, prefixes] of Object.entries(CCODE_NDC_MAP)) {
+        const matched = prefixes.filter((prefix) => ndcCode.startsWith(prefix));
+        if (matched.length) {
+            candidates.push({ content, length: Math.max(...matched.map((p) => p.length)) });
+        }
+    }
+    return candidates
+        .sort((a, b) => b.length - a.length)
+        .map(({ content }) => ({ content, label: CCODE_DATA.content[content] || '' }));
+}
+
+/**
+ * 内容分類と分類記号1件を照合する
+ * @param {string} content
+ * @param {string} ndcCode
+ * @returns {'match'|'plausible'|'mismatch'}
+ */
+function compareContent(content, ndcCode) {
+    const prefixes = CCODE_NDC_MAP[content] || [];
+    if (prefixes.some((prefix) => ndcCode.startsWith(prefix))) {
+        return 'match';
+    }
+    const related = RELATED_NDC[content] || [];
+    if (prefixes.some((prefix) => prefix[0] === ndcCode[0])
+        || related.some((prefix) => ndcCode.startsWith(prefix))) {
+        return 'plausible';
+    }
+    return 'mismatch';
+}
+
+/**
+ * Cコードの内容分類とNDCを照合する
+ *
+ * NDCが複数ある場合は、最も近いものを結果とする。
+ * 片方しか分からない場合は verdict を null とし、もう片方の候補を返す。
+ *
+ * @param {string|null} ccode 4桁のCコード
+ * @param {string|null} ndc 統合レコードのNDC（複数の場合はカンマ区切り）
+ * @returns {{verdict: 'match'|'plausible'|'mismatch'|null, content: string|null, ndcCodes: string[],
+ *            suggestedContent: {content: string, label: string}[], suggestedNDC: {code: string, label: string}[]}}
+ */
+export function checkClassification(ccode, ndc) {
+    const content = ccode && /^\d{4}$/.test(ccode) && ccode.substring(2) in CCODE_NDC_MAP
+        ? ccode.substring(2)
+        : null;
+    const ndcCodes = parseNDC(ndc).filter((entry) => entry.valid).map((entry) => entry.code);
+
+    const result = { verdict: null, content, ndcCodes, suggestedContent: [], suggestedNDC: [] };
+    if (content && ndcCodes.length) {
+        const verdicts = ndcCodes.map((code) => compareContent(content, code));
+        result.verdict = ['match', 'plausible', 'mismatch'].find((v) => verdicts.includes(v));
+    }
+    if (ndcCodes.length && result.verdict !== 'match') {
+        result.suggestedContent = suggestCCodeContent(ndcCodes[0]).slice(0, 1);
+    }
+    if (content && result.verdict !== 'match') {
+        result.suggestedNDC = suggestNDC(content);
+    }
+    return result;
+}
+
+/**
+ * 照合結果を1行の説明にする
+ * @param {ReturnType<typeof checkClassification>} result
+ * @returns {string}
+ */
+export function describeClassification(result) {
+    const parts = [];
+    if (result.verdict) {
+        parts.push(CLASSIFICATION_VERDICT_LABELS[result.verdict]);
+    }
+    if (result.suggestedContent.length) {
+        const { content, label } = result.suggestedContent[0];
+        parts.push(`NDCからの内容分類の候補: ${content} ${label}`);
+    }
+    if (result.suggestedNDC.length) {
+        parts.push(`Cコードからの NDC の候補: ${result.suggestedNDC.map((s) => `${s.code} ${s.label}`).join('、')}`);
+    }
+    return parts.join(' / ');
+}
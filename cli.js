@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// 書籍JANコードのコマンドラインツール（Node.js 用）
+//
+// 1行に1つずつ読み取ったバーコードの文字列を、ファイルまたは標準入力から読み込み、
+// 1冊ごとに ISBN・Cコード・本体価格と書籍情報をまとめて JSON / CSV / TSV で出力する。
+// JSON はブラウザ版の「インポート」でそのまま取り込める。
+//
+// 使い方:
+//   node cli.js [ファイル] [--format json|csv|tsv] [--no-lookup] [--fixtures 応答.json] [--concurrency 数]
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    EXPORT_FORMATS, createFixtureFetch, createProviderRegistry, initialSourceState, lookupSources,
+    pairScanLines, parseBookCodes, serializeEntries
+} from './core.js';
+
+const USAGE = `使い方: node cli.js [ファイル] [オプション]
+
+ファイルを省略すると標準入力から読み込みます（1行に1つのバーコード、空行は書籍の区切り）。
+
+オプション:
+  --format <形式>       出力形式（json, csv, tsv）。既定は json
+  --no-lookup           書籍情報を取得しない（バーコードの解析だけを行う）
+  --fixtures <ファイル> 取得元に通信せず、保存済みの応答（URL → 本文のJSON）を使う
+  --concurrency <数>    同時に書籍情報を取得する冊数。既定は 2
+  -h, --help            この説明を表示する`;
+
+// 同時に書籍情報を取得する冊数の既定値（取得元への負荷を抑えるため少なめにする）
+const DEFAULT_CONCURRENCY = 2;
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 配列の各要素を、同時実行数を制限して処理する
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {(item: any, index: number) => Promise<void>} worker
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'json' },
+            'no-lookup': { type: 'boolean', default: false },
+            fixtures: { type: 'string' },
+            concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!(values.format in EXPORT_FORMATS)) {
+        throw new Error(`未対応の出力形式です: ${values.format}`);
+    }
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`同時取得数は1以上の整数で指定してください: ${values.concurrency}`);
+    }
+    if (positionals.length > 1) {
+        throw new Error('入力ファイルは1つだけ指定してください');
+    }
+
+    const text = positionals.length ? await readFile(positionals[0], 'utf8') : await readStdin();
+    const { pairs, errors } = pairScanLines(text.split(/\r?\n/));
+
+    const registry = createProviderRegistry();
+    if (values.fixtures) {
+        registry.setFetch(createFixtureFetch(JSON.parse(await readFile(values.fixtures, 'utf8'))));
+    }
+
+    const scannedAt = new Date().toISOString();
+    const entries = [];
+    // 書籍ごとに最後に読み取った棚（同じ書籍を別の棚で読み取った場合に previousLocation に出力する）
+    const lastLocations = new Map();
+    for (const pair of pairs) {
+        try {
+            const codes = parseBookCodes(pair.isbn, pair.ccode);
+            if (codes) {
+                const lookupIsbn = values['no-lookup'] ? null : codes.isbn;
+                let previousLocation = null;
+                if (pair.location && codes.isbn) {
+                    previousLocation = lastLocations.get(codes.isbn) || null;
+                    lastLocations.set(codes.isbn, pair.location);
+                }
+                entries.push({
+                    ...codes, location: pair.location, previousLocation, scannedAt, memo: '', selections: {},
+                    ...initialSourceState(registry, lookupIsbn)
+                });
+            }
+        } catch (error) {
+            errors.push({ line: pair.lines[0], message: error.message });
+        }
+    }
+
+    if (!values['no-lookup']) {
+        await runWithConcurrency(entries, concurrency, async (entry) => {
+            Object.assign(entry, await lookupSources(registry, entry.isbn, {
+                // 通信エラー・タイムアウトは取得元ごとに1行で知らせる（該当なしは sourceStatus で分かる）
+                onUpdate: (id, result) => {
+                    if (result.error) console.error(`${entry.isbn}: ${registry.getLabel(id)} ${result.error}`);
+                }
+            }));
+        });
+    }
+
+    process.stdout.write(serializeEntries(entries, values.format));
+    if (values.format === 'json') process.stdout.write('\n');
+
+    for (const error of errors.sort((a, b) => a.line - b.line)) {
+        console.error(`${error.line}行目: ${error.message}`);
+    }
+    return errors.length ? 1 : 0;
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(`エラー: ${error.message}`);
+        console.error(USAGE);
+        process.exitCode = 2;
+    }
+);
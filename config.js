@@ -0,0 +1,130 @@
+// アプリケーション設定
+// 動作を変更する場合はこのファイルを編集する
+export const APP_CONFIG = {
+    // 価格表示
+    price: {
+        // 消費税率（書籍JANコード第2段の本体価格から税込価格を計算する）
+        taxRate: 0.10
+    },
+
+    // 書籍情報の取得元
+    providers: {
+        // 使用する取得元と表示順（IDは providers.js の PROVIDERS のキー）
+        // 並べ替え・削除で表示順や使用する取得元を変更できる
+        order: ['google', 'openbd', 'ndl'],
+
+        // 取得元ごとの設定（省略した項目は defaults の値を使う）
+        // enabled: 使用するか / timeout: 制限時間（ミリ秒） / retries: 再試行回数 / retryDelay: 初回の再試行までの待ち時間（ミリ秒、以降は倍々）
+        // minInterval: 同じ取得元へのリクエストの最小間隔（ミリ秒）。一括照会などで取得元に負荷をかけすぎないように空ける
+        // baseUrl: 取得元のURL（省略すると公開されているURL。社内のミラーやテスト用のサーバーに向ける場合に指定）
+        // apiKey: APIキー（Google Books のみ。指定すると利用上限が広がる）
+        // 画面の「設定」で変更した値は、ここでの値より優先される（settings.js）
+        options: {
+            google: { minInterval: 250 },
+            openbd: {},
+            ndl: { timeout: 15000, minInterval: 1000 }
+        },
+
+        defaults: {
+            enabled: true,
+            timeout: 8000,
+            retries: 2,
+            retryDelay: 500,
+            minInterval: 0
+        }
+    },
+
+    // 入力欄の動作
+    input: {
+        // Cコード欄の入力が止まってから自動で読み込むまでの待ち時間（ミリ秒）
+        debounce: 300,
+        // Cコード欄がこの文字数以上になったら自動で読み込む（0 にすると、改行が入力された場合だけ読み込む）
+        autoSubmitLength: 4,
+        // 読み取りに成功した後のフォーカス
+        // 'next': 次の書籍のISBN欄（入力値を残したまま選択し、次の読み取りで上書きする） / 'reset': 入力欄を空にして同じ書籍のISBN欄 / 'none': 移動しない
+        focusAfterScan: 'next',
+        // 棚のバーコードの接頭記号（例: 「LOC-A-01」を読み取ると、棚「A-01」で読み取ったものとして以降の書籍に付ける）
+        // 数字以外の文字を含める（書籍・商品のバーコードと区別するため）。空にすると棚のバーコードを使わない
+        locationPrefix: 'LOC'
+    },
+
+    // 取得結果のキャッシュ
+    cache: {
+        // 有効期限（ミリ秒）。期限を過ぎた結果は取得し直す
+        ttl: 7 * 24 * 60 * 60 * 1000
+    },
+
+    // 未取得の記録の再取得（オンラインでも取得し直せなかった記録は、この間隔を空けて取得し直す）
+    pendingLookup: {
+        // 最初の再取得までの待ち時間（ミリ秒）。取得し直せないたびに倍にし、maxRetryDelay で頭打ちにする
+        retryDelay: 60 * 1000,
+        maxRetryDelay: 60 * 60 * 1000
+    },
+
+    // スキャナーモード（入力欄のフォーカスに関係なく、バーコードリーダーの入力を受け付ける）
+    scanner: {
+        // キー入力の間隔がこの時間（ミリ秒）以下なら、バーコードリーダーからの入力とみなす
+        keyInterval: 50,
+        // バーコードリーダーからの入力とみなす最小の文字数（棚のバーコードは短くてもよい）
+        minLength: 8,
+        // 改行やタブが送られない機種向けに、入力が途切れてからこの時間（ミリ秒）で1回分の入力を確定する
+        idleTimeout: 150,
+        // 上段と下段を1冊分として組み合わせる待ち時間（ミリ秒）。過ぎると読み取れた段だけで記録する
+        pairWindow: 5000
+    },
+
+    // 連続読み取り
+    batch: {
+        // 書籍情報を同時に取得する冊数
+        concurrency: 3
+    },
+
+    // 一括照会（ISBNの一覧から書籍情報をまとめて取得する）
+    bulk: {
+        // 書籍情報を同時に取得する冊数の既定値（画面で変更できる）。取得元ごとの間隔は providers の minInterval で空ける
+        concurrency: 4,
+        // 画面で指定できる同時取得数の上限
+        maxConcurrency: 10
+    },
+
+    // スキャン記録の送信（Webhook）。書籍情報の取得を終えた記録を1件ずつ JSON で POST する
+    // 画面の「設定」で変更した url・token・testMode は、ここでの値より優先される（settings.js）
+    webhook: {
+        // 送信先のURL（空なら送信しない）
+        url: '',
+        // 送信先が認証を求める場合のトークン（Authorization: Bearer で送る）
+        token: '',
+        // テストモード（送信内容に test: true を付け、受け取り側で本番の記録と区別できるようにする）
+        testMode: false,
+        // 1回の送信の制限時間（ミリ秒）
+        timeout: 10000,
+        // 送信に失敗してから再送するまでの待ち時間（ミリ秒）。失敗するたびに倍にし、maxRetryDelay で頭打ちにする
+        retryDelay: 5000,
+        maxRetryDelay: 10 * 60 * 1000,
+        // この回数続けて失敗したら再送をやめて「送信失敗」にする（画面から再送できる）
+        maxAttempts: 8,
+        // 送信済みの記録を送信待ちから削除するまでの期間（ミリ秒）。それまでは履歴に「送信済み」と表示する
+        keepDelivered: 7 * 24 * 60 * 60 * 1000
+    },
+
+    // 背ラベルの印刷
+    labels: {
+        // 既定のラベル用紙（spine-labels.js の LABEL_TEMPLATES のキー）
+        template: 'a4-65',
+        // 著者記号の文字数（著者名の読みの先頭から）
+        authorMarkLength: 1,
+        // 分類記号の小数点以下の桁数（913.64 → 913.6）
+        ndcDecimals: 1
+    },
+
+    // 統合レコード（取得元ごとの書籍情報の突き合わせ）
+    merge: {
+        // 項目ごとの取得元の優先順位（先頭ほど優先）。項目の指定がなければ default を使う
+        priority: {
+            default: ['openbd', 'ndl', 'google'],
+            volume: ['ndl', 'openbd', 'google'],
+            titleReading: ['ndl', 'openbd'],
+            ndc: ['ndl', 'openbd']
+        }
+    }
+};
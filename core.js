@@ -0,0 +1,198 @@
+// DOMに依存しない処理（バーコードの解析、Cコードの解析、書籍情報の取得）
+// ブラウザの app.js と、Node.js のコマンドラインツール cli.js の両方から使う
+
+import { BarcodeParser } from './barcode-parser.js';
+import { parseCCode } from './ccode-data.js';
+
+export { BarcodeParser } from './barcode-parser.js';
+export { CCODE_DATA, parseCCode } from './ccode-data.js';
+export { parseNDC } from './ndc-data.js';
+export {
+    LOOKUP_STATUS_LABELS, PROVIDERS, ProviderError, ProviderRegistry, createProviderRegistry, getXmlTexts
+} from './providers.js';
+export { MERGE_FIELDS, REGISTRANT_SOURCE, getMergedValues, mergeSources } from './reconcile.js';
+export { PUBLISHER_REGISTRANTS, lookupPublisher } from './publisher-registrants.js';
+export { EXPORT_FORMATS, serializeEntries } from './book-export.js';
+export { formatVolumeRanges, groupSeries, parseVolumeNumber, splitSeriesTitle } from './series.js';
+
+/**
+ * 上段・下段の入力値から、ISBN・Cコード・本体価格を取り出す
+ *
+ * ISBNは上段の入力を優先し、なければ下段の入力からも探す（Cコードはその逆）。
+ * 本体価格は書籍JANコード第2段（192から始まるコード）から取り出す。
+ * 雑誌JANコード・ISMN・一般の商品のJANコードは product に入れ、ISBN・Cコードはnullとする。
+ *
+ * @param {string} isbnValue 上段の入力
+ * @param {string} ccodeValue 下段の入力
+ * @returns {{isbn: string|null, ccode: string|null, parsedCCode: Object|null, price: number|null, product: Object|null}|null}
+ *          両方空ならnull
+ * @throws {Error} チェックデジットが一致しない場合など
+ */
+export function parseBookCodes(isbnValue, ccodeValue) {
+    const normalizedIsbn = BarcodeParser.normalizeInput(isbnValue || '');
+    const normalizedCcode = BarcodeParser.normalizeInput(ccodeValue || '');
+    if (!normalizedIsbn && !normalizedCcode) {
+        return null;
+    }
+
+    // 書籍以外のバーコード（書籍情報は取得しない）
+    const product = BarcodeParser.parseProductCode(normalizedIsbn) || BarcodeParser.parseProductCode(normalizedCcode);
+    if (product) {
+        return { isbn: null, ccode: null, parsedCCode: null, price: null, product };
+    }
+
+    const isbn = BarcodeParser.extractISBN(normalizedIsbn) || BarcodeParser.extractISBN(normalizedCcode);
+    const ccode = BarcodeParser.extractCCode(normalizedCcode) || BarcodeParser.extractCCode(normalizedIsbn);
+
+    let parsedCCode = null;
+    if (ccode) {
+        parsedCCode = parseCCode(ccode);
+        if (!parsedCCode) {
+            throw new Error('Cコードの解析に失敗しました');
+        }
+    }
+
+    const secondTier = BarcodeParser.parseSecondTierCode(normalizedCcode)
+        || BarcodeParser.parseSecondTierCode(normalizedIsbn);
+    const price = secondTier ? secondTier.price : null;
+
+    return { isbn, ccode, parsedCCode, price, product: null };
+}
+
+/**
+ * 1行に1つずつ並んだバーコードの文字列を、1冊分（上段と下段）の組に分ける
+ *
+ * 上段（ISBN）と下段（Cコード・192から始まるコード）はどちらが先でもよい。
+ * 同じ段が続いた場合は、前の1冊を読み取れた段だけで確定する（下段のない書籍など）。
+ * 空行は区切りとして扱い、組み合わせ待ちの段を確定する。
+ * 組の isbn・ccode は parseBookCodes にそのまま渡せる入力値（ISBNとCコードをまとめた行は isbn 側に入る）。
+ * 棚のバーコードの行は組み合わせ待ちの段を確定し、以降の組の location をその棚にする。
+ *
+ * @param {string[]} lines
+ * @returns {{pairs: {isbn: string|null, ccode: string|null, location: string|null, lines: number[]}[],
+ *            errors: {line: number, message: string}[]}}
+ *          lines・line は1始まりの行番号
+ */
+export function pairScanLines(lines) {
+    const pairs = [];
+    const errors = [];
+    let pending = null;
+    let location = null;
+
+    const flush = () => {
+        if (pending) pairs.push(pending);
+        pending = null;
+    };
+
+    lines.forEach((text, i) => {
+        const line = i + 1;
+        if (!text.trim()) {
+            flush();
+            return;
+        }
+
+        let scan;
+        try {
+            scan = BarcodeParser.classify(text);
+        } catch (error) {
+            errors.push({ line, message: error.message });
+            return;
+        }
+        if (!scan) {
+            errors.push({ line, message: `読み取れるバーコードではありません（${text.trim()}）` });
+            return;
+        }
+
+        if (scan.type === 'location') {
+            flush();
+            location = scan.location;
+            return;
+        }
+
+        // ISBNとCコードをまとめた行と、書籍以外のバーコードは1行で1件とする
+        if (!['isbn', 'ccode', 'second-tier'].includes(scan.type)) {
+            flush();
+            pairs.push({ isbn: scan.code, ccode: null, location, lines: [line] });
+            return;
+        }
+
+        const slot = scan.type === 'isbn' ? 'isbn' : 'ccode';
+        if (pending && pending[slot]) {
+            flush();
+        }
+        if (!pending) {
+            pending = { isbn: null, ccode: null, location, lines: [] };
+        }
+        pending[slot] = scan.code;
+        pending.lines.push(line);
+        if (pending.isbn && pending.ccode) {
+            flush();
+        }
+    });
+    flush();
+
+    return { pairs, errors };
+}
+
+/**
+ * 有効な取得元の初期状態（取得中、またはISBNがなければ対象外）を作る
+ * @param {import('./providers.js').ProviderRegistry} registry
+ * @param {string|null} isbn
+ * @returns {{sources: Object<string, null>, sourceStatus: Object<string, string>}}
+ */
+export function initialSourceState(registry, isbn) {
+    const sources = {};
+    const sourceStatus = {};
+    for (const provider of registry.list()) {
+        sources[provider.id] = null;
+        sourceStatus[provider.id] = isbn ? 'loading' : 'skipped';
+    }
+    return { sources, sourceStatus };
+}
+
+/**
+ * ISBNから各取得元の書籍情報をまとめて取得する
+ * @param {import('./providers.js').ProviderRegistry} registry
+ * @param {string|null} isbn
+ * @param {Object} [options]
+ * @param {(id: string, result: Object) => void} [options.onUpdate] 取得元ごとの応答を受け取る
+ * @param {boolean} [options.cacheOnly] 通信せずキャッシュだけを見る（オフライン時）
+ * @returns {Promise<{sources: Object<string, Object|null>, sourceStatus: Object<string, string>}>}
+ */
+export async function lookupSources(registry, isbn, { onUpdate, cacheOnly = false } = {}) {
+    const state = initialSourceState(registry, isbn);
+    if (!isbn) {
+        return state;
+    }
+    await registry.lookup(isbn, {
+        cacheOnly,
+        onUpdate: (id, result) => {
+            state.sources[id] = result.info;
+            state.sourceStatus[id] = result.status;
+            if (onUpdate) onUpdate(id, result);
+        }
+    });
+    return state;
+}
+
+/**
+ * 保存済みの応答を返す fetch を作る（取得元に通信せずに動かす場合）
+ *
+ * fixtures のキーはURL（またはURLに含まれる文字列）、値は応答の本文。
+ * 本文が文字列でなければJSONとして返す。該当するキーがなければ 404 を返す（取得元は該当なしとする）。
+ *
+ * @param {Object<string, string|Object>} fixtures
+ * @returns {(url: string) => Promise<Response>}
+ */
+export function createFixtureFetch(fixtures) {
+    return async (url) => {
+        const key = url in fixtures ? url : Object.keys(fixtures).find((k) => url.includes(k));
+        if (key === undefined) {
+            return new Response('Not Found', { status: 404 });
+        }
+        const body = fixtures[key];
+        return typeof body === 'string'
+            ? new Response(body, { status: 200 })
+            : new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+}
@@ -0,0 +1,79 @@
+// IndexedDBの接続とスキーマ定義
+
+const DB_NAME = 'book-barcode-reader';
+const DB_VERSION = 4;
+
+let openPromise = null;
+
+/**
+ * IDBRequestをPromiseに変換する
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * トランザクションの完了をPromiseで待つ
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+    });
+}
+
+/**
+ * スキーマを最新にする（バージョンごとの差分を順に適用する）
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} tx バージョン変更トランザクション
+ * @param {number} oldVersion
+ */
+function upgrade(db, tx, oldVersion) {
+    if (oldVersion < 1) {
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+        entries.createIndex('sessionId', 'sessionId', { unique: false });
+    }
+    if (oldVersion < 2) {
+        // 書籍情報の取得結果のキャッシュと、オフライン時に未取得の記録
+        const cache = db.createObjectStore('lookupCache', { keyPath: ['provider', 'isbn'] });
+        cache.createIndex('isbn', 'isbn', { unique: false });
+        tx.objectStore('entries').createIndex('lookupState', 'lookupState', { unique: false });
+    }
+    if (oldVersion < 3) {
+        // 書籍を前回読み取った棚を、セッションをまたいで探すため
+        tx.objectStore('entries').createIndex('isbn', 'isbn', { unique: false });
+    }
+    if (oldVersion < 4) {
+        // Webhookで送信する記録の送信待ち（キーは冪等キー）
+        const outbox = db.createObjectStore('webhookOutbox', { keyPath: 'key' });
+        outbox.createIndex('entryId', 'entryId', { unique: false });
+        outbox.createIndex('state', 'state', { unique: false });
+    }
+}
+
+/**
+ * データベースを開く（同じ接続を共有する）
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!openPromise) {
+        if (!('indexedDB' in window)) {
+            return Promise.reject(new Error('このブラウザはIndexedDBに対応していません'));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            upgrade(request.result, request.transaction, e.oldVersion);
+        };
+        openPromise = promisifyRequest(request);
+    }
+    return openPromise;
+}
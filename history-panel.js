@@ -0,0 +1,581 @@
+import { SessionStore } from './session-store.js';
+import { formatISBN } from './isbn-ranges.js';
+import { formatProductCode } from './product-codes.js';
+import { calcTaxIncludedPrice, formatPrice } from './price.js';
+import { getMergedValues } from './reconcile.js';
+import { CLASSIFICATION_VERDICT_LABELS, checkClassification } from './classification.js';
+import { EXPORT_FORMATS, serializeEntries, detectFormat, parseImport } from './book-export.js';
+import { BIB_FORMATS, serializeBibliographic } from './bib-export.js';
+import { NO_LOCATION, describeLocation, filterByLocation, isMisplaced, listLocations } from './location.js';
+import { WEBHOOK_STATE_LABELS } from './webhook.js';
+
+// 数字の文字列を数値にする（数値でなければnull）
+function toNumber(value) {
+    const number = value != null && value !== '' ? Number(value) : NaN;
+    return Number.isFinite(number) ? number : null;
+}
+
+// 並べ替えの項目ごとの、記録から比べる値の取り出し方（値がなければnull）
+const SORT_VALUES = {
+    title: (entry, merged) => merged.titleReading || merged.title,
+    publishedDate: (entry, merged) => merged.publishedDate,
+    pages: (entry, merged) => toNumber(merged.pages),
+    // バーコードの価格を優先し、なければ取得元の価格
+    price: (entry, merged) => (entry.price != null ? entry.price : toNumber(merged.listPrice))
+};
+
+/**
+ * 記録を並べ替える（値のない記録は末尾に、読み取り順のまま並べる）
+ * @param {Object[]} entries 読み取り順
+ * @param {'scanned'|'title'|'publishedDate'|'pages'|'price'} key
+ * @returns {{entry: Object, index: number}[]} index は読み取り順の位置
+ */
+export function sortEntries(entries, key) {
+    const items = entries.map((entry, index) => ({ entry, index }));
+    const getValue = SORT_VALUES[key];
+    if (!getValue) return items;
+
+    const values = new Map(items.map((item) => [item, getValue(item.entry, getMergedValues(item.entry))]));
+    return items.sort((a, b) => {
+        const va = values.get(a);
+        const vb = values.get(b);
+        if (va == null || vb == null) {
+            return (va == null) - (vb == null) || a.index - b.index;
+        }
+        const order = typeof va === 'number' ? va - vb : String(va).localeCompare(String(vb), 'ja');
+        return order || a.index - b.index;
+    });
+}
+
+/**
+ * 文字列をファイルとしてダウンロードさせる
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export function downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * セッション名をファイル名に使える形にする
+ * @param {Object|null} session
+ * @returns {string}
+ */
+export function sessionFileBaseName(session) {
+    return (session ? session.name : 'books').replace(/[\\/:*?"<>|\s]+/g, '_');
+}
+
+/**
+ * 記録のCコードと統合レコードのNDCを照合する
+ * @param {Object} entry
+ * @returns {ReturnType<typeof checkClassification>}
+ */
+function checkEntryClassification(entry) {
+    return checkClassification(entry.ccode, getMergedValues(entry).ndc);
+}
+
+/**
+ * スキャン履歴テーブルとセッション操作を制御するクラス
+ */
+export class SessionHistoryPanel {
+    /**
+     * @param {string} rootId
+     * @param {SessionStore} store
+     * @param {Object} [options]
+     * @param {(entry: Object) => void} [options.onSelect] 行をクリックしたとき
+     * @param {(entry: Object, values: Object) => Promise<Object>} [options.onEdit]
+     *        編集内容（isbn, ccode, memo）を検証し、保存する変更を返す。不正な場合は例外を投げる
+     * @param {(entry: Object) => Promise<void>|void} [options.onUpdate] 編集した記録を保存したとき（保存後の記録）
+     * @param {(entries: Object[]) => void} [options.onChange] 表示中のセッションや記録が変わったとき
+     */
+    constructor(rootId, store, options = {}) {
+        this.root = document.getElementById(rootId);
+        this.store = store;
+        this.onSelect = options.onSelect || null;
+        this.onEdit = options.onEdit || null;
+        this.onUpdate = options.onUpdate || null;
+        this.onChange = options.onChange || null;
+        this.entries = [];
+        this.editingId = null;
+        // 記録のID → Webhookの送信状態（setSyncStates で受け取る）
+        this.syncStates = new Map();
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            sessionSelect: this.root.querySelector('.session-select'),
+            newBtn: this.root.querySelector('.session-new-btn'),
+            renameBtn: this.root.querySelector('.session-rename-btn'),
+            deleteBtn: this.root.querySelector('.session-delete-btn'),
+            count: this.root.querySelector('.history-count'),
+            priceTotal: this.root.querySelector('.history-price-total'),
+            filter: this.root.querySelector('.history-filter'),
+            sort: this.root.querySelector('.history-sort'),
+            locationFilter: this.root.querySelector('.history-location-filter'),
+            tableBody: this.root.querySelector('.history-table tbody'),
+            emptyMessage: this.root.querySelector('.history-empty'),
+            exportBtns: this.root.querySelectorAll('.export-btn:not(.bib-export-btn)'),
+            bibExportBtns: this.root.querySelectorAll('.bib-export-btn'),
+            importInput: this.root.querySelector('.import-input'),
+            importReport: this.root.querySelector('.import-report'),
+            errorDiv: this.root.querySelector('.error')
+        };
+    }
+
+    async init() {
+        this.bindEvents();
+        await this.refresh();
+    }
+
+    bindEvents() {
+        this.elements.sessionSelect.addEventListener('change', async (e) => {
+            this.store.setCurrentSession(Number(e.target.value));
+            this.editingId = null;
+            await this.refresh();
+        });
+
+        this.elements.newBtn.addEventListener('click', async () => {
+            const name = prompt('新しいセッション名を入力してください', SessionStore.defaultSessionName());
+            if (name === null) return;
+            try {
+                const session = await this.store.createSession(name);
+                this.store.setCurrentSession(session.id);
+                this.hideError();
+                await this.refresh();
+            } catch (error) {
+                console.error('セッションの作成エラー:', error);
+                this.showError('セッションを作成できませんでした');
+            }
+        });
+
+        this.elements.renameBtn.addEventListener('click', async () => {
+            try {
+                const current = await this.store.getSession(this.store.currentSessionId);
+                const name = prompt('セッション名を変更します', current ? current.name : '');
+                if (name === null) return;
+                await this.store.renameSession(this.store.currentSessionId, name);
+                this.hideError();
+                await this.refresh();
+            } catch (error) {
+                console.error('セッション名の変更エラー:', error);
+                this.showError('セッション名を変更できませんでした');
+            }
+        });
+
+        this.elements.deleteBtn.addEventListener('click', async () => {
+            if (!confirm('現在のセッションとその記録をすべて削除しますか？')) return;
+            try {
+                await this.store.deleteSession(this.store.currentSessionId);
+                this.hideError();
+                await this.refresh();
+            } catch (error) {
+                console.error('セッションの削除エラー:', error);
+                this.showError('セッションを削除できませんでした');
+            }
+        });
+
+        this.elements.exportBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.exportEntries(btn.dataset.format));
+        });
+        this.elements.bibExportBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.exportBibliographic(btn.dataset.format));
+        });
+
+        if (this.elements.filter) {
+            this.elements.filter.addEventListener('change', () => this.renderEntries());
+        }
+        if (this.elements.sort) {
+            this.elements.sort.addEventListener('change', () => this.renderEntries());
+        }
+        if (this.elements.locationFilter) {
+            this.elements.locationFilter.addEventListener('change', () => this.renderEntries());
+        }
+
+        if (this.elements.importInput) {
+            this.elements.importInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) await this.importFile(file);
+            });
+        }
+    }
+
+    /**
+     * 「棚」で選んでいる棚（すべてならnull、棚なしなら NO_LOCATION）
+     * @returns {string|null}
+     */
+    getSelectedLocation() {
+        const select = this.elements.locationFilter;
+        return select && select.value !== 'all' ? select.value : null;
+    }
+
+    /**
+     * 出力するファイル名（棚を選んでいる場合は棚の名前を付ける）
+     * @returns {Promise<string>} 拡張子を除く
+     */
+    async exportBaseName() {
+        const session = await this.store.getSession(this.store.currentSessionId);
+        const location = this.getSelectedLocation();
+        if (location === null) return sessionFileBaseName(session);
+        const label = location === NO_LOCATION ? '棚なし' : `棚${location}`;
+        return sessionFileBaseName({ name: `${session ? session.name : 'books'}_${label}` });
+    }
+
+    /**
+     * 現在のセッションの記録をファイルとしてダウンロードする（棚を選んでいる場合はその棚の記録だけ）
+     * @param {'csv'|'tsv'|'json'} format
+     */
+    async exportEntries(format) {
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        const entries = filterByLocation(this.entries, this.getSelectedLocation());
+        const content = serializeEntries(entries, format);
+        downloadFile(content, `${await this.exportBaseName()}.${extension}`, mimeType);
+    }
+
+    /**
+     * 現在のセッションの記録を書誌データ形式でダウンロードする（棚を選んでいる場合はその棚の記録だけ）
+     * @param {'marcxml'|'dc'|'bibtex'|'ris'} format
+     */
+    async exportBibliographic(format) {
+        const { extension, suffix, mimeType } = BIB_FORMATS[format];
+        const entries = filterByLocation(this.entries, this.getSelectedLocation());
+        const content = serializeBibliographic(entries, format);
+        downloadFile(content, `${await this.exportBaseName()}${suffix}.${extension}`, mimeType);
+    }
+
+    /**
+     * エクスポートしたファイルを現在のセッションに取り込む
+     * @param {File} file
+     */
+    async importFile(file) {
+        this.hideError();
+        try {
+            const text = await file.text();
+            const { records, errors } = parseImport(text, detectFormat(file.name, text));
+            if (records.length) {
+                await this.store.addEntries(records);
+                await this.refresh();
+            }
+            this.showImportReport(file.name, records.length, errors);
+        } catch (error) {
+            this.showImportReport(file.name, 0, []);
+            this.showError(`${file.name} を読み込めませんでした: ${error.message}`);
+        }
+    }
+
+    showImportReport(filename, importedCount, errors) {
+        const report = this.elements.importReport;
+        if (!report) return;
+        report.textContent = '';
+
+        const summary = document.createElement('p');
+        summary.textContent = `${filename}: ${importedCount} 件を取り込みました` +
+            (errors.length ? `（${errors.length} 件はエラーのため取り込んでいません）` : '');
+        report.appendChild(summary);
+
+        if (errors.length) {
+            const list = document.createElement('ul');
+            for (const { row, message } of errors) {
+                const li = document.createElement('li');
+                li.textContent = `${row} 行目: ${message}`;
+                list.appendChild(li);
+            }
+            report.appendChild(list);
+        }
+        report.classList.toggle('has-errors', errors.length > 0);
+        report.classList.remove('hidden');
+    }
+
+    /**
+     * 記録を追加して表示を更新する
+     * @param {Object} record
+     * @returns {Promise<Object>} 保存された記録
+     */
+    async add(record) {
+        // 棚で読み取った書籍には、前回読み取った棚を付ける（別の棚にあった書籍を知らせるため）
+        if (record.location && record.isbn) {
+            record.previousLocation = await this.store.findLastLocation(record.isbn);
+        }
+        const entry = await this.store.addEntry(record);
+        await this.refresh();
+        return entry;
+    }
+
+    async refresh() {
+        const sessions = await this.store.listSessions();
+        this.renderSessions(sessions);
+        this.entries = await this.store.listEntries();
+        this.renderEntries();
+        if (this.onChange) await this.onChange(this.entries);
+    }
+
+    /**
+     * 記録ごとのWebhookの送信状態を受け取り、表示を更新する
+     * @param {Map<number, {state: string, attempts: number, lastError: string|null}>} states
+     */
+    setSyncStates(states) {
+        this.syncStates = states;
+        this.renderEntries();
+    }
+
+    /**
+     * @param {Object} entry
+     * @returns {string} 送信状態の表示（送信待ちに入っていなければ「-」）
+     */
+    describeSyncState(entry) {
+        const sync = this.syncStates.get(entry.id);
+        return sync ? WEBHOOK_STATE_LABELS[sync.state] : '-';
+    }
+
+    renderSessions(sessions) {
+        const select = this.elements.sessionSelect;
+        select.textContent = '';
+        for (const session of sessions) {
+            const option = document.createElement('option');
+            option.value = String(session.id);
+            option.textContent = session.name;
+            option.selected = session.id === this.store.currentSessionId;
+            select.appendChild(option);
+        }
+    }
+
+    renderEntries() {
+        const tbody = this.elements.tableBody;
+        tbody.textContent = '';
+
+        this.renderLocationOptions();
+        const filter = this.elements.filter ? this.elements.filter.value : 'all';
+        const sort = this.elements.sort ? this.elements.sort.value : 'scanned';
+        const location = this.getSelectedLocation();
+        let shown = 0;
+        // 並べ替えても、番号は読み取り順のままにする
+        sortEntries(this.entries, sort).forEach(({ entry, index: i }) => {
+            if (!this.matchesFilter(entry, filter)) return;
+            if (location !== null && (entry.location || NO_LOCATION) !== location) return;
+            tbody.appendChild(entry.id === this.editingId
+                ? this.createEditRow(entry, i)
+                : this.createRow(entry, i));
+            shown++;
+        });
+
+        this.renderSummary(shown);
+        this.elements.emptyMessage.textContent = this.entries.length
+            ? '表示条件に合う記録はありません。'
+            : 'まだ記録がありません。スキャンすると自動的に追加されます。';
+        this.elements.emptyMessage.classList.toggle('hidden', shown > 0);
+    }
+
+    /**
+     * 「棚」の選択肢を、記録に付いている棚から作り直す（選んでいた棚がなくなった場合は「すべて」に戻す）
+     */
+    renderLocationOptions() {
+        const select = this.elements.locationFilter;
+        if (!select) return;
+        const selected = select.value;
+        const options = [['all', 'すべて'], ...listLocations(this.entries).map((location) => [location, location])];
+        if (this.entries.some((entry) => !entry.location)) {
+            options.push([NO_LOCATION, '棚なし']);
+        }
+
+        select.textContent = '';
+        for (const [value, label] of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = options.some(([value]) => value === selected) ? selected : 'all';
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {'all'|'mismatch'|'unchecked'|'misplaced'} filter
+     * @returns {boolean}
+     */
+    matchesFilter(entry, filter) {
+        if (filter === 'all') return true;
+        if (filter === 'misplaced') return isMisplaced(entry);
+        const { verdict } = checkEntryClassification(entry);
+        return filter === 'mismatch' ? verdict === 'mismatch' : verdict === null;
+    }
+
+    /**
+     * 件数と本体価格の合計（税込換算）を表示する
+     * @param {number} shown 絞り込み後の表示件数
+     */
+    renderSummary(shown) {
+        const priced = this.entries.filter((entry) => entry.price != null);
+        const total = priced.reduce((sum, entry) => sum + entry.price, 0);
+
+        this.elements.count.textContent = shown < this.entries.length
+            ? `${this.entries.length} 件（表示 ${shown} 件）`
+            : `${this.entries.length} 件`;
+        this.elements.priceTotal.textContent = priced.length
+            ? `本体価格合計: ${formatPrice(total)}（税込 ${formatPrice(calcTaxIncludedPrice(total))}、価格判明 ${priced.length} 件）`
+            : '';
+    }
+
+    createRow(entry, index) {
+        const tr = document.createElement('tr');
+        const merged = getMergedValues(entry);
+        const { verdict } = checkEntryClassification(entry);
+        const cells = [
+            String(index + 1),
+            new Date(entry.scannedAt).toLocaleString('ja-JP'),
+            entry.isbn ? formatISBN(entry.isbn) : (entry.product ? formatProductCode(entry.product) : '-'),
+            entry.ccode || '-',
+            entry.price != null ? formatPrice(entry.price) : '-',
+            merged.title || '-',
+            merged.publisher || '-',
+            describeLocation(entry) || '-',
+            verdict ? CLASSIFICATION_VERDICT_LABELS[verdict] : '-',
+            this.describeSyncState(entry),
+            entry.memo || ''
+        ];
+        for (const text of cells) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        if (verdict) tr.classList.add(`verdict-${verdict}`);
+        tr.classList.toggle('misplaced', isMisplaced(entry));
+
+        const sync = this.syncStates.get(entry.id);
+        if (sync) {
+            const syncTd = tr.children[cells.length - 2];
+            syncTd.className = `sync-${sync.state}`;
+            if (sync.lastError) syncTd.title = `${sync.lastError}（${sync.attempts} 回送信）`;
+        }
+
+        tr.addEventListener('click', () => {
+            if (this.onSelect) this.onSelect(entry);
+        });
+
+        const actions = document.createElement('td');
+        actions.className = 'history-actions';
+        actions.appendChild(this.createButton('編集', 'history-edit-btn', () => {
+            this.editingId = entry.id;
+            this.renderEntries();
+        }));
+        actions.appendChild(this.createButton('削除', 'history-delete-btn', async () => {
+            if (!confirm(`${entry.isbn || entry.ccode || (entry.product && entry.product.code) || 'この記録'} を削除しますか？`)) return;
+            try {
+                await this.store.deleteEntry(entry.id);
+                this.hideError();
+                await this.refresh();
+            } catch (error) {
+                console.error('スキャン履歴の削除エラー:', error);
+                this.showError('記録を削除できませんでした');
+            }
+        }));
+        tr.appendChild(actions);
+        return tr;
+    }
+
+    createEditRow(entry, index) {
+        const tr = document.createElement('tr');
+        const merged = getMergedValues(entry);
+        tr.className = 'editing';
+
+        const inputs = {};
+        const addInput = (name, value) => {
+            const td = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `history-input history-input-${name}`;
+            input.value = value || '';
+            td.appendChild(input);
+            tr.appendChild(td);
+            inputs[name] = input;
+        };
+        const addText = (text) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        };
+
+        addText(String(index + 1));
+        addText(new Date(entry.scannedAt).toLocaleString('ja-JP'));
+        addInput('isbn', entry.isbn);
+        addInput('ccode', entry.ccode);
+        addText(entry.price != null ? formatPrice(entry.price) : '-');
+        addText(merged.title || '-');
+        addText(merged.publisher || '-');
+        addInput('location', entry.location);
+        addText('-');
+        addText(this.describeSyncState(entry));
+        addInput('memo', entry.memo);
+
+        const save = async () => {
+            const values = {
+                isbn: inputs.isbn.value,
+                ccode: inputs.ccode.value,
+                location: inputs.location.value,
+                memo: inputs.memo.value
+            };
+            try {
+                const changes = this.onEdit ? await this.onEdit(entry, values) : values;
+                const updated = await this.store.updateEntry(entry.id, changes);
+                if (this.onUpdate) await this.onUpdate(updated);
+                this.editingId = null;
+                this.hideError();
+                await this.refresh();
+            } catch (error) {
+                this.showError(error.message);
+            }
+        };
+
+        const actions = document.createElement('td');
+        actions.className = 'history-actions';
+        actions.appendChild(this.createButton('保存', 'history-save-btn', save));
+        actions.appendChild(this.createButton('取消', 'history-cancel-btn', () => {
+            this.editingId = null;
+            this.hideError();
+            this.renderEntries();
+        }));
+        tr.appendChild(actions);
+
+        for (const input of Object.values(inputs)) {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    save();
+                }
+            });
+        }
+        return tr;
+    }
+
+    createButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    showError(message) {
+        if (!this.elements.errorDiv) return;
+        this.elements.errorDiv.textContent = `❌ エラー: ${message}`;
+        this.elements.errorDiv.classList.remove('hidden');
+    }
+
+    hideError() {
+        if (this.elements.errorDiv) this.elements.errorDiv.classList.add('hidden');
+    }
+}
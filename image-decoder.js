@@ -0,0 +1,311 @@
+// 画像からのEAN-13バーコードの読み取り
+
+import { BarcodeParser } from './barcode-parser.js';
+
+// 各数字の線幅パターン（L符号: 白・黒・白・黒、R符号は黒・白・黒・白で同じ幅、G符号はL符号の逆順）
+const DIGIT_WIDTHS = [
+    [3, 2, 1, 1],
+    [2, 2, 2, 1],
+    [2, 1, 2, 2],
+    [1, 4, 1, 1],
+    [1, 1, 3, 2],
+    [1, 2, 3, 1],
+    [1, 1, 1, 4],
+    [1, 3, 1, 2],
+    [1, 2, 1, 3],
+    [3, 1, 1, 2]
+];
+
+// 左側6桁のL/G符号の組み合わせから1桁目を求める（L = 奇数パリティ）
+const FIRST_DIGIT_PARITY = [
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+    'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+// 1本の走査線に並ぶEAN-13の線（黒白の区間）の数: ガード3 + 左24 + 中央ガード5 + 右24 + ガード3
+const EAN13_RUNS = 59;
+const EAN13_MODULES = 95;
+
+// 数字の照合で許容するずれ（7モジュールに正規化した幅の差の合計）
+const MAX_DIGIT_ERROR = 2.0;
+// ガードの各線で許容するずれ（モジュール単位）
+const MAX_GUARD_ERROR = 0.7;
+
+// 傾いた走査線では別の数字に読み違えることがあるため、この回数以上読めたコードだけを採用する
+const MIN_READ_COUNT = 2;
+
+// 画像を縮小するときの長辺の最大ピクセル数
+const MAX_IMAGE_SIZE = 1600;
+
+/**
+ * 4本の線幅をパターンと照合し、最も近い数字を返す
+ * @param {number[]} widths
+ * @param {boolean} reversed G符号として照合する（パターンを逆順にする）
+ * @returns {{digit: number, error: number}}
+ */
+function matchDigit(widths, reversed) {
+    const total = widths[0] + widths[1] + widths[2] + widths[3];
+    let best = { digit: -1, error: Infinity };
+    for (let digit = 0; digit < 10; digit++) {
+        const pattern = reversed ? DIGIT_WIDTHS[digit].slice().reverse() : DIGIT_WIDTHS[digit];
+        let error = 0;
+        for (let i = 0; i < 4; i++) {
+            error += Math.abs(widths[i] * 7 / total - pattern[i]);
+        }
+        if (error < best.error) {
+            best = { digit, error };
+        }
+    }
+    return best;
+}
+
+/**
+ * ガードの線がそれぞれ1モジュール幅かを確認する
+ * @param {number[]} runs
+ * @param {number} start
+ * @param {number} count
+ * @param {number} moduleWidth
+ * @returns {boolean}
+ */
+function isGuard(runs, start, count, moduleWidth) {
+    for (let i = start; i < start + count; i++) {
+        if (Math.abs(runs[i] / moduleWidth - 1) > MAX_GUARD_ERROR) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * 黒から始まる59本の線（区間の幅）をEAN-13として解読する
+ * @param {number[]} runs 区間の幅の配列
+ * @param {number} offset 開始ガードの最初の黒の位置
+ * @returns {string|null} チェックデジットが一致した13桁、解読できなければnull
+ */
+function decodeRuns(runs, offset) {
+    let total = 0;
+    for (let i = offset; i < offset + EAN13_RUNS; i++) {
+        total += runs[i];
+    }
+    const moduleWidth = total / EAN13_MODULES;
+
+    // 開始ガードの手前には、10モジュール程度の余白（白）があるはず
+    if (offset > 0 && runs[offset - 1] < moduleWidth * 5) {
+        return null;
+    }
+    if (!isGuard(runs, offset, 3, moduleWidth)
+        || !isGuard(runs, offset + 27, 5, moduleWidth)
+        || !isGuard(runs, offset + 56, 3, moduleWidth)) {
+        return null;
+    }
+
+    let digits = '';
+    let parity = '';
+    for (let d = 0; d < 6; d++) {
+        const at = offset + 3 + d * 4;
+        const widths = runs.slice(at, at + 4);
+        const asL = matchDigit(widths, false);
+        const asG = matchDigit(widths, true);
+        const best = asL.error <= asG.error ? { ...asL, parity: 'L' } : { ...asG, parity: 'G' };
+        if (best.error > MAX_DIGIT_ERROR) return null;
+        digits += best.digit;
+        parity += best.parity;
+    }
+    for (let d = 0; d < 6; d++) {
+        const at = offset + 32 + d * 4;
+        const best = matchDigit(runs.slice(at, at + 4), false);
+        if (best.error > MAX_DIGIT_ERROR) return null;
+        digits += best.digit;
+    }
+
+    const firstDigit = FIRST_DIGIT_PARITY.indexOf(parity);
+    if (firstDigit < 0) return null;
+
+    const code = firstDigit + digits;
+    return BarcodeParser.computeEAN13CheckDigit(code) === code[12] ? code : null;
+}
+
+/**
+ * 走査線の明るさを2値化し、白黒が交互に並ぶ区間の幅の配列にする
+ * 照明のむらに対応するため、周囲の平均との比較で白黒を決める
+ * @param {Uint8Array|number[]} line
+ * @returns {{widths: number[], firstDark: number}|null} firstDark は最初の黒の区間の位置
+ */
+function lineToRuns(line) {
+    const n = line.length;
+    if (n < EAN13_MODULES) return null;
+
+    const prefix = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + line[i];
+
+    const radius = Math.max(8, Math.floor(n / 40));
+    const runs = [];
+    let current = null;
+    let length = 0;
+    for (let i = 0; i < n; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(n, i + radius + 1);
+        const mean = (prefix[to] - prefix[from]) / (to - from);
+        const dark = line[i] < mean - 4;
+        if (dark === current) {
+            length++;
+        } else {
+            if (current !== null) runs.push({ dark: current, length });
+            current = dark;
+            length = 1;
+        }
+    }
+    runs.push({ dark: current, length });
+
+    return {
+        widths: runs.map((run) => run.length),
+        firstDark: runs[0].dark ? 0 : 1
+    };
+}
+
+/**
+ * 1本の走査線から読み取れるEAN-13をすべて返す（左右どちら向きでも読む）
+ * @param {Uint8Array|number[]} line
+ * @returns {string[]}
+ */
+export function decodeLine(line) {
+    const found = [];
+    for (const samples of [line, Array.from(line).reverse()]) {
+        const runs = lineToRuns(samples);
+        if (!runs) continue;
+        // 黒の区間は firstDark から1つおきに並ぶ
+        for (let offset = runs.firstDark; offset + EAN13_RUNS <= runs.widths.length; offset += 2) {
+            const code = decodeRuns(runs.widths, offset);
+            if (code) found.push(code);
+        }
+    }
+    return found;
+}
+
+/**
+ * グレースケール画像の上に、指定した角度の平行な走査線を引いて明るさを取り出す
+ * @param {{data: Uint8Array, width: number, height: number}} image
+ * @param {number} angle 走査線の角度（ラジアン）
+ * @param {number} lineCount 走査線の本数
+ * @returns {Uint8Array[]}
+ */
+function sampleLines(image, angle, lineCount) {
+    const { data, width, height } = image;
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const cx = width / 2;
+    const cy = height / 2;
+    const half = Math.hypot(width, height) / 2;
+
+    const lines = [];
+    for (let k = 0; k < lineCount; k++) {
+        const offset = -half + (2 * half * (k + 0.5)) / lineCount;
+        // 走査線の法線方向にずらした基準点
+        const ox = cx - dy * offset;
+        const oy = cy + dx * offset;
+
+        const samples = [];
+        for (let t = -half; t <= half; t++) {
+            const x = Math.round(ox + dx * t);
+            const y = Math.round(oy + dy * t);
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+                samples.push(data[y * width + x]);
+            } else if (samples.length) {
+                break;
+            }
+        }
+        if (samples.length >= EAN13_MODULES) {
+            lines.push(Uint8Array.from(samples));
+        }
+    }
+    return lines;
+}
+
+/**
+ * グレースケール画像からEAN-13バーコードを探して読み取る
+ *
+ * 0〜170度を10度刻みで回転させた走査線で画像全体を調べるため、画像の向きや傾きを問わない。
+ * 複数の走査線で読めたコードほど確からしいとみなし、読み取れた回数の多い順に返す。
+ *
+ * @param {{data: Uint8Array, width: number, height: number}} image 1画素1バイトの明るさ
+ * @param {Object} [options]
+ * @param {number} [options.lineCount] 角度ごとの走査線の本数
+ * @param {number} [options.minCount] 採用に必要な読み取り回数
+ * @returns {{code: string, count: number}[]}
+ */
+export function findBarcodes(image, { lineCount = 60, minCount = MIN_READ_COUNT } = {}) {
+    const counts = new Map();
+    for (let degree = 0; degree < 180; degree += 10) {
+        const angle = (degree * Math.PI) / 180;
+        for (const line of sampleLines(image, angle, lineCount)) {
+            for (const code of decodeLine(line)) {
+                counts.set(code, (counts.get(code) || 0) + 1);
+            }
+        }
+    }
+    return Array.from(counts, ([code, count]) => ({ code, count }))
+        .filter((barcode) => barcode.count >= minCount)
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 読み取ったコードを、書籍の上段（ISBN）と下段（192から始まるコード）に振り分ける
+ * @param {{code: string, count: number}[]} barcodes
+ * @returns {{isbn: string|null, secondTier: string|null, others: string[], missing: string[]}}
+ *          missing は読み取れなかった段（'isbn' / 'secondTier'）
+ */
+export function classifyBookBarcodes(barcodes) {
+    let isbn = null;
+    let secondTier = null;
+    const others = [];
+    for (const { code } of barcodes) {
+        if (!isbn && BarcodeParser.isValidISBN13(code)) {
+            isbn = code;
+        } else if (!secondTier && code.startsWith('192')) {
+            secondTier = code;
+        } else {
+            others.push(code);
+        }
+    }
+    const missing = [];
+    if (!isbn) missing.push('isbn');
+    if (!secondTier) missing.push('secondTier');
+    return { isbn, secondTier, others, missing };
+}
+
+/**
+ * 画像ファイルを読み込み、縮小したグレースケール画像にする（ブラウザ専用）
+ * @param {File|Blob} file
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>}
+ */
+export async function loadGrayscaleImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    if (bitmap.close) bitmap.close();
+
+    const rgba = ctx.getImageData(0, 0, width, height).data;
+    const data = new Uint8Array(width * height);
+    for (let i = 0, j = 0; i < data.length; i++, j += 4) {
+        // ITU-R BT.601 の輝度
+        data[i] = (rgba[j] * 299 + rgba[j + 1] * 587 + rgba[j + 2] * 114) / 1000;
+    }
+    return { data, width, height };
+}
+
+/**
+ * 書籍の裏表紙の写真から、上段（ISBN）と下段（192から始まるコード）を読み取る（ブラウザ専用）
+ * @param {File|Blob} file
+ * @returns {Promise<{isbn: string|null, secondTier: string|null, others: string[], missing: string[]}>}
+ */
+export async function decodeBookImage(file) {
+    const image = await loadGrayscaleImage(file);
+    return classifyBookBarcodes(findBarcodes(image));
+}
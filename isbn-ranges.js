@@ -0,0 +1,210 @@
+// ISBN登録範囲データ（ハイフン区切り表示用）
+// 国際ISBN機関の登録範囲（RangeMessage）から主要なグループを抜粋したもの。
+// 各範囲は [開始, 終了] の文字列で、桁数がそのまま識別子の桁数になる。
+export const ISBN_RANGES = {
+    // 接頭記号ごとのグループ識別子の範囲
+    groups: {
+        '978': [
+            ['0', '5'],
+            ['600', '649'],
+            ['65', '65'],
+            ['7', '7'],
+            ['80', '94'],
+            ['950', '989'],
+            ['9900', '9989'],
+            ['99900', '99999']
+        ],
+        '979': [
+            ['10', '12'],
+            ['8', '8']
+        ]
+    },
+
+    // グループごとの出版者記号の範囲
+    registrants: {
+        // 英語圏（国際ISBN機関の RangeMessage のとおり。割り当ての細かい区切りも省略しない）
+        '978-0': [
+            ['00', '19'],
+            ['200', '227'],
+            ['2280', '2289'],
+            ['229', '368'],
+            ['3690', '3699'],
+            ['370', '638'],
+            ['6390', '6397'],
+            ['6398000', '6399999'],
+            ['640', '644'],
+            ['6450000', '6459999'],
+            ['646', '647'],
+            ['6480000', '6489999'],
+            ['649', '654'],
+            ['6550', '6559'],
+            ['656', '699'],
+            ['7000', '8499'],
+            ['85000', '89999'],
+            ['900000', '900370'],
+            ['9003710', '9003719'],
+            ['900372', '949999'],
+            ['9500000', '9999999']
+        ],
+        '978-1': [
+            ['000', '009'],
+            ['01', '02'],
+            ['030', '034'],
+            ['0350', '0399'],
+            ['040', '045'],
+            ['0460', '0469'],
+            ['047', '047'],
+            ['0480', '0499'],
+            ['05', '05'],
+            ['0665000', '0665749'],
+            ['0665750', '0665999'],
+            ['0666000', '0669999'],
+            ['0670000', '0699999'],
+            ['0700', '0999'],
+            ['100', '397'],
+            ['3980', '5499'],
+            ['55000', '64999'],
+            ['6500', '6799'],
+            ['68000', '68599'],
+            ['6860', '7139'],
+            ['714', '716'],
+            ['7170', '7319'],
+            ['7320000', '7399999'],
+            ['74000', '76199'],
+            ['7620', '7634'],
+            ['7635000', '7649999'],
+            ['76500', '77499'],
+            ['7750000', '7753999'],
+            ['77540', '77639'],
+            ['7764000', '7764999'],
+            ['77650', '77699'],
+            ['7770000', '7782999'],
+            ['77830', '78999'],
+            ['7900', '7999'],
+            ['80000', '80049'],
+            ['80050', '80499'],
+            ['80500', '83799'],
+            ['8380000', '8384999'],
+            ['83850', '86719'],
+            ['8672', '8675'],
+            ['86760', '86979'],
+            ['869800', '915999'],
+            ['9160000', '9165059'],
+            ['916506', '916869'],
+            ['9168700', '9169079'],
+            ['916908', '919163'],
+            ['9191640', '9195649'],
+            ['919565', '919599'],
+            ['9196000', '9196549'],
+            ['919655', '972999'],
+            ['9730', '9877'],
+            ['987800', '991149'],
+            ['9911500', '9911999'],
+            ['991200', '998989'],
+            ['9989900', '9999999']
+        ],
+        // ドイツ語圏
+        '978-3': [
+            ['00', '02'],
+            ['030', '033'],
+            ['0340', '0369'],
+            ['03700', '03999'],
+            ['04', '19'],
+            ['200', '699'],
+            ['7000', '8499'],
+            ['85000', '89999'],
+            ['900000', '949999'],
+            ['9500000', '9539999'],
+            ['95400', '96999'],
+            ['9700000', '9849999'],
+            ['98500', '99999']
+        ],
+        // 日本
+        '978-4': [
+            ['00', '19'],
+            ['200', '699'],
+            ['7000', '8499'],
+            ['85000', '89999'],
+            ['900000', '949999'],
+            ['9500000', '9999999']
+        ],
+        // 中国
+        '978-7': [
+            ['00', '09'],
+            ['100', '499'],
+            ['5000', '7999'],
+            ['80000', '89999'],
+            ['900000', '999999']
+        ],
+        // フランス（979）
+        '979-10': [
+            ['00', '19'],
+            ['200', '699'],
+            ['7000', '8999'],
+            ['90000', '97599'],
+            ['976000', '999999']
+        ],
+        // 韓国（979）
+        '979-11': [
+            ['00', '24'],
+            ['250', '549'],
+            ['5500', '8499'],
+            ['85000', '94999'],
+            ['950000', '999999']
+        ]
+    }
+};
+
+// 範囲リストから、digitsの先頭が該当する識別子の桁数を返す
+function findRangeLength(ranges, digits) {
+    for (const [start, end] of ranges) {
+        const head = digits.substring(0, start.length).padEnd(start.length, '0');
+        if (head >= start && head <= end) {
+            return start.length;
+        }
+    }
+    return 0;
+}
+
+// ISBN-13をハイフン区切りに分解する関数
+// 例: 9784101001012 -> { prefix: '978', group: '4', registrant: '10', publication: '100101', checkDigit: '2' }
+export function splitISBN(isbn) {
+    if (!isbn || !/^\d{13}$/.test(isbn)) {
+        return null;
+    }
+
+    const prefix = isbn.substring(0, 3);
+    const body = isbn.substring(3, 12);
+    const checkDigit = isbn[12];
+
+    const groupRanges = ISBN_RANGES.groups[prefix];
+    const groupLength = groupRanges ? findRangeLength(groupRanges, body) : 0;
+    if (!groupLength) {
+        return null;
+    }
+    const group = body.substring(0, groupLength);
+
+    const registrantRanges = ISBN_RANGES.registrants[`${prefix}-${group}`];
+    const rest = body.substring(groupLength);
+    const registrantLength = registrantRanges ? findRangeLength(registrantRanges, rest) : 0;
+    if (!registrantLength || registrantLength >= rest.length) {
+        return null;
+    }
+
+    return {
+        prefix,
+        group,
+        registrant: rest.substring(0, registrantLength),
+        publication: rest.substring(registrantLength),
+        checkDigit
+    };
+}
+
+// ISBN-13をハイフン区切りで表示する関数（登録範囲が不明な場合はそのまま返す）
+export function formatISBN(isbn) {
+    const parts = splitISBN(isbn);
+    if (!parts) {
+        return isbn;
+    }
+    return [parts.prefix, parts.group, parts.registrant, parts.publication, parts.checkDigit].join('-');
+}
@@ -0,0 +1,81 @@
+// 棚の表示（読み取り中の棚と、前回と別の棚で読み取った書籍の警告）
+
+import { isMisplaced, loadCurrentLocation, normalizeLocation, saveCurrentLocation } from './location.js';
+import { getMergedValues } from './reconcile.js';
+
+/**
+ * 読み取り中の棚を表示・変更するクラス
+ *
+ * 棚のバーコードを読み取るか「棚を入力」で棚を指定すると、以降に読み取る書籍の記録にその棚を付ける。
+ * 棚はブラウザに保存し、ページを再読み込みしても同じ棚で続けられるようにする。
+ */
+export class LocationPanel {
+    /**
+     * @param {string} rootId
+     * @param {Object} [options]
+     * @param {(location: string|null) => void} [options.onChange] 読み取り中の棚が変わったとき
+     */
+    constructor(rootId, { onChange } = {}) {
+        this.root = document.getElementById(rootId);
+        this.onChange = onChange || null;
+        this.location = loadCurrentLocation();
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            current: this.root.querySelector('.location-current'),
+            setBtn: this.root.querySelector('.location-set-btn'),
+            clearBtn: this.root.querySelector('.location-clear-btn'),
+            warning: this.root.querySelector('.location-warning')
+        };
+    }
+
+    init() {
+        this.elements.setBtn.addEventListener('click', () => {
+            const location = prompt('読み取り中の棚を入力してください', this.location || '');
+            if (location === null) return;
+            this.setLocation(location);
+        });
+        this.elements.clearBtn.addEventListener('click', () => this.setLocation(null));
+        this.render();
+    }
+
+    /**
+     * 読み取り中の棚を変更する
+     * @param {string|null} location 空またはnullなら棚の指定を解除する
+     */
+    setLocation(location) {
+        this.location = normalizeLocation(location);
+        saveCurrentLocation(this.location);
+        this.hideWarning();
+        this.render();
+        if (this.onChange) this.onChange(this.location);
+    }
+
+    render() {
+        this.root.classList.toggle('active', Boolean(this.location));
+        this.elements.current.textContent = this.location || '未指定（棚のバーコードを読み取ると、以降の書籍に棚を記録します）';
+        this.elements.clearBtn.disabled = !this.location;
+    }
+
+    /**
+     * 保存した記録が前回と別の棚で読み取られていれば警告する
+     * @param {Object|null} entry
+     */
+    showScanResult(entry) {
+        if (!entry || !isMisplaced(entry)) {
+            this.hideWarning();
+            return;
+        }
+        const title = getMergedValues(entry).title || entry.isbn;
+        this.elements.warning.textContent = `⚠️ 「${title}」は前回 ${entry.previousLocation} で読み取られています（今回 ${entry.location}）`;
+        this.elements.warning.classList.remove('hidden');
+    }
+
+    hideWarning() {
+        this.elements.warning.classList.add('hidden');
+    }
+}
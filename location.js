@@ -0,0 +1,84 @@
+// 棚の場所（読み取り中の棚の保存と、書籍を前回読み取った棚との照合）
+
+// 読み取り中の棚を保存するlocalStorageのキー
+const CURRENT_LOCATION_KEY = 'bookReader.currentLocation';
+
+/** 履歴の「棚」の絞り込みで、棚の付いていない記録を表す値 */
+export const NO_LOCATION = '';
+
+function getStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+/**
+ * 読み取り中の棚を読み込む（ページを再読み込みしても同じ棚で続けられるようにする）
+ * @returns {string|null}
+ */
+export function loadCurrentLocation() {
+    const storage = getStorage();
+    return (storage && storage.getItem(CURRENT_LOCATION_KEY)) || null;
+}
+
+/**
+ * 読み取り中の棚を保存する
+ * @param {string|null} location nullなら棚の指定を解除する
+ */
+export function saveCurrentLocation(location) {
+    const storage = getStorage();
+    if (!storage) return;
+    if (location) {
+        storage.setItem(CURRENT_LOCATION_KEY, location);
+    } else {
+        storage.removeItem(CURRENT_LOCATION_KEY);
+    }
+}
+
+/**
+ * 棚の名前の表記をそろえる（全角・半角と、前後・連続する空白）
+ * @param {string|null} location
+ * @returns {string|null} 空ならnull
+ */
+export function normalizeLocation(location) {
+    const text = String(location || '').normalize('NFKC').trim().replace(/\s+/g, ' ');
+    return text || null;
+}
+
+/**
+ * 前回とは別の棚で読み取った記録か
+ * @param {{location?: string|null, previousLocation?: string|null}} entry
+ * @returns {boolean}
+ */
+export function isMisplaced(entry) {
+    return Boolean(entry.location && entry.previousLocation && entry.location !== entry.previousLocation);
+}
+
+/**
+ * 記録の棚の表示（前回と別の棚なら前回の棚も示す）
+ * @param {Object} entry
+ * @returns {string} 棚がなければ空文字
+ */
+export function describeLocation(entry) {
+    if (!entry.location) return '';
+    return isMisplaced(entry) ? `${entry.location}（⚠️ 前回は ${entry.previousLocation}）` : entry.location;
+}
+
+/**
+ * 記録に付いている棚の一覧
+ * @param {Object[]} entries
+ * @returns {string[]} 棚の名前の順（「A-2」は「A-10」より前）
+ */
+export function listLocations(entries) {
+    const locations = new Set(entries.map((entry) => entry.location).filter(Boolean));
+    return [...locations].sort((a, b) => a.localeCompare(b, 'ja', { numeric: true }));
+}
+
+/**
+ * 棚で記録を絞り込む
+ * @param {Object[]} entries
+ * @param {string|null} location null ならすべて、NO_LOCATION なら棚の付いていない記録
+ * @returns {Object[]}
+ */
+export function filterByLocation(entries, location) {
+    if (location === null) return entries;
+    return entries.filter((entry) => (entry.location || NO_LOCATION) === location);
+}
@@ -0,0 +1,77 @@
+// 書籍情報の取得結果のキャッシュ
+
+import { APP_CONFIG } from './config.js';
+import { openDatabase, promisifyRequest, promisifyTransaction } from './db.js';
+
+/**
+ * 取得元ごとの取得結果をISBN単位でIndexedDBに保存するクラス
+ *
+ * 「取得済み」「該当なし」の結果だけを保存し、通信エラーやタイムアウトは保存しない。
+ * 有効期限（APP_CONFIG.cache.ttl）を過ぎた結果は使わずに取得し直す。
+ */
+export class LookupCache {
+    constructor(ttl = APP_CONFIG.cache.ttl) {
+        this.db = null;
+        this.ttl = ttl;
+    }
+
+    async open() {
+        this.db = await openDatabase();
+    }
+
+    _store(mode = 'readonly') {
+        const tx = this.db.transaction('lookupCache', mode);
+        return { tx, store: tx.objectStore('lookupCache') };
+    }
+
+    /**
+     * @param {string} provider 取得元のキー（ProviderRegistry#getCacheKey。URLを変更した取得元はURLを含む）
+     * @param {string} isbn
+     * @returns {Promise<{status: string, info: Object|null, fetchedAt: string}|null>} 期限切れ・未保存ならnull
+     */
+    async get(provider, isbn) {
+        const { store } = this._store();
+        const item = await promisifyRequest(store.get([provider, isbn]));
+        if (!item || Date.now() - new Date(item.fetchedAt).getTime() > this.ttl) {
+            return null;
+        }
+        return { status: item.status, info: item.info, fetchedAt: item.fetchedAt };
+    }
+
+    /**
+     * @param {string} provider 取得元のキー（ProviderRegistry#getCacheKey）
+     * @param {string} isbn
+     * @param {{status: string, info: Object|null}} result
+     */
+    async put(provider, isbn, result) {
+        if (result.status !== 'found' && result.status !== 'not-found') {
+            return;
+        }
+        const { tx, store } = this._store('readwrite');
+        store.put({
+            provider,
+            isbn,
+            status: result.status,
+            info: result.info,
+            fetchedAt: new Date().toISOString()
+        });
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * @returns {Promise<number>} 保存している結果の件数（取得元×ISBN）
+     */
+    async count() {
+        const { store } = this._store();
+        return promisifyRequest(store.count());
+    }
+
+    /**
+     * キャッシュをすべて削除する
+     */
+    async purge() {
+        const { tx, store } = this._store('readwrite');
+        store.clear();
+        await promisifyTransaction(tx);
+    }
+}
@@ -0,0 +1,146 @@
+// オフライン時に書籍情報を取得できなかった記録の再取得
+
+import { APP_CONFIG } from './config.js';
+
+/**
+ * 取得状態から、後で取得し直す必要があるかを判定する
+ * オフラインで未取得の取得元があるか、対象の取得元がすべて通信エラー・タイムアウトなら再取得する
+ * @param {Object<string, string>} sourceStatus 取得元ID → 取得状態
+ * @returns {boolean}
+ */
+export function isLookupIncomplete(sourceStatus) {
+    const states = Object.values(sourceStatus || {}).filter((state) => state !== 'skipped');
+    if (!states.length) return false;
+    if (states.includes('pending')) return true;
+    return states.every((state) => state === 'error' || state === 'timeout');
+}
+
+/**
+ * 何回目の再取得の失敗の後に、どれだけ待って取得し直すか
+ * @param {number} attempts 取得し直せなかった回数（1以上）
+ * @param {{retryDelay: number, maxRetryDelay: number}} [config]
+ * @returns {number} ミリ秒
+ */
+export function getLookupRetryDelay(attempts, config = APP_CONFIG.pendingLookup) {
+    return Math.min(config.retryDelay * 2 ** (attempts - 1), config.maxRetryDelay);
+}
+
+/**
+ * 未取得の記録を、接続が回復したときにまとめて取得し直すクラス
+ *
+ * オンラインでも取得し直せなかった記録（一部の取得元が通信エラーを返し続けるなど）は、
+ * 記録ごとに待ち時間を倍々に延ばして後回しにし、ほかの記録の再取得を続ける。
+ */
+export class PendingLookupQueue {
+    /**
+     * @param {import('./session-store.js').SessionStore} store
+     * @param {(isbn: string) => Promise<{sources: Object, sourceStatus: Object}>} lookup
+     * @param {Object} [options]
+     * @param {(pendingCount: number) => void} [options.onChange] 未取得の件数が変わったとき
+     * @param {(entry: Object) => Promise<void>|void} [options.onComplete] 記録の書籍情報を取得し直して保存したとき
+     */
+    constructor(store, lookup, options = {}) {
+        this.store = store;
+        this.lookup = lookup;
+        this.onChange = options.onChange || null;
+        this.onComplete = options.onComplete || null;
+        this.processing = false;
+        this.timer = null;
+    }
+
+    /**
+     * 接続の回復を監視し、起動時点で未取得の記録があれば取得を始める
+     * 接続が回復したときは、後回しにしていた記録も待たずに取得し直す
+     */
+    start() {
+        window.addEventListener('online', () => this.process({ force: true }));
+        this.process();
+    }
+
+    async count() {
+        return this.store.countPendingEntries();
+    }
+
+    async notify() {
+        if (this.onChange) this.onChange(await this.count());
+    }
+
+    /**
+     * 未取得の記録を古い順に取得し直す
+     * 取得し直せなかった記録は待ち時間を空けるまで後回しにし、接続が切れた場合は残りを次の機会に回す
+     * 連続読み取りが取得中の記録（lookupState が 'loading'）は対象にしない
+     * @param {Object} [options]
+     * @param {boolean} [options.force] 後回しにしている記録も、待ち時間を待たずに取得し直す（「今すぐ取得」）
+     */
+    async process({ force = false } = {}) {
+        if (this.processing) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!navigator.onLine) {
+            await this.notify();
+            return;
+        }
+
+        this.processing = true;
+        try {
+            const entries = await this.store.listPendingEntries();
+            for (const entry of entries) {
+                if (!navigator.onLine) break;
+                if (!force && entry.nextLookupAt && Date.parse(entry.nextLookupAt) > Date.now()) continue;
+                // 一覧を読んだ後に連続読み取りが取得を始めた（または削除された）記録は、重ねて取得しない
+                if (!(await this.isStillPending(entry.id))) continue;
+
+                let result = null;
+                try {
+                    result = await this.lookup(entry.isbn);
+                } catch (error) {
+                    console.error('未取得の記録の再取得エラー:', error);
+                }
+                if (!(await this.isStillPending(entry.id))) continue;
+                if (!result || isLookupIncomplete(result.sourceStatus)) {
+                    const lookupAttempts = (entry.lookupAttempts || 0) + 1;
+                    await this.store.updateEntry(entry.id, {
+                        lookupAttempts,
+                        nextLookupAt: new Date(Date.now() + getLookupRetryDelay(lookupAttempts)).toISOString()
+                    });
+                    continue;
+                }
+                const updated = await this.store.updateEntry(entry.id, {
+                    sources: result.sources,
+                    sourceStatus: result.sourceStatus,
+                    lookupState: undefined,
+                    lookupAttempts: undefined,
+                    nextLookupAt: undefined
+                });
+                if (this.onComplete) await this.onComplete(updated);
+                await this.notify();
+            }
+        } catch (error) {
+            console.error('未取得の記録の再取得エラー:', error);
+        } finally {
+            this.processing = false;
+            await this.schedule();
+            await this.notify();
+        }
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<boolean>} 記録が残っていて、まだ未取得か
+     */
+    async isStillPending(id) {
+        const entry = await this.store.getEntry(id);
+        return Boolean(entry) && entry.lookupState === 'pending';
+    }
+
+    /**
+     * 後回しにした記録のうち、最も早く待ち時間を過ぎる記録に合わせて再取得を予約する
+     */
+    async schedule() {
+        const times = (await this.store.listPendingEntries())
+            .map((entry) => (entry.nextLookupAt ? Date.parse(entry.nextLookupAt) : Date.now()));
+        if (!times.length) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.process(), Math.max(0, Math.min(...times) - Date.now()));
+    }
+}
@@ -0,0 +1,94 @@
+// 接続状態・未取得件数・送信待ちの件数・キャッシュの表示
+
+/**
+ * 接続状態と、オフライン時に未取得の記録の件数、Webhookの送信待ち・送信失敗の件数、キャッシュの操作を表示するクラス
+ */
+export class NetworkStatusBar {
+    /**
+     * @param {string} rootId
+     * @param {Object} options
+     * @param {import('./lookup-queue.js').PendingLookupQueue} options.queue
+     * @param {import('./lookup-cache.js').LookupCache} options.cache
+     * @param {import('./webhook-outbox.js').WebhookOutbox} [options.outbox]
+     */
+    constructor(rootId, { queue, cache, outbox }) {
+        this.root = document.getElementById(rootId);
+        this.queue = queue;
+        this.cache = cache;
+        this.outbox = outbox || null;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            indicator: this.root.querySelector('.connection-indicator'),
+            pendingBadge: this.root.querySelector('.pending-badge'),
+            retryBtn: this.root.querySelector('.retry-pending-btn'),
+            webhookBadge: this.root.querySelector('.webhook-badge'),
+            webhookRetryBtn: this.root.querySelector('.webhook-retry-btn'),
+            cacheInfo: this.root.querySelector('.cache-info'),
+            purgeBtn: this.root.querySelector('.purge-cache-btn')
+        };
+    }
+
+    async init() {
+        window.addEventListener('online', () => this.renderConnection());
+        window.addEventListener('offline', () => this.renderConnection());
+
+        this.elements.retryBtn.addEventListener('click', () => this.queue.process({ force: true }));
+        this.elements.webhookRetryBtn.addEventListener('click', () => {
+            if (this.outbox) this.outbox.retryFailed();
+        });
+        this.elements.purgeBtn.addEventListener('click', async () => {
+            if (!confirm('保存している書籍情報のキャッシュをすべて削除しますか？')) return;
+            await this.cache.purge();
+            await this.refreshCacheInfo();
+        });
+
+        this.renderConnection();
+        this.setPendingCount(await this.queue.count());
+        if (this.outbox) this.setWebhookCounts(await this.outbox.countByState());
+        await this.refreshCacheInfo();
+    }
+
+    renderConnection() {
+        const online = navigator.onLine;
+        this.elements.indicator.textContent = online ? '🟢 オンライン' : '🔴 オフライン';
+        this.elements.indicator.classList.toggle('offline', !online);
+        this.elements.retryBtn.disabled = !online;
+        this.elements.webhookRetryBtn.disabled = !online;
+    }
+
+    /**
+     * @param {number} count 書籍情報を取得できていない記録の件数
+     */
+    setPendingCount(count) {
+        this.elements.pendingBadge.textContent = `未取得 ${count} 件`;
+        this.elements.pendingBadge.classList.toggle('hidden', count === 0);
+        this.elements.retryBtn.classList.toggle('hidden', count === 0);
+    }
+
+    /**
+     * @param {{pending: number, failed: number}} counts Webhookの送信待ち・送信失敗の件数
+     */
+    setWebhookCounts({ pending, failed }) {
+        const parts = [];
+        if (pending) parts.push(`送信待ち ${pending} 件`);
+        if (failed) parts.push(`送信失敗 ${failed} 件`);
+        this.elements.webhookBadge.textContent = parts.join('・');
+        this.elements.webhookBadge.classList.toggle('hidden', !parts.length);
+        this.elements.webhookBadge.classList.toggle('failed', failed > 0);
+        this.elements.webhookRetryBtn.classList.toggle('hidden', !failed);
+    }
+
+    async refreshCacheInfo() {
+        try {
+            const count = await this.cache.count();
+            this.elements.cacheInfo.textContent = `キャッシュ ${count} 件`;
+        } catch (error) {
+            console.error('キャッシュ件数の取得エラー:', error);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+// 価格の計算・表示
+
+import { APP_CONFIG } from './config.js';
+
+// 本体価格（税抜）から税込価格を計算する関数（1円未満切り捨て）
+export function calcTaxIncludedPrice(price, taxRate = APP_CONFIG.price.taxRate) {
+    if (price == null) {
+        return null;
+    }
+    return Math.floor(price * (1 + taxRate));
+}
+
+// 税込価格から本体価格（税抜）を求める関数（calcTaxIncludedPrice で切り捨てた税込価格から元の本体価格に戻る）
+export function calcTaxExcludedPrice(price, taxRate = APP_CONFIG.price.taxRate) {
+    if (price == null) {
+        return null;
+    }
+    // 割り算の誤差で「1320 / 1.1」が 1200 をわずかに超えても 1201 にしないよう、ごく小さな値を引いてから切り上げる
+    return Math.ceil(price / (1 + taxRate) - 1e-9);
+}
+
+// 価格を「1,234円」の形式で表示する関数
+export function formatPrice(price) {
+    if (price == null) {
+        return '-';
+    }
+    return `${Number(price).toLocaleString('ja-JP')}円`;
+}
+
+// 税率を「10%」の形式で表示する関数
+export function formatTaxRate(taxRate = APP_CONFIG.price.taxRate) {
+    return `${Math.round(taxRate * 1000) / 10}%`;
+}
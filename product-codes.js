@@ -0,0 +1,57 @@
+// 書籍以外のバーコード（雑誌JANコード・ISMN・一般の商品のJANコード）の表示
+
+/** 書籍以外のバーコードの種類の表示名（BarcodeParser.parseProductCode の type） */
+export const PRODUCT_TYPE_LABELS = {
+    magazine: '雑誌',
+    ismn: '楽譜（ISMN）',
+    ean: '一般の商品（JAN）'
+};
+
+/**
+ * ISMNを「979-0-出版者と番号-チェックデジット」の形式で表示する
+ * 出版者と番号の区切りは登録範囲によって異なるため、まとめて表示する
+ * @param {string} code 13桁
+ * @returns {string}
+ */
+export function formatISMN(code) {
+    return `979-0-${code.substring(4, 12)}-${code[12]}`;
+}
+
+/**
+ * 履歴などに表示する短い表記（例: 「雑誌 4910123450546」）
+ * @param {{type: string, code: string}} product
+ * @returns {string}
+ */
+export function formatProductCode(product) {
+    const code = product.type === 'ismn' ? formatISMN(product.code) : product.code;
+    return `${PRODUCT_TYPE_LABELS[product.type] || product.type} ${code}`;
+}
+
+/**
+ * 書籍以外のバーコードの内容を、表示する項目（見出しと値）に分ける
+ * @param {Object} product BarcodeParser.parseProductCode の結果
+ * @returns {[string, string][]}
+ */
+export function describeProductCode(product) {
+    const rows = [['種類', PRODUCT_TYPE_LABELS[product.type] || product.type]];
+
+    if (product.type === 'magazine') {
+        rows.push(
+            ['雑誌コード', product.magazineCode],
+            // 年号は西暦の末尾1桁だけのため、年代は分からない
+            ['号', `${product.issue}号（年の末尾 ${product.yearDigit}）`],
+            ['価格（アドオン）', product.price != null ? `${product.price.toLocaleString('ja-JP')}円` : 'アドオンなし']
+        );
+    } else if (product.type === 'ismn') {
+        rows.push(['ISMN', formatISMN(product.code)]);
+    } else {
+        rows.push(['JANコード', product.code]);
+        // 45・49 は日本の事業者に割り当てられた国コード
+        if (/^4[59]/.test(product.code)) {
+            rows.push(['国コード', `${product.code.substring(0, 2)}（日本）`]);
+        }
+    }
+
+    rows.push(['書籍情報', '取得対象外（ISBNのある書籍だけを取得元に問い合わせます）']);
+    return rows;
+}
@@ -0,0 +1,606 @@
+// 書籍情報の取得元（プロバイダ）と登録・呼び出しの管理
+
+import { APP_CONFIG } from './config.js';
+import { calcTaxExcludedPrice } from './price.js';
+
+/**
+ * 取得元の呼び出しに失敗したことを表すエラー
+ *
+ * status は画面に出し分ける状態（'error' = 通信エラー、'timeout' = タイムアウト）、
+ * retryable は再試行で回復する見込みがあるかどうか。
+ */
+export class ProviderError extends Error {
+    constructor(message, { status = 'error', retryable = true } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * fetchを呼び出し、失敗をProviderErrorに変換する
+ * HTTP 404 は該当なし（社内のミラーやテスト用のサーバーは、見つからないISBNに 404 を返す場合がある）としてnullを返す
+ * @param {string} url
+ * @param {{signal?: AbortSignal, fetch?: typeof fetch}} [options] fetch を渡すと、その関数で通信する（テスト用のデータを返す場合など）
+ * @returns {Promise<Response|null>} 該当なしならnull
+ */
+async function fetchOrThrow(url, { signal, fetch: fetchImpl = globalThis.fetch } = {}) {
+    let response;
+    try {
+        response = await fetchImpl(url, { signal });
+    } catch (error) {
+        if (error && error.name === 'AbortError') {
+            throw error;
+        }
+        throw new ProviderError('ネットワークに接続できませんでした');
+    }
+
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        // 5xxと429は一時的な障害として再試行する
+        const retryable = response.status >= 500 || response.status === 429;
+        throw new ProviderError(`書籍情報の取得に失敗しました（HTTP ${response.status}）`, { retryable });
+    }
+    return response;
+}
+
+// XMLの文字参照・定義済み実体参照を文字に戻す
+function decodeXmlEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(lt|gt|amp|quot|apos));/g, (match, hex, dec, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (dec) return String.fromCodePoint(parseInt(dec, 10));
+        return named[name];
+    });
+}
+
+/**
+ * XMLの文字列から、指定したローカル名（名前空間接頭辞は問わない）の要素のテキストをすべて取り出す
+ *
+ * DOMParserのないNode.jsでも動くよう、正規表現で要素を探す。
+ * 入れ子の要素はタグを除いたテキストにし、CDATAはそのまま取り出す。
+ *
+ * @param {string} xmlText
+ * @param {string} localName
+ * @returns {string[]} 空のテキストは除く
+ */
+export function getXmlTexts(xmlText, localName) {
+    const pattern = new RegExp(`<(?:[\\w.-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${localName}\\s*>`, 'g');
+    const values = [];
+    for (const match of xmlText.matchAll(pattern)) {
+        const text = match[1]
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>|<[^>]*>/g, (tag, cdata) => (cdata !== undefined ? cdata : ''));
+        const value = decodeXmlEntities(text).trim();
+        if (value) values.push(value);
+    }
+    return values;
+}
+
+/**
+ * 取得元のURLに、パスとクエリをつなげる
+ * @param {string} baseUrl 末尾の / はあってもなくてもよい
+ * @param {string} path / から始まるパス
+ * @returns {string}
+ */
+function joinUrl(baseUrl, path) {
+    return `${baseUrl.replace(/\/+$/, '')}${path}`;
+}
+
+/**
+ * 出版日の表記を「YYYY-MM-DD」「YYYY-MM」「YYYY」のいずれかにそろえる（並べ替えと比較のため）
+ * 「2004-06-15」「20040615」「2004.6」「2004年6月」「[2004]」などを受け付ける
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+export function normalizeDate(value) {
+    const match = /(\d{4})(?:[-./年]?(\d{1,2})(?:[-./月]?(\d{1,2}))?)?/.exec(String(value || '').normalize('NFKC'));
+    if (!match) return null;
+    const [, year, month, day] = match;
+    const monthNumber = Number(month);
+    if (!month || monthNumber < 1 || monthNumber > 12) return year;
+    const date = `${year}-${String(monthNumber).padStart(2, '0')}`;
+    const dayNumber = Number(day);
+    return day && dayNumber >= 1 && dayNumber <= 31 ? `${date}-${String(dayNumber).padStart(2, '0')}` : date;
+}
+
+/**
+ * 数字だけを取り出す（「1,200円」→「1200」、「318p ; 15cm」→「318」）
+ * @param {string|number|null} value
+ * @param {RegExp} [pattern] 数字を探す位置（最初のグループが数字）
+ * @returns {string|null} 0 や数字がなければnull
+ */
+function extractNumber(value, pattern = /([\d,]+)/) {
+    const match = pattern.exec(String(value == null ? '' : value).normalize('NFKC'));
+    const digits = match ? match[1].replace(/,/g, '') : '';
+    return Number(digits) > 0 ? String(Number(digits)) : null;
+}
+
+// 内容紹介のHTMLタグを除く（Google Books の description は <p> や <br> を含む場合がある）
+function stripHtml(value) {
+    if (!value) return null;
+    const text = decodeXmlEntities(String(value).replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]*>/g, '')).trim();
+    return text || null;
+}
+
+class GoogleBooksService {
+    static id = 'google';
+    static label = 'Google Books';
+    static fields = ['title', 'subtitle', 'volume', 'publisher', 'authors', 'publishedDate', 'pages', 'listPrice', 'description', 'cover'];
+    static baseUrl = 'https://www.googleapis.com/books/v1';
+    static settings = ['baseUrl', 'apiKey'];
+
+    static async fetchByISBN(isbn, { signal, fetch, baseUrl = this.baseUrl, apiKey } = {}) {
+        const key = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+        const response = await fetchOrThrow(joinUrl(baseUrl, `/volumes?q=isbn:${isbn}${key}`), { signal, fetch });
+        if (!response) return null;
+
+        const data = await response.json();
+        if (!data || data.totalItems === 0 || !Array.isArray(data.items) || !data.items[0]) {
+            return null;
+        }
+
+        const item = data.items[0];
+        const v = item.volumeInfo || {};
+
+        // 巻数はGoogle Booksで一貫して返ってくるフィールドがないため、あれば拾う（なければ不明扱い）
+        const volume = (v.seriesInfo && v.seriesInfo.bookDisplayNumber) || v.volumeNumber || null;
+
+        // 価格は日本円の定価（なければ販売価格）だけを使う。Google Books の価格は税込のため、
+        // ほかの取得元（本体価格）と比べられるよう本体価格に直す
+        const saleInfo = item.saleInfo || {};
+        const price = [saleInfo.listPrice, saleInfo.retailPrice].find((p) => p && p.currencyCode === 'JPY');
+        const taxIncludedPrice = price ? extractNumber(price.amount) : null;
+        // 書影はhttpのURLで返る場合があるため、混在コンテンツにならないようhttpsにする
+        const images = v.imageLinks || {};
+        const cover = images.thumbnail || images.smallThumbnail || null;
+
+        return {
+            title: v.title || null,
+            subtitle: v.subtitle || null,
+            volume: volume ? String(volume) : null,
+            publisher: v.publisher || null,
+            authors: Array.isArray(v.authors) ? v.authors.join(', ') : null,
+            publishedDate: normalizeDate(v.publishedDate),
+            pages: extractNumber(v.pageCount),
+            listPrice: taxIncludedPrice ? String(calcTaxExcludedPrice(Number(taxIncludedPrice))) : null,
+            description: stripHtml(v.description),
+            cover: cover ? cover.replace(/^http:/, 'https:') : null
+        };
+    }
+}
+
+class NdlSearchService {
+    static id = 'ndl';
+    static label = 'NDLサーチ';
+    static fields = ['title', 'titleReading', 'subtitle', 'volume', 'publisher', 'authors', 'authorsReading',
+        'publishedDate', 'pages', 'listPrice', 'ndc'];
+    static baseUrl = 'https://iss.ndl.go.jp/api';
+    static settings = ['baseUrl'];
+
+    static _getFirstText(xml, localName) {
+        return getXmlTexts(xml, localName)[0] || null;
+    }
+
+    static _getAllTexts(xml, localName) {
+        const values = getXmlTexts(xml, localName);
+        return values.length ? values : null;
+    }
+
+    static async fetchByISBN(isbn, { signal, fetch, baseUrl = this.baseUrl } = {}) {
+        const query = `operation=searchRetrieve&query=isbn=${encodeURIComponent(isbn)}&recordSchema=dcndl_simple&maximumRecords=1`;
+        const response = await fetchOrThrow(joinUrl(baseUrl, `/sru?${query}`), { signal, fetch });
+        if (!response) return null;
+
+        // SRUの応答は recordPacking=string の場合、レコードがエスケープされた文字列で入るため戻してから探す
+        const xmlText = await response.text();
+        const xml = /<(?:[\w.-]+:)?recordData[^>]*>\s*&lt;/.test(xmlText) ? decodeXmlEntities(xmlText) : xmlText;
+
+        const title = this._getFirstText(xml, 'title');
+        // 書名の読み（例: 「ボッチャン」）
+        const titleReading = this._getFirstText(xml, 'titleTranscription');
+        const subtitle = this._getFirstText(xml, 'alternative');
+        const volume = this._getFirstText(xml, 'volume');
+        const creators = this._getAllTexts(xml, 'creator');
+        // 著者名の読み（例: 「ナツメ, ソウセキ」）。背ラベルの著者記号に使う
+        const creatorReadings = this._getAllTexts(xml, 'creatorTranscription');
+        const publisher = this._getFirstText(xml, 'publisher');
+        const issued = this._getFirstText(xml, 'issued');
+        // 大きさ・ページ数（例: 「318p ; 15cm」）と価格（例: 「660円」）
+        const extent = this._getFirstText(xml, 'extent');
+        const price = this._getFirstText(xml, 'price');
+        const ndc = this._getFirstText(xml, 'NDC9') || this._getFirstText(xml, 'NDC10') || this._getFirstText(xml, 'NDC');
+
+        if (!title && !subtitle && !volume && !creators && !ndc) {
+            return null;
+        }
+
+        return {
+            title: title || null,
+            titleReading: titleReading || null,
+            subtitle: subtitle || null,
+            volume: volume || null,
+            authors: creators ? creators.join(', ') : null,
+            authorsReading: creatorReadings ? creatorReadings.join(' / ') : null,
+            publisher: publisher || null,
+            publishedDate: normalizeDate(issued),
+            pages: extractNumber(extent, /(\d+)\s*p/i),
+            listPrice: extractNumber(price),
+            ndc: ndc || null
+        };
+    }
+}
+
+/**
+ * 書籍情報の取得を行うクラス（OpenBD）
+ */
+class BookService {
+    static id = 'openbd';
+    static label = 'OpenBD';
+    static fields = ['title', 'titleReading', 'subtitle', 'volume', 'publisher', 'authors',
+        'publishedDate', 'pages', 'listPrice', 'ndc', 'description', 'cover'];
+    static baseUrl = 'https://api.openbd.jp/v1';
+    static settings = ['baseUrl'];
+
+    /**
+     * ISBNから書籍情報を取得する
+     * @param {string} isbn
+     * @param {{signal?: AbortSignal, fetch?: typeof fetch, baseUrl?: string}} [options] baseUrl を省略すると公開されているURLを使う
+     * @returns {Promise<Object|null>} 該当なしの場合はnull
+     * @throws {ProviderError} 通信に失敗した場合
+     */
+    static async fetchByISBN(isbn, { signal, fetch, baseUrl = this.baseUrl } = {}) {
+        const response = await fetchOrThrow(joinUrl(baseUrl, `/get?isbn=${isbn}`), { signal, fetch });
+        if (!response) return null;
+
+        const data = await response.json();
+
+        if (!Array.isArray(data) || !data[0]) {
+            return null;
+        }
+
+        const entry = data[0];
+        const summary = entry.summary || {};
+        const onix = entry.onix || {};
+
+        const publisher = summary.publisher
+            || (onix.PublishingDetail
+                && onix.PublishingDetail.Imprint
+                && onix.PublishingDetail.Imprint.ImprintName
+                && onix.PublishingDetail.Imprint.ImprintName.content)
+            || (onix.PublishingDetail
+                && onix.PublishingDetail.Publisher
+                && onix.PublishingDetail.Publisher.PublisherName
+                && onix.PublishingDetail.Publisher.PublisherName.content)
+            || null;
+
+        let ndc = summary.ndc || summary.ndc9 || summary.ndc10 || null;
+        if (Array.isArray(ndc)) {
+            ndc = ndc.filter(Boolean).join(', ');
+        }
+
+        if (!ndc && onix.DescriptiveDetail && Array.isArray(onix.DescriptiveDetail.Subject)) {
+            for (const subj of onix.DescriptiveDetail.Subject) {
+                if (subj && (subj.SubjectSchemeIdentifier === 'NDC9' || subj.SubjectSchemeIdentifier === 'NDC10')) {
+                    ndc = subj.SubjectCode || null;
+                    break;
+                }
+            }
+        }
+
+        const descriptive = onix.DescriptiveDetail || {};
+        const titleElement = descriptive.TitleDetail && descriptive.TitleDetail.TitleElement;
+        const titleText = titleElement && titleElement.TitleText;
+        // ページ数（ExtentType 11 = 本文のページ数）
+        const extent = (descriptive.Extent || []).find((e) => e && e.ExtentType === '11');
+        // 本体価格（最初の日本円の価格）
+        const supply = onix.ProductSupply && onix.ProductSupply.SupplyDetail;
+        const price = ((supply && supply.Price) || []).find((p) => p && (!p.CurrencyCode || p.CurrencyCode === 'JPY'));
+        // 内容紹介（TextType 03 = 内容紹介、02 = 短い紹介文）
+        const texts = (onix.CollateralDetail && onix.CollateralDetail.TextContent) || [];
+        const description = ['03', '02']
+            .map((type) => texts.find((t) => t && t.TextType === type && t.Text))
+            .find(Boolean);
+
+        return {
+            title: summary.title || null,
+            titleReading: (titleText && titleText.collationkey) || null,
+            subtitle: summary.subtitle || null,
+            volume: summary.volume || null,
+            publisher,
+            authors: summary.author || null,
+            publishedDate: normalizeDate(summary.pubdate),
+            pages: extent ? extractNumber(extent.ExtentValue) : null,
+            listPrice: price ? extractNumber(price.PriceAmount) : null,
+            ndc: ndc || null,
+            description: description ? stripHtml(description.Text) : null,
+            cover: summary.cover || null
+        };
+    }
+}
+
+/**
+ * 利用できる取得元の一覧（キーは設定で使う取得元ID）
+ *
+ * 取得元を追加する場合は、id・label・fields・baseUrl・settings と fetchByISBN(isbn, { signal, fetch, baseUrl, apiKey }) を持つ
+ * オブジェクトをここに加え、config.js の APP_CONFIG.providers.order にIDを追加する。
+ * fetchByISBN は該当なしならnullを返し、通信の失敗はProviderErrorで知らせる。
+ * fetch が渡された場合は、グローバルの fetch の代わりにそれで通信する。
+ * baseUrl は公開されているURL（設定で差し替えられる）、settings は設定画面で変更できる項目（'baseUrl', 'apiKey'）。
+ */
+export const PROVIDERS = {
+    [GoogleBooksService.id]: GoogleBooksService,
+    [BookService.id]: BookService,
+    [NdlSearchService.id]: NdlSearchService
+};
+
+/** 取得状態の表示名 */
+export const LOOKUP_STATUS_LABELS = {
+    loading: '取得中…',
+    found: '取得済み',
+    'not-found': '該当なし',
+    error: '通信エラー',
+    timeout: 'タイムアウト',
+    pending: '未取得（オフライン）',
+    skipped: '-'
+};
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 制限時間つきで取得元を呼び出す
+ * @param {Object} provider
+ * @param {string} isbn
+ * @param {Object} options
+ * @param {number} options.timeout ミリ秒
+ * @param {typeof fetch|undefined} [options.fetch]
+ * @param {string|null} [options.baseUrl] 省略すると取得元の既定のURL
+ * @param {string|null} [options.apiKey]
+ * @returns {Promise<Object|null>}
+ */
+function fetchWithTimeout(provider, isbn, { timeout, fetch: fetchImpl, baseUrl, apiKey }) {
+    const controller = new AbortController();
+    let timer = null;
+
+    const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            reject(new ProviderError(`${timeout / 1000}秒以内に応答がありませんでした`, { status: 'timeout' }));
+            controller.abort();
+        }, timeout);
+    });
+
+    // signalに対応しない取得元でも制限時間で打ち切れるよう、タイマーと競争させる
+    const options = { signal: controller.signal, fetch: fetchImpl, baseUrl: baseUrl || undefined, apiKey: apiKey || undefined };
+    return Promise.race([provider.fetchByISBN(isbn, options), timeoutPromise])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * 取得元の登録と、制限時間・再試行つきの一括呼び出しを行うクラス
+ */
+export class ProviderRegistry {
+    constructor() {
+        this.entries = new Map();
+        this.cache = null;
+        this.fetch = undefined;
+    }
+
+    /**
+     * 取得結果のキャッシュを設定する
+     * @param {{get: Function, put: Function}|null} cache LookupCache など
+     */
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    /**
+     * 取得元の通信に使う fetch を差し替える（Node.js での利用や、保存済みの応答で動かす場合）
+     * @param {typeof fetch|undefined} fetchImpl 省略するとグローバルの fetch を使う
+     */
+    setFetch(fetchImpl) {
+        this.fetch = fetchImpl;
+    }
+
+    /**
+     * 取得元を登録する（登録順が表示順になる）
+     * 登録済みのIDを登録し直した場合は、表示順を変えずに設定だけを置き換える
+     * @param {Object} provider id, label, fields, fetchByISBN を持つオブジェクト
+     * @param {Object} [options] enabled, timeout, retries, retryDelay, minInterval, baseUrl, apiKey
+     */
+    register(provider, options = {}) {
+        const defaults = APP_CONFIG.providers.defaults;
+        this.entries.set(provider.id, {
+            provider,
+            enabled: options.enabled !== undefined ? options.enabled : defaults.enabled,
+            timeout: options.timeout || defaults.timeout,
+            retries: options.retries !== undefined ? options.retries : defaults.retries,
+            retryDelay: options.retryDelay || defaults.retryDelay,
+            minInterval: options.minInterval !== undefined ? options.minInterval : (defaults.minInterval || 0),
+            nextRequestAt: 0,
+            baseUrl: options.baseUrl || null,
+            apiKey: options.apiKey || null
+        });
+    }
+
+    unregister(id) {
+        this.entries.delete(id);
+    }
+
+    /**
+     * 表示順を並べ替える（指定のないIDは後ろに残す）
+     * @param {string[]} ids
+     */
+    setOrder(ids) {
+        const reordered = new Map();
+        for (const id of ids) {
+            if (this.entries.has(id)) reordered.set(id, this.entries.get(id));
+        }
+        for (const [id, entry] of this.entries) {
+            if (!reordered.has(id)) reordered.set(id, entry);
+        }
+        this.entries = reordered;
+    }
+
+    setEnabled(id, enabled) {
+        const entry = this.entries.get(id);
+        if (entry) entry.enabled = enabled;
+    }
+
+    /**
+     * @returns {Object[]} 有効な取得元（表示順）
+     */
+    list() {
+        return Array.from(this.entries.values())
+            .filter((entry) => entry.enabled)
+            .map((entry) => entry.provider);
+    }
+
+    /**
+     * 取得元の表示名を返す（未登録の場合はIDをそのまま返す）
+     * @param {string} id
+     * @returns {string}
+     */
+    getLabel(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.provider.label : id;
+    }
+
+    /**
+     * キャッシュに保存するときの取得元のキー
+     * URLを変更した取得元（社内のミラーやテスト用のサーバー）は、URLごとに別の結果として保存する
+     * （URLを変更した後に、前のURLから得た結果を使わないため）
+     * @param {string} id
+     * @returns {string} 公開されているURLを使う場合は取得元ID、URLを変更した場合は「ID URL」
+     */
+    getCacheKey(id) {
+        const entry = this.entries.get(id);
+        return entry && entry.baseUrl ? `${id} ${entry.baseUrl}` : id;
+    }
+
+    /**
+     * 取得元ごとのリクエストの間隔（minInterval）を空けるまで待つ
+     * 呼び出し順に開始時刻を予約するため、並行して呼ばれても間隔が守られる
+     * @param {Object} entry
+     */
+    async waitForSlot(entry) {
+        if (!entry.minInterval) return;
+        const now = Date.now();
+        const startAt = Math.max(now, entry.nextRequestAt);
+        entry.nextRequestAt = startAt + entry.minInterval;
+        if (startAt > now) await delay(startAt - now);
+    }
+
+    /**
+     * 1つの取得元を、制限時間と再試行（指数バックオフ）つきで呼び出す
+     * キャッシュに有効な結果があれば通信せずにそれを返す
+     * 通信（再試行を含む）の前には、取得元ごとのリクエストの間隔を空ける
+     * @param {string} id
+     * @param {string} isbn
+     * @param {Object} [options]
+     * @param {boolean} [options.cacheOnly] 通信せずキャッシュだけを見る（オフライン時）
+     * @returns {Promise<{status: string, info: Object|null, cached?: boolean, error?: string}>}
+     */
+    async lookupOne(id, isbn, { cacheOnly = false } = {}) {
+        const entry = this.entries.get(id);
+        const { provider, timeout, retries, retryDelay, baseUrl, apiKey } = entry;
+        const cacheKey = this.getCacheKey(id);
+
+        if (this.cache) {
+            try {
+                const cached = await this.cache.get(cacheKey, isbn);
+                if (cached) {
+                    return { status: cached.status, info: cached.info, cached: true };
+                }
+            } catch (error) {
+                console.error('キャッシュ読み込みエラー:', error);
+            }
+        }
+        if (cacheOnly) {
+            return { status: 'pending', info: null };
+        }
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await delay(retryDelay * 2 ** (attempt - 1));
+            }
+            await this.waitForSlot(entry);
+            try {
+                const info = await fetchWithTimeout(provider, isbn, { timeout, fetch: this.fetch, baseUrl, apiKey });
+                const result = info
+                    ? { status: 'found', info }
+                    : { status: 'not-found', info: null };
+                if (this.cache) {
+                    this.cache.put(cacheKey, isbn, result).catch((error) => {
+                        console.error('キャッシュ保存エラー:', error);
+                    });
+                }
+                return result;
+            } catch (error) {
+                lastError = error instanceof ProviderError
+                    ? error
+                    : new ProviderError(error.message || '書籍情報の取得に失敗しました', { retryable: false });
+                if (!lastError.retryable) break;
+            }
+        }
+
+        // エラーの表示は呼び出し側（画面・コマンドラインツール）に任せる
+        return { status: lastError.status, info: null, error: lastError.message };
+    }
+
+    /**
+     * 有効な取得元をすべて並行して呼び出す
+     * 応答した取得元から順に onUpdate を呼ぶので、届いたものから表示できる
+     * @param {string} isbn
+     * @param {Object} [options]
+     * @param {(id: string, result: {status: string, info: Object|null, error?: string}) => void} [options.onUpdate]
+     * @param {boolean} [options.cacheOnly] 通信せずキャッシュだけを見る（オフライン時）
+     * @returns {Promise<Object<string, {status: string, info: Object|null, error?: string}>>}
+     */
+    async lookup(isbn, { onUpdate, cacheOnly = false } = {}) {
+        const results = {};
+        await Promise.all(this.list().map(async (provider) => {
+            const result = await this.lookupOne(provider.id, isbn, { cacheOnly });
+            results[provider.id] = result;
+            if (onUpdate) onUpdate(provider.id, result);
+        }));
+        return results;
+    }
+}
+
+/**
+ * 設定（APP_CONFIG.providers）から取得元を登録したレジストリを作成する
+ * @param {Object} [config]
+ * @returns {ProviderRegistry}
+ */
+export function createProviderRegistry(config = APP_CONFIG.providers) {
+    return configureProviders(new ProviderRegistry(), config);
+}
+
+/**
+ * 設定（APP_CONFIG.providers）に従って取得元を登録する
+ * 登録済みのレジストリに使うと、設定の変更（有効・無効、URL、APIキー、表示順など）を反映できる
+ * order から外した取得元は登録を解除する
+ * @param {ProviderRegistry} registry
+ * @param {Object} [config]
+ * @returns {ProviderRegistry}
+ */
+export function configureProviders(registry, config = APP_CONFIG.providers) {
+    for (const id of Array.from(registry.entries.keys())) {
+        if (!config.order.includes(id)) registry.unregister(id);
+    }
+    for (const id of config.order) {
+        const provider = PROVIDERS[id];
+        if (!provider) {
+            console.error(`未登録の取得元です: ${id}`);
+            continue;
+        }
+        registry.register(provider, config.options[id] || {});
+    }
+    registry.setOrder(config.order);
+    return registry;
+}
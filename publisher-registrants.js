@@ -0,0 +1,197 @@
+// ISBNの出版者記号と出版社名の対応（取得元に出版社がない場合の補完と、取得元の出版社の確認に使う）
+
+import { splitISBN } from './isbn-ranges.js';
+
+// 利用者が登録した出版者記号を保存するlocalStorageのキー
+const LOCAL_PUBLISHERS_KEY = 'bookReader.localPublishers';
+
+/**
+ * 出版者記号 → 出版社名（グループ「接頭記号-グループ記号」ごと）
+ * 主要な出版社だけを収録している。社名が変わった出版社は、現在の名前を先頭にして旧社名も並べる
+ * （取得元の出版社名との突き合わせで、旧社名も一致とみなす）。
+ * 収録されていない出版社は、画面から登録できる（localStorage に保存）。
+ */
+export const PUBLISHER_REGISTRANTS = {
+    '978-4': {
+        '00': '岩波書店',
+        '01': '旺文社',
+        '02': ['朝日新聞出版', '朝日新聞社'],
+        '03': '偕成社',
+        '04': ['KADOKAWA', '角川書店'],
+        '05': ['学研', '学習研究社'],
+        '06': '講談社',
+        '08': '集英社',
+        '09': '小学館',
+        '10': '新潮社',
+        '12': '中央公論新社',
+        '13': '東京大学出版会',
+        '14': ['NHK出版', '日本放送出版協会'],
+        '15': '早川書房',
+        '16': '文藝春秋',
+        '19': '徳間書店',
+        '251': 'あかね書房',
+        '253': '秋田書店',
+        '255': '朝日出版社',
+        '265': '岩崎書店',
+        '274': 'オーム社',
+        '286': '文芸社',
+        '295': 'インプレス',
+        '296': '日経BP',
+        '297': '技術評論社',
+        '305': '笠間書院',
+        '309': '河出書房新社',
+        '320': '共立出版',
+        '323': '金の星社',
+        '327': '研究社',
+        '334': '光文社',
+        '338': '小峰書店',
+        '344': '幻冬舎',
+        '385': '三省堂',
+        '393': '春秋社',
+        '396': '祥伝社',
+        '408': '実業之日本社',
+        '418': '世界文化社',
+        '422': '創元社',
+        '434': '星雲社',
+        '469': '大修館書店',
+        '473': '淡交社',
+        '478': 'ダイヤモンド社',
+        '480': '筑摩書房',
+        '487': '東京書籍',
+        '488': '東京創元社',
+        '490': '東京堂出版',
+        '492': '東洋経済新報社',
+        '494': '童心社',
+        '532': ['日本経済新聞出版', '日本経済新聞出版社', '日本経済新聞社'],
+        '560': '白水社',
+        '569': 'PHP研究所',
+        '575': '双葉社',
+        '582': '平凡社',
+        '591': 'ポプラ社',
+        '592': '白泉社',
+        '594': '扶桑社',
+        '620': ['毎日新聞出版', '毎日新聞社'],
+        '621': ['丸善出版', '丸善'],
+        '622': 'みすず書房',
+        '627': '森北出版',
+        '635': '山と溪谷社',
+        '641': '有斐閣',
+        '7741': '技術評論社',
+        '7966': '宝島社',
+        '7973': ['SBクリエイティブ', 'ソフトバンククリエイティブ'],
+        '7980': '秀和システム',
+        '8156': 'SBクリエイティブ',
+        '8222': '日経BP',
+        '8340': '福音館書店',
+        '8399': ['マイナビ出版', '毎日コミュニケーションズ'],
+        '8443': 'インプレス',
+        '87311': 'オライリー・ジャパン'
+    }
+};
+
+// 読み込んだ登録内容（保存するたびに置き換える）
+let localPublishers = null;
+
+function getStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+/**
+ * 利用者が登録した出版者記号を読み込む
+ * @returns {Object<string, string>} 「接頭記号-グループ記号-出版者記号」（例: 978-4-10）→ 出版社名
+ */
+export function loadLocalPublishers() {
+    if (localPublishers) return localPublishers;
+    localPublishers = {};
+    const storage = getStorage();
+    if (!storage) return localPublishers;
+    try {
+        const saved = JSON.parse(storage.getItem(LOCAL_PUBLISHERS_KEY));
+        if (saved && typeof saved === 'object') localPublishers = saved;
+    } catch (error) {
+        console.error('出版者記号の登録内容の読み込みエラー:', error);
+    }
+    return localPublishers;
+}
+
+// 「接頭記号-グループ記号-出版者記号」が、ISBNの登録範囲どおりの桁数で区切られているか
+// （その記号で始まるISBNを分解して、同じ出版者記号が切り出されるかで確かめる）
+function isRegistrantKey(key) {
+    const match = /^(\d{3})-(\d+)-(\d+)$/.exec(key || '');
+    if (!match) return false;
+    const [, prefix, group, registrant] = match;
+    const parts = splitISBN(`${prefix}${group}${registrant}`.padEnd(13, '0'));
+    return Boolean(parts) && parts.group === group && parts.registrant === registrant;
+}
+
+/**
+ * 出版者記号の出版社名を登録する（内蔵の表より優先する）
+ * @param {string} key 「接頭記号-グループ記号-出版者記号」（例: 978-4-10）
+ * @param {string} name 空にすると登録を削除する
+ */
+export function setLocalPublisher(key, name) {
+    if (!isRegistrantKey(key)) {
+        throw new Error(`出版者記号の形式が正しくありません（例: 978-4-10）: ${key}`);
+    }
+    const publishers = { ...loadLocalPublishers() };
+    const trimmed = String(name || '').normalize('NFKC').trim();
+    if (trimmed) {
+        publishers[key] = trimmed;
+    } else {
+        delete publishers[key];
+    }
+    localPublishers = publishers;
+    const storage = getStorage();
+    if (storage) storage.setItem(LOCAL_PUBLISHERS_KEY, JSON.stringify(publishers));
+}
+
+/**
+ * ISBNの出版者記号から出版社を調べる
+ * @param {string} isbn 13桁
+ * @returns {{key: string, name: string|null, names: string[], local: boolean}|null}
+ *          出版者記号を切り出せなければnull。表にも登録にもなければ name はnull
+ */
+export function lookupPublisher(isbn) {
+    const parts = splitISBN(isbn);
+    if (!parts) return null;
+
+    const key = `${parts.prefix}-${parts.group}-${parts.registrant}`;
+    const local = loadLocalPublishers()[key];
+    if (local) {
+        return { key, name: local, names: [local], local: true };
+    }
+
+    const group = PUBLISHER_REGISTRANTS[`${parts.prefix}-${parts.group}`] || {};
+    const entry = group[parts.registrant];
+    const names = entry ? [].concat(entry) : [];
+    return { key, name: names[0] || null, names, local: false };
+}
+
+/**
+ * 比較用に、法人格の表記と空白を除く（例: 「株式会社 新潮社」→「新潮社」）
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizePublisherName(name) {
+    return String(name)
+        .normalize('NFKC')
+        .replace(/株式会社|有限会社|合同会社|一般社団法人|一般財団法人|公益財団法人|\(株\)|\(有\)|㈱|㈲/g, '')
+        .replace(/\s+/g, '')
+        .toLowerCase();
+}
+
+/**
+ * 取得元の出版社名が、出版者記号の出版社と同じかを判定する
+ * 「新潮社」と「株式会社新潮社」、「日経BP」と「日経BP社」のように、片方がもう片方を含めば同じとみなす
+ * @param {string} publisher 取得元の出版社名
+ * @param {string[]} names 出版者記号の出版社名（旧社名を含む）
+ * @returns {boolean}
+ */
+export function isSamePublisher(publisher, names) {
+    const target = normalizePublisherName(publisher);
+    if (!target) return false;
+    return names.some((name) => {
+        const candidate = normalizePublisherName(name);
+        return Boolean(candidate) && (target.includes(candidate) || candidate.includes(target));
+    });
+}
@@ -0,0 +1,184 @@
+// 取得元ごとの書籍情報の突き合わせ（統合レコードの作成）
+
+import { APP_CONFIG } from './config.js';
+import { isSamePublisher, lookupPublisher } from './publisher-registrants.js';
+
+/** 統合する項目と表示名 */
+export const MERGE_FIELDS = {
+    title: '書籍名',
+    titleReading: '書籍名の読み',
+    subtitle: 'サブタイトル',
+    volume: '巻数',
+    authors: '著者名',
+    authorsReading: '著者名の読み',
+    publisher: '出版社',
+    publishedDate: '出版日',
+    pages: 'ページ数',
+    listPrice: '価格',
+    ndc: '日本十進分類',
+    description: '内容紹介',
+    cover: '書影'
+};
+
+// 取得元ごとに値が違うのが普通のため、不一致として扱わない項目（書影のURL、内容紹介の文章）
+const UNCOMPARED_FIELDS = ['description', 'cover'];
+
+/** 出版者記号（publisher-registrants.js）から補った出版社の採用元キー */
+export const REGISTRANT_SOURCE = 'registrant';
+
+// 著者名の区切り（カンマ、読点、スラッシュ、セミコロン）
+// 中黒は外国人名（例: J・K・ローリング）に使われるため区切りとして扱わない
+const AUTHOR_SEPARATOR = /\s*[,、，;；/／]\s*/;
+
+// 著者名の末尾に付く役割表示（例: 「村上春樹 著」「○○ 訳」）
+const AUTHOR_ROLE = /\s*[[［(（]?(著|作|文|絵|画|編|編著|訳|監修|原作|作画|漫画|イラスト)[\]］)）]?$/;
+
+/**
+ * 表示用に正規化する（全角英数字・半角カナの統一、空白の整理）
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+export function normalizeText(value) {
+    if (value == null) return null;
+    const text = String(value).normalize('NFKC').replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+/**
+ * 著者名の文字列を個々の著者に分割する
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function splitAuthors(value) {
+    const text = normalizeText(value);
+    if (!text) return [];
+    return text.split(AUTHOR_SEPARATOR)
+        .map((name) => name.replace(AUTHOR_ROLE, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * 比較用に正規化する（表記ゆれを吸収した文字列を返す）
+ * @param {string} field
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+export function normalizeForCompare(field, value) {
+    const text = normalizeText(value);
+    if (!text) return null;
+
+    const compact = (s) => s.toLowerCase().replace(/\s+/g, '');
+
+    if (field === 'authors') {
+        // 典拠形の「村上, 春樹, 1949-」と「村上春樹 著」を同一視するため、
+        // 生没年を除いた文字の集合で比較する（著者の並び順の違いも吸収する）
+        return splitAuthors(text)
+            .filter((name) => !/^\d{4}-?(\d{4})?$/.test(name))
+            .map(compact)
+            .join('')
+            .split('')
+            .sort()
+            .join('');
+    }
+    if (field === 'volume') {
+        // 「第1巻」「1巻」「1」を同一視する
+        return compact(text).replace(/^第/, '').replace(/(巻|冊|号)$/, '');
+    }
+    if (field === 'ndc') {
+        return text.split(/\s*,\s*/).map(compact).sort().join(',');
+    }
+    if (field === 'publishedDate') {
+        // 「2004-06」と「2004-06-15」のように精度だけが違う場合を同一視するため、年月で比べる
+        return text.substring(0, 7);
+    }
+    return compact(text);
+}
+
+/**
+ * 項目ごとの取得元の優先順位を返す
+ * @param {string} field
+ * @returns {string[]}
+ */
+export function getSourcePriority(field) {
+    const { priority } = APP_CONFIG.merge;
+    return priority[field] || priority.default;
+}
+
+/**
+ * 取得元ごとの書籍情報から統合レコードを作成する
+ *
+ * 各項目は、利用者が選んだ取得元（selections）があればその値を、
+ * なければ設定の優先順位で最初に値のある取得元の値を採用する。
+ * 正規化後の値が取得元によって異なる項目は conflict を true にする（書影・内容紹介は比べない）。
+ *
+ * isbn を渡すと、出版者記号から分かる出版社を publisher.registrant に入れ、
+ * 取得元の出版社と同じか（matches）を調べる。どの取得元にも出版社がなければ、その出版社名で補う
+ * （source は REGISTRANT_SOURCE）。
+ *
+ * @param {Object<string, Object|null>} sources 取得元キー → 書籍情報
+ * @param {Object<string, string>} [selections] 項目 → 利用者が選んだ取得元キー
+ * @param {string|null} [isbn]
+ * @returns {Object<string, {value: string|null, source: string|null, selected: boolean, conflict: boolean, candidates: {source: string, value: string}[]}>}
+ */
+export function mergeSources(sources, selections = {}, isbn = null) {
+    const merged = {};
+
+    for (const field of Object.keys(MERGE_FIELDS)) {
+        const priority = getSourcePriority(field);
+        const keys = [
+            ...priority.filter((key) => key in (sources || {})),
+            ...Object.keys(sources || {}).filter((key) => !priority.includes(key))
+        ];
+
+        const candidates = [];
+        for (const key of keys) {
+            const info = sources[key];
+            const value = info ? normalizeText(info[field]) : null;
+            if (value) {
+                candidates.push({ source: key, value });
+            }
+        }
+
+        const distinct = UNCOMPARED_FIELDS.includes(field)
+            ? new Set()
+            : new Set(candidates.map((c) => normalizeForCompare(field, c.value)));
+        const selectedSource = selections && selections[field];
+        const chosen = candidates.find((c) => c.source === selectedSource) || candidates[0] || null;
+
+        merged[field] = {
+            value: chosen ? chosen.value : null,
+            source: chosen ? chosen.source : null,
+            selected: Boolean(chosen && chosen.source === selectedSource),
+            conflict: distinct.size > 1,
+            candidates
+        };
+    }
+
+    const registrant = isbn ? lookupPublisher(isbn) : null;
+    if (registrant) {
+        const publisher = merged.publisher;
+        publisher.registrant = {
+            ...registrant,
+            matches: registrant.name && publisher.value ? isSamePublisher(publisher.value, registrant.names) : null
+        };
+        if (!publisher.value && registrant.name) {
+            publisher.value = registrant.name;
+            publisher.source = REGISTRANT_SOURCE;
+        }
+    }
+    return merged;
+}
+
+/**
+ * 統合レコードから値だけを取り出す
+ * @param {Object} entry 記録（isbn, sources, selections を含む）
+ * @returns {Object<string, string|null>}
+ */
+export function getMergedValues(entry) {
+    const merged = mergeSources(entry.sources || {}, entry.selections || {}, entry.isbn || null);
+    const values = {};
+    for (const field of Object.keys(merged)) {
+        values[field] = merged[field].value;
+    }
+    return values;
+}
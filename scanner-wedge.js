@@ -0,0 +1,355 @@
+// スキャナーモード（入力欄のフォーカスに依存しないバーコードリーダー入力）
+
+import { APP_CONFIG } from './config.js';
+import { BarcodeParser } from './barcode-parser.js';
+
+// スキャナーモードの有効・無効を保存するlocalStorageのキー
+const SCANNER_MODE_KEY = 'bookReader.scannerMode';
+
+// 最初の数文字は手入力と区別できないため、そのまま入力欄に入力させる
+// この文字数を超えて連続した入力からはバーコードリーダーとみなし、入力欄への入力を止める
+const PASSTHROUGH_LENGTH = 2;
+
+/**
+ * @param {EventTarget|null} target
+ * @returns {boolean} 文字を入力できる要素か
+ */
+function isTextField(target) {
+    return Boolean(target)
+        && (target.tagName === 'TEXTAREA'
+            || (target.tagName === 'INPUT' && typeof target.setRangeText === 'function'
+                && ['text', 'search', 'tel', 'url', 'email', 'number', ''].includes(target.type)));
+}
+
+/**
+ * ページ全体のキー入力を監視し、キー入力の間隔からバーコードリーダーの入力（一続きの入力）を検出するクラス
+ *
+ * キーボードとして動作するバーコードリーダーは、手入力よりはるかに短い間隔で文字を送るため、
+ * 間隔が keyInterval 以下で minLength 文字以上続いた入力を1回分のスキャンとみなす。
+ * 棚のバーコード（接頭記号で始まる入力）は短いものもあるため、文字数に関係なくスキャンとみなす。
+ * 入力は Enter・Tab、または idleTimeout の間入力が途切れた時点で確定する。
+ * フォーカスのある入力欄に入ってしまった先頭の文字は、確定時に取り除く。
+ */
+export class ScannerWedge {
+    /**
+     * @param {Object} options
+     * @param {(text: string) => void} options.onScan 1回分のスキャンを受け取る
+     * @param {number} [options.keyInterval]
+     * @param {number} [options.minLength]
+     * @param {number} [options.idleTimeout]
+     */
+    constructor({ onScan, ...options }) {
+        const config = { ...APP_CONFIG.scanner, ...options };
+        this.onScan = onScan;
+        this.keyInterval = config.keyInterval;
+        this.minLength = config.minLength;
+        this.idleTimeout = config.idleTimeout;
+        this.enabled = false;
+
+        this.buffer = '';
+        this.target = null;
+        this.lastKeyAt = 0;
+        this.idleTimer = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        // 入力欄のイベントより先に受け取るため、キャプチャフェーズで監視する
+        document.addEventListener('keydown', this.handleKeydown, true);
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        document.removeEventListener('keydown', this.handleKeydown, true);
+        this.abort();
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey || e.isComposing) {
+            return;
+        }
+
+        const now = e.timeStamp;
+        const continued = this.buffer && now - this.lastKeyAt <= this.keyInterval;
+        this.lastKeyAt = now;
+
+        if (e.key === 'Enter' || e.key === 'Tab') {
+            if (continued && this.isScan(this.buffer)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.finish();
+            } else {
+                this.abort();
+            }
+            return;
+        }
+
+        if (e.key.length !== 1) {
+            return;
+        }
+
+        if (!continued) {
+            this.abort();
+            this.target = e.target;
+        }
+        this.buffer += e.key;
+
+        if (this.buffer.length > PASSTHROUGH_LENGTH) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (this.isScan(this.buffer)) {
+                this.finish();
+            } else {
+                this.abort();
+            }
+        }, this.idleTimeout);
+    }
+
+    /**
+     * @param {string} text 一続きの入力
+     * @returns {boolean} 1回分のスキャンとして確定できるか（minLength 文字以上か、棚のバーコード）
+     */
+    isScan(text) {
+        if (text.length >= this.minLength) return true;
+        try {
+            return BarcodeParser.parseLocationCode(text) !== null;
+        } catch (error) {
+            // 接頭記号だけの棚のバーコードも確定し、読み取り側（onScan）でエラーとして知らせる
+            return true;
+        }
+    }
+
+    /**
+     * 1回分の入力を確定し、入力欄に入ってしまった先頭の文字を取り除く
+     */
+    finish() {
+        clearTimeout(this.idleTimer);
+        const text = this.buffer;
+        const leaked = text.substring(0, PASSTHROUGH_LENGTH);
+        if (isTextField(this.target)) {
+            const end = this.target.selectionEnd;
+            if (end >= leaked.length && this.target.value.substring(end - leaked.length, end) === leaked) {
+                this.target.setRangeText('', end - leaked.length, end, 'end');
+            }
+        }
+        this.buffer = '';
+        this.target = null;
+        this.onScan(text);
+    }
+
+    /**
+     * バーコードリーダーの入力ではなかった場合、止めていた文字を入力欄に戻す
+     */
+    abort() {
+        clearTimeout(this.idleTimer);
+        const suppressed = this.buffer.substring(PASSTHROUGH_LENGTH);
+        if (suppressed && isTextField(this.target)) {
+            this.target.setRangeText(suppressed, this.target.selectionStart, this.target.selectionEnd, 'end');
+        }
+        this.buffer = '';
+        this.target = null;
+    }
+}
+
+/**
+ * 上段（ISBN）と下段（Cコード）のスキャンを、読み取り順に関係なく1冊分に組み合わせるクラス
+ *
+ * 片方の段を読み取ってから pairWindow 以内にもう片方を読み取れば1冊分とする。
+ * 待ち時間を過ぎた場合や、同じ段が続けて読み取られた場合（下段のない書籍など）は、
+ * それまでに読み取れた段だけで1冊分とする。
+ * 棚のバーコードは、待機中の1冊分を（前の棚のものとして）確定してから onLocation に渡す。
+ */
+export class ScanPairer {
+    /**
+     * @param {Object} options
+     * @param {(pair: {isbn: string|null, ccode: string|null}) => void} options.onPair 1冊分の組み合わせを受け取る
+     * @param {(location: string) => void} [options.onLocation] 棚のバーコードを受け取る
+     * @param {(pending: {isbn: string|null, ccode: string|null}|null, expiresAt: number|null) => void} [options.onChange] 待機中の状態が変わったとき
+     * @param {number} [options.pairWindow]
+     */
+    constructor({ onPair, onLocation = null, onChange = null, pairWindow = APP_CONFIG.scanner.pairWindow }) {
+        this.onPair = onPair;
+        this.onLocation = onLocation;
+        this.onChange = onChange;
+        this.pairWindow = pairWindow;
+        this.pending = null;
+        this.timer = null;
+    }
+
+    /**
+     * BarcodeParser.classify の判定結果を受け取る
+     * @param {{type: string, isbn: string|null, ccode: string|null, code: string}} scan
+     */
+    add(scan) {
+        if (scan.type === 'location') {
+            this.flush();
+            if (this.onLocation) this.onLocation(scan.location);
+            return;
+        }
+        if (scan.type === 'combined') {
+            this.flush();
+            this.onPair({ isbn: scan.isbn, ccode: scan.code });
+            return;
+        }
+        // 雑誌・楽譜・一般の商品のバーコードは1段だけなので、組み合わせずに1件とする
+        if (!['isbn', 'ccode', 'second-tier'].includes(scan.type)) {
+            this.flush();
+            this.onPair({ isbn: scan.code, ccode: null });
+            return;
+        }
+
+        const slot = scan.type === 'isbn' ? 'isbn' : 'ccode';
+        // 同じ段が続いた場合は、前の1冊を読み取れた段だけで確定する
+        if (this.pending && this.pending[slot]) {
+            this.flush();
+        }
+
+        if (!this.pending) {
+            this.pending = { isbn: null, ccode: null };
+        }
+        this.pending[slot] = scan.code;
+
+        if (this.pending.isbn && this.pending.ccode) {
+            this.flush();
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.pairWindow);
+        if (this.onChange) this.onChange(this.pending, Date.now() + this.pairWindow);
+    }
+
+    /**
+     * 待機中の1冊分を確定する
+     */
+    flush() {
+        clearTimeout(this.timer);
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) {
+            this.onPair(pending);
+        }
+        if (this.onChange) this.onChange(null, null);
+    }
+
+    /**
+     * 待機中の読み取りを破棄する
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.pending = null;
+        if (this.onChange) this.onChange(null, null);
+    }
+}
+
+/**
+ * スキャナーモードの切り替えと待機状態を表示するクラス
+ */
+export class ScannerModePanel {
+    /**
+     * @param {string} rootId
+     * @param {Object} options
+     * @param {(pair: {isbn: string|null, ccode: string|null}) => void} options.onPair 1冊分の読み取りを受け取る
+     * @param {(location: string) => void} [options.onLocation] 棚のバーコードを読み取ったとき
+     * @param {(message: string) => void} options.onError 読み取った内容が不正なとき
+     */
+    constructor(rootId, { onPair, onLocation, onError }) {
+        this.root = document.getElementById(rootId);
+        this.onError = onError;
+        this.countdownTimer = null;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            toggle: this.root.querySelector('.scanner-mode-toggle'),
+            status: this.root.querySelector('.scanner-status')
+        };
+
+        this.pairer = new ScanPairer({
+            onPair,
+            onLocation,
+            onChange: (pending, expiresAt) => this.renderStatus(pending, expiresAt)
+        });
+        this.wedge = new ScannerWedge({ onScan: (text) => this.handleScan(text) });
+    }
+
+    init() {
+        this.elements.toggle.checked = localStorage.getItem(SCANNER_MODE_KEY) === 'on';
+        this.elements.toggle.addEventListener('change', () => {
+            this.setEnabled(this.elements.toggle.checked);
+        });
+        this.setEnabled(this.elements.toggle.checked);
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        localStorage.setItem(SCANNER_MODE_KEY, enabled ? 'on' : 'off');
+        if (enabled) {
+            this.wedge.enable();
+        } else {
+            this.wedge.disable();
+            this.pairer.cancel();
+        }
+        this.root.classList.toggle('active', enabled);
+        this.renderStatus(null, null);
+    }
+
+    /**
+     * @param {string} text 1回分のスキャン
+     */
+    handleScan(text) {
+        let scan;
+        try {
+            scan = BarcodeParser.classify(text);
+        } catch (error) {
+            this.onError(error.message);
+            return;
+        }
+        if (!scan) {
+            this.onError(`読み取れるバーコードではありません（${text}）`);
+            return;
+        }
+        this.pairer.add(scan);
+    }
+
+    /**
+     * @param {{isbn: string|null, ccode: string|null}|null} pending
+     * @param {number|null} expiresAt
+     */
+    renderStatus(pending, expiresAt) {
+        clearInterval(this.countdownTimer);
+        const { status } = this.elements;
+
+        if (!this.wedge.enabled) {
+            status.textContent = '';
+            return;
+        }
+        if (!pending) {
+            status.textContent = '📡 スキャン待機中（どこにフォーカスがあっても読み取れます）';
+            return;
+        }
+
+        const waiting = pending.isbn ? '下段（Cコード）' : '上段（ISBN）';
+        const update = () => {
+            const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+            status.textContent = `⏳ ${pending.isbn || pending.ccode} を読み取りました。${waiting}を待っています（残り${seconds}秒）`;
+        };
+        update();
+        this.countdownTimer = setInterval(update, 1000);
+    }
+}
@@ -0,0 +1,121 @@
+// シリーズパネル（シリーズごとの所蔵巻・欠巻・重複の表示）
+
+import { formatISBN } from './isbn-ranges.js';
+import { formatVolumeRanges, groupSeries } from './series.js';
+
+/**
+ * スキャンした書籍をシリーズごとにまとめて表示するクラス
+ *
+ * スキャン履歴が変わるたびにまとめ直す。
+ */
+export class SeriesPanel {
+    /**
+     * @param {string} rootId
+     */
+    constructor(rootId) {
+        this.root = document.getElementById(rootId);
+        this.entries = [];
+        this.groups = [];
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            counts: this.root.querySelector('.series-counts'),
+            filter: this.root.querySelector('.series-filter'),
+            tableBody: this.root.querySelector('.series-table tbody'),
+            emptyMessage: this.root.querySelector('.series-empty')
+        };
+    }
+
+    init() {
+        this.elements.filter.addEventListener('change', () => this.renderRows());
+    }
+
+    /**
+     * スキャン履歴の変更を受け取り、シリーズをまとめ直す
+     * @param {Object[]} entries 現在のセッションの記録
+     */
+    update(entries) {
+        this.entries = entries;
+        this.groups = groupSeries(entries);
+        this.render();
+    }
+
+    render() {
+        const withGaps = this.groups.filter((group) => group.gaps.length).length;
+        const withDuplicates = this.groups.filter((group) => group.duplicates.length).length;
+
+        this.elements.counts.textContent = '';
+        for (const [key, label, count] of [
+            ['found', 'シリーズ', this.groups.length],
+            ['missing', '欠巻あり', withGaps],
+            ['duplicate', '重複あり', withDuplicates]
+        ]) {
+            const badge = document.createElement('span');
+            badge.className = `stocktake-count status-${key}`;
+            badge.textContent = `${label} ${count} 件`;
+            this.elements.counts.appendChild(badge);
+        }
+
+        this.renderRows();
+    }
+
+    renderRows() {
+        const filter = this.elements.filter.value;
+        const groups = this.groups.filter((group) => {
+            if (filter === 'gaps') return group.gaps.length > 0;
+            if (filter === 'duplicates') return group.duplicates.length > 0;
+            if (filter === 'issues') return group.gaps.length > 0 || group.duplicates.length > 0;
+            return true;
+        });
+
+        const tbody = this.elements.tableBody;
+        tbody.textContent = '';
+        for (const group of groups) {
+            const tr = document.createElement('tr');
+            tr.classList.toggle('has-gaps', group.gaps.length > 0);
+            tr.classList.toggle('has-duplicates', group.duplicates.length > 0);
+
+            const owned = [
+                group.volumes.length ? formatVolumeRanges(group.volumes) : '',
+                ...group.unnumbered.map(({ volumeLabel }) => volumeLabel || '巻数不明')
+            ].filter(Boolean).join(', ');
+
+            const cells = [
+                group.series,
+                group.publisher || '-',
+                `${owned || '-'}（${group.entries.length} 冊）`,
+                group.gaps.length ? formatVolumeRanges(group.gaps) : '-',
+                group.duplicates.length ? this.describeDuplicates(group.duplicates) : '-'
+            ];
+            for (const text of cells) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        this.elements.emptyMessage.textContent = this.groups.length
+            ? '該当するシリーズはありません。'
+            : '巻数の分かる書籍、または同じシリーズの書籍を2冊以上スキャンすると表示されます。';
+        this.elements.emptyMessage.classList.toggle('hidden', groups.length > 0);
+    }
+
+    /**
+     * 重複した巻の表示（同じISBNの読み直しか、版違いかが分かるようにISBNの数も示す）
+     * @param {{volume: number, entries: Object[]}[]} duplicates
+     * @returns {string}
+     */
+    describeDuplicates(duplicates) {
+        return duplicates.map(({ volume, entries }) => {
+            const isbns = [...new Set(entries.map((entry) => entry.isbn))];
+            const detail = isbns.length > 1
+                ? `ISBN ${isbns.map(formatISBN).join(' / ')}`
+                : '同じISBN';
+            return `${volume}巻 ×${entries.length}（${detail}）`;
+        }).join('、');
+    }
+}
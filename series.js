@@ -0,0 +1,282 @@
+// シリーズのまとめ（書籍名と出版社でスキャン記録をまとめ、所蔵巻・欠巻・重複を求める）
+
+import { getMergedValues, normalizeText } from './reconcile.js';
+import { lookupPublisher, normalizePublisherName } from './publisher-registrants.js';
+
+// 巻数とみなす上限（「2024年版」などの年を巻数として扱わないため）
+const MAX_VOLUME_NUMBER = 999;
+
+// 漢数字の値（「第三巻」「十二巻」など）
+const KANJI_DIGITS = { 〇: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const KANJI_UNITS = { 十: 10, 百: 100 };
+
+// ローマ数字の値（大文字だけ。NFKC で「Ⅲ」は「III」になる）
+const ROMAN_DIGITS = { I: 1, V: 5, X: 10, L: 50 };
+
+// ローマ数字を巻数とみなす上限（英語の語や「XL」などのサイズ表記を巻数として扱わないため）
+const MAX_ROMAN_VOLUME = 50;
+
+// ローマ数字の文字（「Ⅲ」など。表記があれば巻数の印がなくても巻数とみなす）
+const ROMAN_NUMERAL_CHARS = /[\u2160-\u216F]/;
+
+// 巻数を表す数字（算用数字・ローマ数字・漢数字）
+const NUMBER = '(\\d+|[IVXL]+|[〇一二三四五六七八九十百]+)';
+
+// 巻数の印（「第」「巻」「Vol.」など）
+const VOLUME_MARKER = /第|巻|冊|号|集|部|vol|no\.?|#/i;
+
+// 書籍名の末尾の巻数表記（先に一致したものを使う）
+// 例: 「ONE PIECE 100」「鬼滅の刃(23)」「ハイキュー!! 第45巻」「三国志 三巻」「Fate/Zero Vol.2」
+const TRAILING_VOLUME_PATTERNS = [
+    new RegExp(`\\s*[(\\[]\\s*(?:第\\s*)?(?:vol\\.?\\s*)?${NUMBER}\\s*(?:巻|冊|号|集)?\\s*[)\\]]$`, 'i'),
+    new RegExp(`\\s*第\\s*${NUMBER}\\s*(?:巻|冊|号|集|部)$`, 'i'),
+    new RegExp(`\\s*${NUMBER}\\s*(?:巻|冊)$`, 'i'),
+    new RegExp(`\\s+(?:vol\\.?|volume|no\\.?|#)\\s*${NUMBER}$`, 'i'),
+    new RegExp(`\\s+${NUMBER}$`, 'i')
+];
+
+// 書籍名の末尾の番号でない巻の表記（例: 「細雪 上」「銀河鉄道の夜(前編)」）
+const TRAILING_PART_PATTERN = /\s*(?:\s|[(\[])(上|中|下|前編|中編|後編)(?:巻)?[)\]]?$/;
+
+/**
+ * 漢数字を数値にする（「十二」→12、「百五」→105）
+ * @param {string} text
+ * @returns {number|null}
+ */
+function kanjiToNumber(text) {
+    let total = 0;
+    let current = 0;
+    for (const char of text) {
+        if (char in KANJI_DIGITS) {
+            current = current * 10 + KANJI_DIGITS[char];
+        } else if (char in KANJI_UNITS) {
+            total += (current || 1) * KANJI_UNITS[char];
+            current = 0;
+        } else {
+            return null;
+        }
+    }
+    return total + current;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} 大文字のローマ数字の表記か
+ */
+function isRoman(text) {
+    return /^[IVXL]+$/.test(text);
+}
+
+/**
+ * ローマ数字を数値にする（大文字の正しい表記で MAX_ROMAN_VOLUME 以下でなければnull）
+ * @param {string} text
+ * @returns {number|null}
+ */
+function romanToNumber(text) {
+    if (!isRoman(text)) return null;
+    let total = 0;
+    for (let i = 0; i < text.length; i++) {
+        const value = ROMAN_DIGITS[text[i]];
+        const next = ROMAN_DIGITS[text[i + 1]] || 0;
+        total += value < next ? -value : value;
+    }
+    // 「IIII」「VX」のような表記を除くため、数値から作り直して比べる
+    return total <= MAX_ROMAN_VOLUME && toRoman(total) === text ? total : null;
+}
+
+function toRoman(number) {
+    const table = [[50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+    let rest = number;
+    let result = '';
+    for (const [value, symbol] of table) {
+        while (rest >= value) {
+            result += symbol;
+            rest -= value;
+        }
+    }
+    return result;
+}
+
+/**
+ * 巻数の数字部分（算用数字・ローマ数字・漢数字）を数値にする
+ * @param {string} text
+ * @returns {number|null}
+ */
+function toVolumeNumber(text) {
+    let number = null;
+    if (/^\d+$/.test(text)) {
+        number = Number(text);
+    } else if (/^[IVXL]+$/i.test(text)) {
+        number = romanToNumber(text);
+    } else {
+        number = kanjiToNumber(text);
+    }
+    return number != null && number <= MAX_VOLUME_NUMBER ? number : null;
+}
+
+/**
+ * 取得元の巻数の表記から巻数を取り出す
+ * 「3」「３」「3巻」「第3巻」「第三巻」「Vol.3」「第III巻」「Vol.III」「Ⅲ」などを 3 とする。
+ * ローマ数字は大文字で、巻数の印（「第」「巻」「Vol.」など）があるか「Ⅲ」のような文字で書かれた場合だけ読み取る。
+ * 「上」「下」のように番号でない巻や、年（「2024年版」）はnull
+ * @param {string|null} volume
+ * @returns {number|null}
+ */
+export function parseVolumeNumber(volume) {
+    const text = normalizeText(volume);
+    if (!text) return null;
+
+    const whole = new RegExp(`^(?:第\\s*|vol\\.?\\s*|volume\\s*|no\\.?\\s*|#)?${NUMBER}\\s*(?:巻|冊|号|集|部)?$`, 'i').exec(text);
+    if (whole) {
+        if (isRoman(whole[1]) && !VOLUME_MARKER.test(text) && !ROMAN_NUMERAL_CHARS.test(volume)) return null;
+        return toVolumeNumber(whole[1]);
+    }
+
+    // 「3 (完)」「巻3」のように前後に文字があれば、最初の算用数字を使う
+    const digits = /\d+/.exec(text);
+    if (digits && !/\d+\s*年/.test(text)) return toVolumeNumber(digits[0]);
+    return null;
+}
+
+/**
+ * 書籍名を、シリーズ名と末尾の巻数に分ける（「上」「下」などは除いてシリーズ名とし、巻数はnull）
+ * @param {string|null} title
+ * @returns {{series: string, volume: number|null}|null} 書籍名がなければnull
+ */
+export function splitSeriesTitle(title) {
+    const text = normalizeText(title);
+    if (!text) return null;
+
+    for (const pattern of TRAILING_VOLUME_PATTERNS) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+        const series = text.substring(0, match.index).trim();
+        const volume = toVolumeNumber(match[1]);
+        // ローマ数字は、巻数の印があるか空白で区切られた末尾の語（「Fate/Zero Vol.II」「ロッキー III」）の場合だけ巻数とみなす
+        const suffix = match[0];
+        if (isRoman(match[1]) && !VOLUME_MARKER.test(suffix) && !/^\s+[IVXL]+$/.test(suffix)) continue;
+        // 書籍名全体が数字の場合（「1984」など）や、ローマ数字の表記として正しくない語（「DIVX」など）は分けない
+        if (series && volume != null) {
+            return { series, volume };
+        }
+    }
+
+    const part = TRAILING_PART_PATTERN.exec(text);
+    if (part && part.index > 0) {
+        return { series: text.substring(0, part.index).trim(), volume: null };
+    }
+    return { series: text, volume: null };
+}
+
+// シリーズ名の比較用の表記（大文字・小文字、空白、記号の違いを吸収する）
+function compactSeriesName(series) {
+    return series.toLowerCase().replace(/[\s・:：\-‐―~〜!?！？、。,.'"「」『』【】]/g, '');
+}
+
+/**
+ * 記録がどのシリーズの何巻かを求める
+ *
+ * 巻数は統合レコードの巻数を優先し、なければ書籍名の末尾から取り出す。
+ * 出版社は出版者記号から分かる出版社名を優先し、なければ統合レコードの出版社を使う
+ * （取得元による「株式会社」の有無などの違いでシリーズが分かれないようにするため）。
+ *
+ * @param {Object} entry 記録（isbn, sources, selections を含む）
+ * @returns {{key: string, series: string, publisher: string|null, volume: number|null, volumeLabel: string|null}|null}
+ *          書籍名が取得できていない記録はnull
+ */
+export function identifySeries(entry) {
+    if (!entry.isbn) return null;
+    const merged = getMergedValues(entry);
+    const split = splitSeriesTitle(merged.title);
+    if (!split) return null;
+
+    const registrant = lookupPublisher(entry.isbn);
+    const publisher = (registrant && registrant.name) || normalizeText(merged.publisher);
+    const volumeLabel = normalizeText(merged.volume);
+    const volumeFromField = parseVolumeNumber(volumeLabel);
+
+    return {
+        key: `${compactSeriesName(split.series)}|${publisher ? normalizePublisherName(publisher) : ''}`,
+        series: split.series,
+        publisher,
+        volume: volumeFromField != null ? volumeFromField : split.volume,
+        volumeLabel
+    };
+}
+
+/**
+ * 巻数の一覧を範囲の表記にする（[1, 2, 3, 5] → 「1〜3, 5」）
+ * @param {number[]} numbers 昇順
+ * @returns {string}
+ */
+export function formatVolumeRanges(numbers) {
+    const ranges = [];
+    for (const number of numbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && number === last[1] + 1) {
+            last[1] = number;
+        } else {
+            ranges.push([number, number]);
+        }
+    }
+    return ranges.map(([start, end]) => (start === end ? String(start) : `${start}〜${end}`)).join(', ');
+}
+
+/**
+ * スキャン記録をシリーズごとにまとめ、所蔵巻・欠巻・重複を求める
+ *
+ * 欠巻は1巻から所蔵している最大の巻までのうち、記録のない巻。
+ * 重複は同じ巻数の記録が複数あるもの（同じ書籍の読み直しと、通常版・特装版などの両方を含む）。
+ * 巻数が分からない記録（「上」「下」など）は unnumbered に入れる。
+ * 記録が1件だけで巻数も分からない書籍は、シリーズとみなさず含めない。
+ *
+ * @param {Object[]} entries
+ * @returns {{key: string, series: string, publisher: string|null, entries: Object[], volumes: number[],
+ *            gaps: number[], duplicates: {volume: number, entries: Object[]}[], unnumbered: {entry: Object, volumeLabel: string|null}[]}[]}
+ *          シリーズ名の順
+ */
+export function groupSeries(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const identified = identifySeries(entry);
+        if (!identified) continue;
+
+        let group = groups.get(identified.key);
+        if (!group) {
+            group = {
+                key: identified.key,
+                series: identified.series,
+                publisher: identified.publisher,
+                entries: [],
+                byVolume: new Map(),
+                unnumbered: []
+            };
+            groups.set(identified.key, group);
+        }
+        group.entries.push(entry);
+        if (identified.volume != null) {
+            if (!group.byVolume.has(identified.volume)) group.byVolume.set(identified.volume, []);
+            group.byVolume.get(identified.volume).push(entry);
+        } else {
+            group.unnumbered.push({ entry, volumeLabel: identified.volumeLabel });
+        }
+    }
+
+    const result = [];
+    for (const { byVolume, ...group } of groups.values()) {
+        if (group.entries.length < 2 && !byVolume.size) continue;
+
+        const volumes = [...byVolume.keys()].sort((a, b) => a - b);
+        const owned = new Set(volumes);
+        const gaps = [];
+        for (let volume = 1; volume < (volumes[volumes.length - 1] || 0); volume++) {
+            if (!owned.has(volume)) gaps.push(volume);
+        }
+        const duplicates = volumes
+            .filter((volume) => byVolume.get(volume).length > 1)
+            .map((volume) => ({ volume, entries: byVolume.get(volume) }));
+
+        result.push({ ...group, volumes, gaps, duplicates });
+    }
+    return result.sort((a, b) => a.series.localeCompare(b.series, 'ja'));
+}
@@ -0,0 +1,292 @@
+// スキャン履歴（セッションログ）の永続化
+
+import { openDatabase, promisifyRequest, promisifyTransaction } from './db.js';
+
+const CURRENT_SESSION_KEY = 'bookReader.currentSessionId';
+
+/**
+ * スキャン履歴をIndexedDBに保存・復元するクラス
+ *
+ * セッション（名前付きの作業単位）ごとにスキャン記録を保持する。
+ * 現在のセッションIDはlocalStorageに保存し、再読み込み時に復元する。
+ */
+export class SessionStore {
+    constructor() {
+        this.db = null;
+        this.currentSessionId = null;
+    }
+
+    /**
+     * データベースを開き、現在のセッションを復元する（なければ作成する）
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.db = await openDatabase();
+
+        const savedId = Number(localStorage.getItem(CURRENT_SESSION_KEY));
+        const saved = savedId ? await this.getSession(savedId) : null;
+        if (saved) {
+            this.currentSessionId = saved.id;
+        } else {
+            const sessions = await this.listSessions();
+            const latest = sessions[sessions.length - 1];
+            const session = latest || await this.createSession();
+            this.setCurrentSession(session.id);
+        }
+    }
+
+    _store(name, mode = 'readonly') {
+        const tx = this.db.transaction(name, mode);
+        return { tx, store: tx.objectStore(name) };
+    }
+
+    /**
+     * 既定のセッション名（日時入り）を生成する
+     * @returns {string}
+     */
+    static defaultSessionName() {
+        return `セッション ${new Date().toLocaleString('ja-JP')}`;
+    }
+
+    // ---- セッション ----
+
+    /**
+     * @returns {Promise<Object[]>} 作成日時の昇順
+     */
+    async listSessions() {
+        const { store } = this._store('sessions');
+        const sessions = await promisifyRequest(store.getAll());
+        return sessions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async getSession(id) {
+        const { store } = this._store('sessions');
+        return (await promisifyRequest(store.get(id))) || null;
+    }
+
+    /**
+     * @param {string} [name]
+     * @returns {Promise<Object>} 作成したセッション
+     */
+    async createSession(name) {
+        const now = new Date().toISOString();
+        const session = {
+            name: (name && name.trim()) || SessionStore.defaultSessionName(),
+            createdAt: now,
+            updatedAt: now
+        };
+        const { tx, store } = this._store('sessions', 'readwrite');
+        session.id = await promisifyRequest(store.add(session));
+        await promisifyTransaction(tx);
+        return session;
+    }
+
+    async renameSession(id, name) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error('セッションが見つかりません');
+        }
+        session.name = name.trim() || session.name;
+        session.updatedAt = new Date().toISOString();
+        const { tx, store } = this._store('sessions', 'readwrite');
+        store.put(session);
+        await promisifyTransaction(tx);
+        return session;
+    }
+
+    /**
+     * セッションとその記録をすべて削除する
+     * @param {number} id
+     */
+    async deleteSession(id) {
+        const tx = this.db.transaction(['sessions', 'entries', 'webhookOutbox'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        const index = tx.objectStore('entries').index('sessionId');
+        const keys = await promisifyRequest(index.getAllKeys(id));
+        for (const key of keys) {
+            tx.objectStore('entries').delete(key);
+            await deleteOutboxItems(tx, key);
+        }
+        await promisifyTransaction(tx);
+
+        if (this.currentSessionId === id) {
+            const sessions = await this.listSessions();
+            const next = sessions[sessions.length - 1] || await this.createSession();
+            this.setCurrentSession(next.id);
+        }
+    }
+
+    /**
+     * 蔵書点検の所蔵リストをセッションに保存する
+     * @param {number} id
+     * @param {{filename: string, importedAt: string, items: Object[]}|null} holdings nullなら削除する
+     */
+    async setHoldings(id, holdings) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error('セッションが見つかりません');
+        }
+        if (holdings) {
+            session.holdings = holdings;
+        } else {
+            delete session.holdings;
+        }
+        session.updatedAt = new Date().toISOString();
+        const { tx, store } = this._store('sessions', 'readwrite');
+        store.put(session);
+        await promisifyTransaction(tx);
+        return session;
+    }
+
+    setCurrentSession(id) {
+        this.currentSessionId = id;
+        localStorage.setItem(CURRENT_SESSION_KEY, String(id));
+    }
+
+    // ---- スキャン記録 ----
+
+    /**
+     * 現在のセッションに記録を追加する
+     * @param {Object} record { isbn, ccode, parsedCCode, sources }
+     * @returns {Promise<Object>} IDと日時を付与した記録
+     */
+    async addEntry(record) {
+        const now = new Date().toISOString();
+        const entry = {
+            ...record,
+            sessionId: this.currentSessionId,
+            scannedAt: record.scannedAt || now,
+            updatedAt: now
+        };
+        const { tx, store } = this._store('entries', 'readwrite');
+        entry.id = await promisifyRequest(store.add(entry));
+        await promisifyTransaction(tx);
+        return entry;
+    }
+
+    /**
+     * 現在のセッションに複数の記録をまとめて追加する（インポート用）
+     * @param {Object[]} records
+     * @returns {Promise<number>} 追加した件数
+     */
+    async addEntries(records) {
+        const now = new Date().toISOString();
+        const { tx, store } = this._store('entries', 'readwrite');
+        for (const record of records) {
+            store.add({
+                ...record,
+                sessionId: this.currentSessionId,
+                scannedAt: record.scannedAt || now,
+                updatedAt: now
+            });
+        }
+        await promisifyTransaction(tx);
+        return records.length;
+    }
+
+    /**
+     * @param {number} [sessionId] 省略時は現在のセッション
+     * @returns {Promise<Object[]>} スキャン日時の昇順
+     */
+    async listEntries(sessionId = this.currentSessionId) {
+        const { store } = this._store('entries');
+        const entries = await promisifyRequest(store.index('sessionId').getAll(sessionId));
+        return entries.sort((a, b) => a.scannedAt.localeCompare(b.scannedAt) || a.id - b.id);
+    }
+
+    async getEntry(id) {
+        const { store } = this._store('entries');
+        return (await promisifyRequest(store.get(id))) || null;
+    }
+
+    /**
+     * 書籍情報を取得できていない記録（全セッション）を返す
+     * @returns {Promise<Object[]>} スキャン日時の昇順
+     */
+    async listPendingEntries() {
+        const { store } = this._store('entries');
+        const entries = await promisifyRequest(store.index('lookupState').getAll('pending'));
+        return entries.sort((a, b) => a.scannedAt.localeCompare(b.scannedAt) || a.id - b.id);
+    }
+
+    /**
+     * @returns {Promise<number>} 書籍情報を取得できていない記録の件数（全セッション）
+     */
+    async countPendingEntries() {
+        const { store } = this._store('entries');
+        return promisifyRequest(store.index('lookupState').count('pending'));
+    }
+
+    /**
+     * 取得中のまま残った記録（連続読み取りの取得中にページを閉じた場合など）を未取得に戻す
+     * @returns {Promise<number>} 未取得に戻した件数
+     */
+    async resetLoadingEntries() {
+        const { tx, store } = this._store('entries', 'readwrite');
+        const entries = await promisifyRequest(store.index('lookupState').getAll('loading'));
+        for (const entry of entries) {
+            store.put({ ...entry, lookupState: 'pending' });
+        }
+        await promisifyTransaction(tx);
+        return entries.length;
+    }
+
+    /**
+     * 書籍を最後に読み取った棚を探す（全セッション）
+     * @param {string} isbn
+     * @param {Object} [options]
+     * @param {{id: number, scannedAt: string}} [options.before] この記録より前に読み取った記録だけから探す（記録を編集した場合）
+     * @returns {Promise<string|null>} 棚の付いた記録がなければnull
+     */
+    async findLastLocation(isbn, { before = null } = {}) {
+        const { store } = this._store('entries');
+        const entries = await promisifyRequest(store.index('isbn').getAll(isbn));
+        const located = entries
+            .filter((entry) => entry.location)
+            .filter((entry) => !before || entry.scannedAt.localeCompare(before.scannedAt) < 0
+                || (entry.scannedAt === before.scannedAt && entry.id < before.id))
+            .sort((a, b) => a.scannedAt.localeCompare(b.scannedAt) || a.id - b.id);
+        return located.length ? located[located.length - 1].location : null;
+    }
+
+    /**
+     * 記録の一部を更新する
+     * @param {number} id
+     * @param {Object} changes undefinedを指定した項目は記録から削除する
+     * @returns {Promise<Object>} 更新後の記録
+     */
+    async updateEntry(id, changes) {
+        const entry = await this.getEntry(id);
+        if (!entry) {
+            throw new Error('記録が見つかりません');
+        }
+        const updated = { ...entry, ...changes, id, updatedAt: new Date().toISOString() };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === undefined) delete updated[key];
+        }
+        const { tx, store } = this._store('entries', 'readwrite');
+        store.put(updated);
+        await promisifyTransaction(tx);
+        return updated;
+    }
+
+    async deleteEntry(id) {
+        const tx = this.db.transaction(['entries', 'webhookOutbox'], 'readwrite');
+        tx.objectStore('entries').delete(id);
+        await deleteOutboxItems(tx, id);
+        await promisifyTransaction(tx);
+    }
+}
+
+/**
+ * 削除した記録のWebhookの送信待ちを削除する（削除した記録を送信しないため）
+ * @param {IDBTransaction} tx webhookOutbox を含む読み書きのトランザクション
+ * @param {number} entryId
+ */
+async function deleteOutboxItems(tx, entryId) {
+    const outbox = tx.objectStore('webhookOutbox');
+    const keys = await promisifyRequest(outbox.index('entryId').getAllKeys(entryId));
+    for (const key of keys) {
+        outbox.delete(key);
+    }
+}
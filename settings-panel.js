@@ -0,0 +1,311 @@
+// 設定パネル（取得元のURL・APIキー・有効/無効と、入力欄の動作、記録の送信先、登録した出版者記号）
+
+import { APP_CONFIG } from './config.js';
+import { PROVIDERS } from './providers.js';
+import { loadLocalPublishers, setLocalPublisher } from './publisher-registrants.js';
+import { FOCUS_AFTER_SCAN_LABELS, normalizeUserSettings, resetUserSettings, saveUserSettings } from './settings.js';
+import { buildTestPayload, sendWebhook } from './webhook.js';
+
+/**
+ * 設定を編集・保存するクラス
+ *
+ * 表示する値は APP_CONFIG（config.js の値に保存済みの設定を重ねたもの）から読む。
+ * 保存すると APP_CONFIG に反映して onChange を呼ぶため、再読み込みせずに次の読み取りから使われる。
+ */
+export class SettingsPanel {
+    /**
+     * @param {string} rootId
+     * @param {Object} [options]
+     * @param {() => void} [options.onChange] 設定を保存・リセットした後に呼ばれる
+     * @param {() => void} [options.onPublishersChange] 出版者記号の登録を追加・削除した後に呼ばれる
+     */
+    constructor(rootId, { onChange, onPublishersChange } = {}) {
+        this.root = document.getElementById(rootId);
+        this.onChange = onChange;
+        this.onPublishersChange = onPublishersChange;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            providerTableBody: this.root.querySelector('.settings-providers tbody'),
+            debounceInput: this.root.querySelector('.settings-debounce'),
+            autoSubmitInput: this.root.querySelector('.settings-auto-submit'),
+            focusSelect: this.root.querySelector('.settings-focus'),
+            locationPrefixInput: this.root.querySelector('.settings-location-prefix'),
+            webhookUrlInput: this.root.querySelector('.settings-webhook-url'),
+            webhookTokenInput: this.root.querySelector('.settings-webhook-token'),
+            webhookTestModeInput: this.root.querySelector('.settings-webhook-test-mode'),
+            webhookTestBtn: this.root.querySelector('.settings-webhook-test-btn'),
+            publisherTableBody: this.root.querySelector('.settings-publishers tbody'),
+            publisherKeyInput: this.root.querySelector('.settings-publisher-key'),
+            publisherNameInput: this.root.querySelector('.settings-publisher-name'),
+            publisherAddBtn: this.root.querySelector('.settings-publisher-add-btn'),
+            saveBtn: this.root.querySelector('.settings-save-btn'),
+            resetBtn: this.root.querySelector('.settings-reset-btn'),
+            message: this.root.querySelector('.settings-message'),
+            errorDiv: this.root.querySelector('.error')
+        };
+    }
+
+    init() {
+        for (const [value, label] of Object.entries(FOCUS_AFTER_SCAN_LABELS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.elements.focusSelect.appendChild(option);
+        }
+
+        this.elements.saveBtn.addEventListener('click', () => this.save());
+        this.elements.resetBtn.addEventListener('click', () => {
+            if (!confirm('設定を config.js の値に戻しますか？')) return;
+            resetUserSettings();
+            this.render();
+            this.showMessage('設定を既定に戻しました');
+            if (this.onChange) this.onChange();
+        });
+
+        this.elements.webhookTestBtn.addEventListener('click', () => this.testWebhook());
+
+        this.elements.publisherAddBtn.addEventListener('click', () => {
+            const key = this.elements.publisherKeyInput.value.trim();
+            const name = this.elements.publisherNameInput.value.trim();
+            if (!name) {
+                this.showError('出版社名を入力してください');
+                return;
+            }
+            this.updatePublisher(key, name, `出版者記号 ${key} を「${name}」として登録しました`);
+        });
+
+        this.render();
+        this.renderPublishers();
+    }
+
+    render() {
+        const tbody = this.elements.providerTableBody;
+        tbody.textContent = '';
+        const { options, defaults } = APP_CONFIG.providers;
+
+        for (const id of APP_CONFIG.providers.order) {
+            const provider = PROVIDERS[id];
+            if (!provider) continue;
+            const current = options[id] || {};
+            const editable = provider.settings || [];
+            const tr = document.createElement('tr');
+            tr.dataset.provider = id;
+
+            const nameTd = document.createElement('td');
+            nameTd.textContent = provider.label;
+            tr.appendChild(nameTd);
+
+            const enabledTd = document.createElement('td');
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.className = 'settings-enabled';
+            enabled.checked = current.enabled !== undefined ? current.enabled : defaults.enabled;
+            enabledTd.appendChild(enabled);
+            tr.appendChild(enabledTd);
+
+            tr.appendChild(this.createTextCell(editable.includes('baseUrl'), {
+                className: 'settings-base-url',
+                type: 'url',
+                value: current.baseUrl || '',
+                placeholder: provider.baseUrl || ''
+            }));
+            tr.appendChild(this.createTextCell(editable.includes('apiKey'), {
+                className: 'settings-api-key',
+                type: 'password',
+                value: current.apiKey || '',
+                placeholder: '未設定'
+            }));
+
+            tbody.appendChild(tr);
+        }
+
+        this.elements.debounceInput.value = String(APP_CONFIG.input.debounce);
+        this.elements.autoSubmitInput.value = String(APP_CONFIG.input.autoSubmitLength);
+        this.elements.focusSelect.value = APP_CONFIG.input.focusAfterScan;
+        this.elements.locationPrefixInput.value = APP_CONFIG.input.locationPrefix;
+        this.elements.webhookUrlInput.value = APP_CONFIG.webhook.url;
+        this.elements.webhookTokenInput.value = APP_CONFIG.webhook.token;
+        this.elements.webhookTestModeInput.checked = APP_CONFIG.webhook.testMode;
+    }
+
+    /**
+     * 登録した出版者記号の一覧を表示する（結果画面から登録した場合も呼ばれる）
+     */
+    renderPublishers() {
+        const tbody = this.elements.publisherTableBody;
+        if (!tbody) return;
+        tbody.textContent = '';
+        const entries = Object.entries(loadLocalPublishers()).sort(([a], [b]) => a.localeCompare(b));
+
+        if (!entries.length) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 3;
+            td.className = 'history-empty';
+            td.textContent = '登録した出版者記号はありません';
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        for (const [key, name] of entries) {
+            const tr = document.createElement('tr');
+            const keyTd = document.createElement('td');
+            keyTd.textContent = key;
+            const nameTd = document.createElement('td');
+            nameTd.textContent = name;
+
+            const actionTd = document.createElement('td');
+            actionTd.className = 'history-actions';
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'history-delete-btn';
+            deleteBtn.textContent = '削除';
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm(`出版者記号 ${key}（${name}）の登録を削除しますか？`)) return;
+                this.updatePublisher(key, '', `出版者記号 ${key} の登録を削除しました`);
+            });
+            actionTd.appendChild(deleteBtn);
+
+            tr.appendChild(keyTd);
+            tr.appendChild(nameTd);
+            tr.appendChild(actionTd);
+            tbody.appendChild(tr);
+        }
+    }
+
+    /**
+     * 出版者記号の登録を追加・変更・削除する
+     * @param {string} key 例: 978-4-10
+     * @param {string} name 空なら削除
+     * @param {string} message 成功したときに表示する文言
+     */
+    updatePublisher(key, name, message) {
+        this.hideError();
+        try {
+            setLocalPublisher(key, name);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        this.elements.publisherKeyInput.value = '';
+        this.elements.publisherNameInput.value = '';
+        this.renderPublishers();
+        this.showMessage(message);
+        if (this.onPublishersChange) this.onPublishersChange();
+    }
+
+    /**
+     * @param {boolean} editable 取得元がこの項目の変更を受け付けるか（受け付けなければ「-」を表示する）
+     * @param {{className: string, type: string, value: string, placeholder: string}} attrs
+     * @returns {HTMLTableCellElement}
+     */
+    createTextCell(editable, { className, type, value, placeholder }) {
+        const td = document.createElement('td');
+        if (!editable) {
+            td.textContent = '-';
+            return td;
+        }
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = `settings-input ${className}`;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.autocomplete = 'off';
+        td.appendChild(input);
+        return td;
+    }
+
+    /**
+     * 画面の入力値から設定を組み立てる
+     * @returns {Object}
+     */
+    collect() {
+        const providers = {};
+        this.elements.providerTableBody.querySelectorAll('tr').forEach((tr) => {
+            const baseUrl = tr.querySelector('.settings-base-url');
+            const apiKey = tr.querySelector('.settings-api-key');
+            providers[tr.dataset.provider] = {
+                enabled: tr.querySelector('.settings-enabled').checked,
+                ...(baseUrl ? { baseUrl: baseUrl.value } : {}),
+                ...(apiKey ? { apiKey: apiKey.value } : {})
+            };
+        });
+        return {
+            providers,
+            input: {
+                debounce: this.elements.debounceInput.value.trim(),
+                autoSubmitLength: this.elements.autoSubmitInput.value.trim(),
+                focusAfterScan: this.elements.focusSelect.value,
+                locationPrefix: this.elements.locationPrefixInput.value
+            },
+            webhook: {
+                url: this.elements.webhookUrlInput.value,
+                token: this.elements.webhookTokenInput.value,
+                testMode: this.elements.webhookTestModeInput.checked
+            }
+        };
+    }
+
+    /**
+     * 入力中の送信先に、見本の記録を test: true で送信する（設定は保存しない）
+     */
+    async testWebhook() {
+        this.hideError();
+        let webhook;
+        try {
+            ({ webhook } = normalizeUserSettings({ webhook: this.collect().webhook }));
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        if (!webhook.url) {
+            this.showError('送信先のURLを入力してください');
+            return;
+        }
+
+        const button = this.elements.webhookTestBtn;
+        button.disabled = true;
+        try {
+            const status = await sendWebhook(buildTestPayload(), { url: webhook.url, token: webhook.token });
+            this.showMessage(`テスト送信に成功しました（HTTP ${status}）`);
+        } catch (error) {
+            this.showError(`テスト送信に失敗しました: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    save() {
+        this.hideError();
+        try {
+            saveUserSettings(this.collect());
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        this.render();
+        this.showMessage('設定を保存しました');
+        if (this.onChange) this.onChange();
+    }
+
+    showMessage(message) {
+        this.elements.message.textContent = `✅ ${message}`;
+        this.elements.message.classList.remove('hidden');
+    }
+
+    showError(message) {
+        this.elements.message.classList.add('hidden');
+        this.elements.errorDiv.textContent = `❌ エラー: ${message}`;
+        this.elements.errorDiv.classList.remove('hidden');
+    }
+
+    hideError() {
+        this.elements.errorDiv.classList.add('hidden');
+    }
+}
@@ -0,0 +1,211 @@
+// ユーザー設定（画面の「設定」で変更した値）の保存と、APP_CONFIG への反映
+//
+// config.js の値を既定値とし、保存した項目だけを上書きする。
+// localStorage のない環境（Node.js など）では何も保存せず、config.js の値をそのまま使う。
+
+import { APP_CONFIG } from './config.js';
+import { PROVIDERS } from './providers.js';
+
+// ユーザー設定を保存するlocalStorageのキー
+const SETTINGS_KEY = 'bookReader.settings';
+
+/** 読み取りに成功した後のフォーカスの表示名（APP_CONFIG.input.focusAfterScan の値） */
+export const FOCUS_AFTER_SCAN_LABELS = {
+    next: '次の書籍のISBN欄へ移動',
+    reset: '入力欄を空にしてISBN欄へ戻る',
+    none: '移動しない'
+};
+
+// 自動読み込みの待ち時間（ミリ秒）と文字数の上限
+const MAX_DEBOUNCE = 5000;
+const MAX_AUTO_SUBMIT_LENGTH = 13;
+
+// 棚のバーコードの接頭記号の最大文字数
+const MAX_LOCATION_PREFIX_LENGTH = 16;
+
+// 反映前の config.js の値（設定を既定に戻す場合に使う）
+const DEFAULTS = {
+    providerOptions: structuredClone(APP_CONFIG.providers.options),
+    input: { ...APP_CONFIG.input },
+    webhook: { ...APP_CONFIG.webhook }
+};
+
+function getStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+/**
+ * 整数の設定値を検証する
+ * @param {*} value
+ * @param {number} max
+ * @param {string} label エラーメッセージに使う項目名
+ * @returns {number}
+ */
+function toInteger(value, max, label) {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isInteger(number) || number < 0 || number > max) {
+        throw new Error(`${label}は0〜${max}の整数で指定してください`);
+    }
+    return number;
+}
+
+/**
+ * @param {string} value
+ * @param {string} label
+ * @returns {string} 空ならそのまま空文字
+ */
+function toBaseUrl(value, label) {
+    const trimmed = String(value || '').trim();
+    if (!trimmed) return '';
+    let protocol = null;
+    try {
+        protocol = new URL(trimmed).protocol;
+    } catch (error) {
+        // 解析できないURLは下でエラーにする
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw new Error(`${label}のURLが正しくありません（http:// または https:// から始まるURLを指定してください）`);
+    }
+    return trimmed;
+}
+
+/**
+ * 棚のバーコードの接頭記号を検証する
+ * 数字だけの接頭記号は、ISBNや商品のJANコードと区別できないため受け付けない
+ * @param {string} value
+ * @returns {string} 空ならそのまま空文字（棚のバーコードを使わない）
+ */
+function toLocationPrefix(value) {
+    const trimmed = String(value || '').normalize('NFKC').trim();
+    if (!trimmed) return '';
+    if (/\s/.test(trimmed) || trimmed.length > MAX_LOCATION_PREFIX_LENGTH) {
+        throw new Error(`棚のバーコードの接頭記号は空白を含まない${MAX_LOCATION_PREFIX_LENGTH}文字以内で指定してください`);
+    }
+    if (!/\D/.test(trimmed)) {
+        throw new Error('棚のバーコードの接頭記号には、数字以外の文字を含めてください（書籍・商品のバーコードと区別するため）');
+    }
+    return trimmed;
+}
+
+/**
+ * ユーザー設定を検証し、保存する形に整える（取得元の項目は、その取得元が変更を受け付けるものだけ残す）
+ * @param {Object} settings
+ * @returns {{providers: Object<string, {enabled?: boolean, baseUrl?: string, apiKey?: string}>,
+ *            input: {debounce?: number, autoSubmitLength?: number, focusAfterScan?: string, locationPrefix?: string},
+ *            webhook: {url?: string, token?: string, testMode?: boolean}}}
+ * @throws {Error} 値が正しくない場合
+ */
+export function normalizeUserSettings(settings) {
+    const providers = {};
+    for (const [id, values] of Object.entries((settings && settings.providers) || {})) {
+        const provider = PROVIDERS[id];
+        if (!provider || !values) continue;
+        const editable = provider.settings || [];
+        const normalized = {};
+        if (typeof values.enabled === 'boolean') {
+            normalized.enabled = values.enabled;
+        }
+        if (editable.includes('baseUrl') && values.baseUrl !== undefined) {
+            normalized.baseUrl = toBaseUrl(values.baseUrl, provider.label);
+        }
+        if (editable.includes('apiKey') && values.apiKey !== undefined) {
+            normalized.apiKey = String(values.apiKey || '').trim();
+        }
+        providers[id] = normalized;
+    }
+
+    const input = {};
+    const values = (settings && settings.input) || {};
+    if (values.debounce !== undefined) {
+        input.debounce = toInteger(values.debounce, MAX_DEBOUNCE, '自動読み込みの待ち時間');
+    }
+    if (values.autoSubmitLength !== undefined) {
+        input.autoSubmitLength = toInteger(values.autoSubmitLength, MAX_AUTO_SUBMIT_LENGTH, '自動読み込みの文字数');
+    }
+    if (values.focusAfterScan !== undefined) {
+        if (!(values.focusAfterScan in FOCUS_AFTER_SCAN_LABELS)) {
+            throw new Error(`読み取り後のフォーカスの指定が正しくありません: ${values.focusAfterScan}`);
+        }
+        input.focusAfterScan = values.focusAfterScan;
+    }
+    if (values.locationPrefix !== undefined) {
+        input.locationPrefix = toLocationPrefix(values.locationPrefix);
+    }
+
+    const webhook = {};
+    const webhookValues = (settings && settings.webhook) || {};
+    if (webhookValues.url !== undefined) {
+        webhook.url = toBaseUrl(webhookValues.url, 'Webhookの送信先');
+    }
+    if (webhookValues.token !== undefined) {
+        webhook.token = String(webhookValues.token || '').trim();
+    }
+    if (typeof webhookValues.testMode === 'boolean') {
+        webhook.testMode = webhookValues.testMode;
+    }
+
+    return { providers, input, webhook };
+}
+
+/**
+ * ユーザー設定を config.js の既定値に重ねて APP_CONFIG に反映する
+ * URL・APIキー・トークンが空の項目は config.js の値（なければ取得元の既定のURL）を使う
+ * @param {Object} settings normalizeUserSettings で整えた値（{} で既定に戻す）
+ * @param {Object} [config]
+ */
+export function applyUserSettings(settings, config = APP_CONFIG) {
+    const saved = settings.providers || {};
+    const ids = new Set([...Object.keys(DEFAULTS.providerOptions), ...Object.keys(saved)]);
+    for (const id of ids) {
+        const values = saved[id] || {};
+        const options = { ...(DEFAULTS.providerOptions[id] || {}) };
+        if (typeof values.enabled === 'boolean') options.enabled = values.enabled;
+        if (values.baseUrl) options.baseUrl = values.baseUrl;
+        if (values.apiKey) options.apiKey = values.apiKey;
+        config.providers.options[id] = options;
+    }
+    config.input = { ...DEFAULTS.input, ...(settings.input || {}) };
+    const webhook = settings.webhook || {};
+    config.webhook = { ...DEFAULTS.webhook };
+    if (webhook.url) config.webhook.url = webhook.url;
+    if (webhook.token) config.webhook.token = webhook.token;
+    if (typeof webhook.testMode === 'boolean') config.webhook.testMode = webhook.testMode;
+}
+
+/**
+ * 保存済みのユーザー設定を読み込む（正しくない値が保存されていた場合は使わない）
+ * @returns {Object}
+ */
+export function loadUserSettings() {
+    const storage = getStorage();
+    if (!storage) return {};
+    try {
+        return normalizeUserSettings(JSON.parse(storage.getItem(SETTINGS_KEY)) || {});
+    } catch (error) {
+        console.error('設定の読み込みエラー:', error);
+        return {};
+    }
+}
+
+/**
+ * ユーザー設定を検証して保存し、APP_CONFIG に反映する
+ * @param {Object} settings
+ * @returns {Object} 保存した値
+ * @throws {Error} 値が正しくない場合
+ */
+export function saveUserSettings(settings) {
+    const normalized = normalizeUserSettings(settings);
+    const storage = getStorage();
+    if (storage) storage.setItem(SETTINGS_KEY, JSON.stringify(normalized));
+    applyUserSettings(normalized);
+    return normalized;
+}
+
+/**
+ * 保存したユーザー設定を削除し、config.js の値に戻す
+ */
+export function resetUserSettings() {
+    const storage = getStorage();
+    if (storage) storage.removeItem(SETTINGS_KEY);
+    applyUserSettings({});
+}
@@ -0,0 +1,294 @@
+// 背ラベル印刷ページ（書籍の選択、ラベル用紙の設定、印刷プレビュー）
+
+import { APP_CONFIG } from './config.js';
+import { formatISBN } from './isbn-ranges.js';
+import { getMergedValues } from './reconcile.js';
+import { SessionStore } from './session-store.js';
+import { LABEL_TEMPLATES, buildSpineLabel, layoutLabels } from './spine-labels.js';
+
+// ラベル用紙の設定を保存するlocalStorageのキー
+const LABEL_SETTINGS_KEY = 'bookReader.labelSettings';
+
+// 用紙の設定項目（LABEL_TEMPLATES の各項目と同じ名前）
+const SETTING_KEYS = ['columns', 'rows', 'marginTop', 'marginBottom', 'marginLeft', 'marginRight', 'gapX', 'gapY'];
+
+// ラベルに印字する項目（上段から順に）
+const LABEL_FIELDS = ['ndc', 'authorMark', 'volume'];
+
+/**
+ * 現在のセッションの書籍から背ラベルを作り、ラベル用紙に割り付けて印刷するクラス
+ *
+ * 印字内容は書籍ごとに手直しできる（記録には保存しない）。
+ * 1枚目のプレビューの位置をクリックすると使用済みとして飛ばせるため、使いかけの用紙にも印刷できる。
+ */
+export class SpineLabelPanel {
+    /**
+     * @param {string} rootId
+     * @param {SessionStore} store
+     */
+    constructor(rootId, store) {
+        this.root = document.getElementById(rootId);
+        this.store = store;
+        this.entries = [];
+        this.selected = new Set();
+        this.edits = new Map();
+        this.used = new Set();
+        this.settings = null;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            sessionName: this.root.querySelector('.label-session-name'),
+            templateSelect: this.root.querySelector('.label-template'),
+            settingInputs: this.root.querySelectorAll('.label-setting'),
+            selectAllBtn: this.root.querySelector('.label-select-all-btn'),
+            selectNoneBtn: this.root.querySelector('.label-select-none-btn'),
+            bookTableBody: this.root.querySelector('.label-books tbody'),
+            emptyMessage: this.root.querySelector('.label-books-empty'),
+            summary: this.root.querySelector('.label-summary'),
+            usedClearBtn: this.root.querySelector('.label-used-clear-btn'),
+            printBtn: this.root.querySelector('.label-print-btn'),
+            preview: this.root.querySelector('.label-preview'),
+            errorDiv: this.root.querySelector('.error')
+        };
+    }
+
+    async init() {
+        for (const [id, template] of Object.entries(LABEL_TEMPLATES)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = template.name;
+            this.elements.templateSelect.appendChild(option);
+        }
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'ユーザー設定';
+        this.elements.templateSelect.appendChild(custom);
+
+        this.settings = this.loadSettings();
+        this.renderSettings();
+        this.bindEvents();
+
+        const session = await this.store.getSession(this.store.currentSessionId);
+        this.elements.sessionName.textContent = session ? session.name : '';
+        this.entries = await this.store.listEntries();
+        this.entries.forEach((entry) => this.selected.add(entry.id));
+
+        this.renderBooks();
+        this.renderPreview();
+    }
+
+    bindEvents() {
+        this.elements.templateSelect.addEventListener('change', (e) => {
+            const template = LABEL_TEMPLATES[e.target.value];
+            this.settings = template
+                ? { template: e.target.value, ...template }
+                : { ...this.settings, template: 'custom' };
+            this.used.clear();
+            this.saveSettings();
+            this.renderSettings();
+            this.renderPreview();
+        });
+
+        this.elements.settingInputs.forEach((input) => {
+            input.addEventListener('input', () => {
+                const value = Number(input.value);
+                if (input.value === '' || Number.isNaN(value)) return;
+                this.settings = { ...this.settings, template: 'custom', [input.dataset.key]: value };
+                this.elements.templateSelect.value = 'custom';
+                this.saveSettings();
+                this.renderPreview();
+            });
+        });
+
+        this.elements.selectAllBtn.addEventListener('click', () => {
+            this.entries.forEach((entry) => this.selected.add(entry.id));
+            this.renderBooks();
+            this.renderPreview();
+        });
+        this.elements.selectNoneBtn.addEventListener('click', () => {
+            this.selected.clear();
+            this.renderBooks();
+            this.renderPreview();
+        });
+
+        this.elements.usedClearBtn.addEventListener('click', () => {
+            this.used.clear();
+            this.renderPreview();
+        });
+
+        this.elements.printBtn.addEventListener('click', () => window.print());
+    }
+
+    /**
+     * @returns {Object} 保存済みの設定（なければ config.js の既定の用紙）
+     */
+    loadSettings() {
+        const fallback = { template: APP_CONFIG.labels.template, ...LABEL_TEMPLATES[APP_CONFIG.labels.template] };
+        try {
+            const saved = JSON.parse(localStorage.getItem(LABEL_SETTINGS_KEY));
+            if (saved && SETTING_KEYS.every((key) => typeof saved[key] === 'number')) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('背ラベルの設定の読み込みエラー:', error);
+        }
+        return fallback;
+    }
+
+    saveSettings() {
+        localStorage.setItem(LABEL_SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    renderSettings() {
+        this.elements.templateSelect.value = this.settings.template in LABEL_TEMPLATES ? this.settings.template : 'custom';
+        this.elements.settingInputs.forEach((input) => {
+            input.value = String(this.settings[input.dataset.key]);
+        });
+    }
+
+    /**
+     * 書籍の背ラベルの内容（手直しがあればそれを優先する）
+     * @param {Object} entry
+     * @returns {{ndc: string, authorMark: string, volume: string}}
+     */
+    labelFor(entry) {
+        return { ...buildSpineLabel(getMergedValues(entry)), ...(this.edits.get(entry.id) || {}) };
+    }
+
+    renderBooks() {
+        const tbody = this.elements.bookTableBody;
+        tbody.textContent = '';
+
+        for (const entry of this.entries) {
+            const merged = getMergedValues(entry);
+            const label = this.labelFor(entry);
+            const tr = document.createElement('tr');
+
+            const checkTd = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selected.has(entry.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.selected.add(entry.id);
+                else this.selected.delete(entry.id);
+                this.renderPreview();
+            });
+            checkTd.appendChild(checkbox);
+            tr.appendChild(checkTd);
+
+            for (const text of [entry.isbn ? formatISBN(entry.isbn) : '-', merged.title || '-', merged.authors || '-']) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+
+            for (const field of LABEL_FIELDS) {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = `label-input label-input-${field}`;
+                input.value = label[field];
+                input.addEventListener('input', () => {
+                    this.edits.set(entry.id, { ...(this.edits.get(entry.id) || {}), [field]: input.value.trim() });
+                    this.renderPreview();
+                });
+                td.appendChild(input);
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        this.elements.emptyMessage.classList.toggle('hidden', this.entries.length > 0);
+    }
+
+    renderPreview() {
+        const preview = this.elements.preview;
+        preview.textContent = '';
+        this.hideError();
+
+        const labels = this.entries
+            .filter((entry) => this.selected.has(entry.id))
+            .map((entry) => this.labelFor(entry));
+
+        let pages;
+        try {
+            pages = layoutLabels(labels, this.settings, this.used);
+        } catch (error) {
+            this.showError(error.message);
+            this.elements.printBtn.disabled = true;
+            return;
+        }
+
+        this.elements.summary.textContent =
+            `${labels.length} 枚・用紙 ${pages.length} 枚${this.used.size ? `（1枚目の使用済み ${this.used.size} か所を飛ばします）` : ''}`;
+        this.elements.printBtn.disabled = labels.length === 0;
+
+        pages.forEach((cells, pageIndex) => {
+            const sheet = document.createElement('div');
+            sheet.className = 'label-sheet';
+            cells.forEach((cell, position) => {
+                sheet.appendChild(this.createCell(cell, pageIndex === 0 ? position : null));
+            });
+            preview.appendChild(sheet);
+        });
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number, label: Object|null, used: boolean}} cell
+     * @param {number|null} position 1枚目の位置（使用済みの切り替え用）。2枚目以降はnull
+     * @returns {HTMLElement}
+     */
+    createCell(cell, position) {
+        const div = document.createElement('div');
+        div.className = 'spine-label';
+        div.classList.toggle('used', cell.used);
+        div.classList.toggle('empty', !cell.label && !cell.used);
+        Object.assign(div.style, {
+            left: `${cell.x}mm`,
+            top: `${cell.y}mm`,
+            width: `${cell.width}mm`,
+            height: `${cell.height}mm`,
+            fontSize: `${Math.min(cell.height / 4, cell.width / 5)}mm`
+        });
+
+        if (cell.used) {
+            div.textContent = '使用済み';
+        } else if (cell.label) {
+            for (const field of LABEL_FIELDS) {
+                const line = document.createElement('span');
+                line.className = `spine-label-line spine-label-${field}`;
+                line.textContent = cell.label[field] || ' ';
+                div.appendChild(line);
+            }
+        }
+
+        if (position !== null) {
+            div.title = 'クリックで使用済み・未使用を切り替え';
+            div.addEventListener('click', () => {
+                if (this.used.has(position)) this.used.delete(position);
+                else this.used.add(position);
+                this.renderPreview();
+            });
+        }
+        return div;
+    }
+
+    showError(message) {
+        this.elements.errorDiv.textContent = `❌ エラー: ${message}`;
+        this.elements.errorDiv.classList.remove('hidden');
+    }
+
+    hideError() {
+        this.elements.errorDiv.classList.add('hidden');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const store = new SessionStore();
+    await store.open();
+    const panel = new SpineLabelPanel('spine-labels', store);
+    await panel.init();
+});
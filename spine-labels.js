@@ -0,0 +1,175 @@
+// 背ラベル（分類記号・著者記号・巻冊記号）の作成とラベル用紙への配置
+
+import { APP_CONFIG } from './config.js';
+import { parseNDC } from './ndc-data.js';
+import { normalizeText } from './reconcile.js';
+
+/** A4の用紙サイズ（mm） */
+export const PAGE_SIZE = { width: 210, height: 297 };
+
+/**
+ * ラベル用紙の定義（寸法はmm）
+ *
+ * 列数・行数と余白・ラベル間の間隔を指定し、ラベルの大きさは残りの幅・高さを等分して求める。
+ */
+export const LABEL_TEMPLATES = {
+    'a4-65': {
+        name: 'A4 65面（5列×13行）',
+        columns: 5, rows: 13,
+        marginTop: 10.7, marginBottom: 10.7, marginLeft: 4.7, marginRight: 4.7,
+        gapX: 2.5, gapY: 0
+    },
+    'a4-44': {
+        name: 'A4 44面（4列×11行）',
+        columns: 4, rows: 11,
+        marginTop: 8.8, marginBottom: 8.8, marginLeft: 8.4, marginRight: 8.4,
+        gapX: 0, gapY: 0
+    },
+    'a4-40': {
+        name: 'A4 40面（4列×10行）',
+        columns: 4, rows: 10,
+        marginTop: 13.5, marginBottom: 13.5, marginLeft: 11, marginRight: 11,
+        gapX: 2, gapY: 0
+    },
+    'a4-24': {
+        name: 'A4 24面（3列×8行）',
+        columns: 3, rows: 8,
+        marginTop: 12.9, marginBottom: 12.9, marginLeft: 0, marginRight: 0,
+        gapX: 0, gapY: 0
+    }
+};
+
+// ひらがなをカタカナに変換する
+function toKatakana(text) {
+    return text.replace(/[ぁ-ゖ]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) + 0x60));
+}
+
+/**
+ * 著者記号を作る
+ *
+ * NDLサーチの著者名の読み（「ナツメ, ソウセキ」）の先頭から length 文字をカタカナで取る。
+ * 読みがない場合は、著者名がかな・英字で始まっていればその先頭の文字を使い、
+ * 漢字の著者名しかない場合は空にする（手入力してもらう）。
+ *
+ * @param {string|null} reading 著者名の読み（複数の場合は「 / 」区切り）
+ * @param {string|null} authors 著者名
+ * @param {number} [length]
+ * @returns {string}
+ */
+export function authorMark(reading, authors, length = APP_CONFIG.labels.authorMarkLength) {
+    const first = (value) => (normalizeText(value) || '').split(/\s*\/\s*/)[0];
+
+    const kana = toKatakana(first(reading)).replace(/[^ァ-ヶー]/g, '');
+    if (kana) {
+        return kana.substring(0, length);
+    }
+
+    const name = toKatakana(first(authors));
+    if (/^[ァ-ヶ]/.test(name)) {
+        return name.replace(/[^ァ-ヶー]/g, '').substring(0, length);
+    }
+    if (/^[A-Za-z]/.test(name)) {
+        return name.replace(/[^A-Za-z]/g, '').substring(0, length).toUpperCase();
+    }
+    return '';
+}
+
+/**
+ * 背ラベルに印字する分類記号を作る（最初の有効なNDCの小数点以下を decimals 桁までにする）
+ * @param {string|null} ndc
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function labelNDC(ndc, decimals = APP_CONFIG.labels.ndcDecimals) {
+    const entry = parseNDC(ndc).find((e) => e.valid);
+    if (!entry) {
+        return '';
+    }
+    const [integer, fraction = ''] = entry.code.split('.');
+    const kept = fraction.substring(0, decimals);
+    return kept ? `${integer}.${kept}` : integer;
+}
+
+/**
+ * 巻数から巻冊記号を作る（「第3巻」→「3」、「上」「下」などはそのまま）
+ * @param {string|null} volume
+ * @returns {string}
+ */
+export function volumeMark(volume) {
+    const text = normalizeText(volume);
+    if (!text) {
+        return '';
+    }
+    const number = text.match(/\d+/);
+    return number ? String(Number(number[0])) : text.replace(/^第|[巻冊号]$/g, '');
+}
+
+/**
+ * 統合レコードの値から背ラベル1枚分の内容を作る
+ * @param {Object<string, string|null>} merged getMergedValues の戻り値
+ * @returns {{ndc: string, authorMark: string, volume: string}}
+ */
+export function buildSpineLabel(merged) {
+    return {
+        ndc: labelNDC(merged.ndc),
+        authorMark: authorMark(merged.authorsReading, merged.authors),
+        volume: volumeMark(merged.volume)
+    };
+}
+
+/**
+ * 用紙の定義から、ラベル1枚の大きさを求める
+ * @param {Object} template LABEL_TEMPLATES の値と同じ形式
+ * @returns {{width: number, height: number}} mm。用紙に収まらない場合は例外を投げる
+ */
+export function labelSize(template) {
+    const { columns, rows, marginTop, marginBottom, marginLeft, marginRight, gapX, gapY } = template;
+    if (!(columns >= 1 && rows >= 1)) {
+        throw new Error('列数と行数は1以上にしてください');
+    }
+    const width = (PAGE_SIZE.width - marginLeft - marginRight - gapX * (columns - 1)) / columns;
+    const height = (PAGE_SIZE.height - marginTop - marginBottom - gapY * (rows - 1)) / rows;
+    if (!(width > 0 && height > 0)) {
+        throw new Error('余白と間隔が大きすぎて、ラベルが用紙に収まりません');
+    }
+    return { width, height };
+}
+
+/**
+ * ラベルを用紙に割り付ける
+ *
+ * 1枚目の used に含まれる位置（左上から右へ0始まりの番号）は、使用済みとして飛ばす。
+ *
+ * @param {Object[]} labels
+ * @param {Object} template
+ * @param {Set<number>} [used] 1枚目の使用済みの位置
+ * @returns {{x: number, y: number, width: number, height: number, label: Object|null, used: boolean}[][]} 用紙ごとの位置（mm）
+ */
+export function layoutLabels(labels, template, used = new Set()) {
+    const { width, height } = labelSize(template);
+    const perPage = template.columns * template.rows;
+    const pages = [];
+    let index = 0;
+    let page = 0;
+
+    do {
+        const cells = [];
+        for (let position = 0; position < perPage; position++) {
+            const column = position % template.columns;
+            const row = Math.floor(position / template.columns);
+            const isUsed = page === 0 && used.has(position);
+            cells.push({
+                x: template.marginLeft + column * (width + template.gapX),
+                y: template.marginTop + row * (height + template.gapY),
+                width,
+                height,
+                label: !isUsed && index < labels.length ? labels[index++] : null,
+                used: isUsed
+            });
+        }
+        pages.push(cells);
+        page++;
+    } while (index < labels.length);
+
+    return pages;
+}
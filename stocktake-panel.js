@@ -0,0 +1,238 @@
+// 蔵書点検パネル（所蔵リストの取り込み、照合結果の表示と差異レポートの出力）
+
+import { formatISBN } from './isbn-ranges.js';
+import { EXPORT_FORMATS, detectFormat } from './book-export.js';
+import { downloadFile, sessionFileBaseName } from './history-panel.js';
+import {
+    STOCKTAKE_STATUS_LABELS,
+    parseHoldings,
+    reconcileStocktake,
+    serializeStocktakeReport
+} from './stocktake.js';
+
+/**
+ * 蔵書点検の所蔵リストとスキャン記録の照合結果を表示するクラス
+ *
+ * 所蔵リストはセッションごとに保存し、スキャン履歴が変わるたびに照合し直す。
+ */
+export class StocktakePanel {
+    /**
+     * @param {string} rootId
+     * @param {import('./session-store.js').SessionStore} store
+     */
+    constructor(rootId, store) {
+        this.root = document.getElementById(rootId);
+        this.store = store;
+        this.entries = [];
+        this.session = null;
+        this.result = null;
+
+        if (!this.root) {
+            console.error(`Element with id ${rootId} not found`);
+            return;
+        }
+
+        this.elements = {
+            holdingsInput: this.root.querySelector('.holdings-input'),
+            holdingsInfo: this.root.querySelector('.holdings-info'),
+            clearBtn: this.root.querySelector('.holdings-clear-btn'),
+            body: this.root.querySelector('.stocktake-body'),
+            counts: this.root.querySelector('.stocktake-counts'),
+            lastScan: this.root.querySelector('.stocktake-last'),
+            filter: this.root.querySelector('.stocktake-filter'),
+            exportBtns: this.root.querySelectorAll('.stocktake-export-btn'),
+            tableBody: this.root.querySelector('.stocktake-table tbody'),
+            emptyMessage: this.root.querySelector('.stocktake-empty'),
+            importReport: this.root.querySelector('.import-report'),
+            errorDiv: this.root.querySelector('.error')
+        };
+    }
+
+    init() {
+        this.elements.holdingsInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.importHoldings(file);
+        });
+
+        this.elements.clearBtn.addEventListener('click', async () => {
+            if (!confirm('このセッションの所蔵リストを削除しますか？（スキャン記録は残ります）')) return;
+            this.hideError();
+            try {
+                this.session = await this.store.setHoldings(this.store.currentSessionId, null);
+                this.elements.importReport.classList.add('hidden');
+                this.render();
+            } catch (error) {
+                this.showError(`所蔵リストを削除できませんでした: ${error.message}`);
+            }
+        });
+
+        this.elements.filter.addEventListener('change', () => this.renderRows());
+
+        this.elements.exportBtns.forEach((btn) => {
+            btn.addEventListener('click', () => this.exportReport(btn.dataset.format));
+        });
+    }
+
+    /**
+     * スキャン履歴の変更を受け取り、照合し直す
+     * @param {Object[]} entries 現在のセッションの記録
+     */
+    async update(entries) {
+        this.entries = entries;
+        this.session = await this.store.getSession(this.store.currentSessionId);
+        this.render();
+    }
+
+    /**
+     * 所蔵リストを読み込み、現在のセッションに保存する
+     * @param {File} file
+     */
+    async importHoldings(file) {
+        this.hideError();
+        try {
+            const text = await file.text();
+            const format = detectFormat(file.name, text);
+            if (format === 'json') {
+                throw new Error('所蔵リストはCSVまたはTSVで指定してください');
+            }
+            const { items, errors } = parseHoldings(text, format);
+            if (!items.length) {
+                throw new Error('ISBNを1件も読み取れませんでした');
+            }
+            this.session = await this.store.setHoldings(this.store.currentSessionId, {
+                filename: file.name,
+                importedAt: new Date().toISOString(),
+                items
+            });
+            this.showImportReport(file.name, items.length, errors);
+            this.render();
+        } catch (error) {
+            this.showError(`${file.name} を読み込めませんでした: ${error.message}`);
+        }
+    }
+
+    /**
+     * 差異レポートをダウンロードする
+     * @param {'csv'|'tsv'} format
+     */
+    exportReport(format) {
+        if (!this.result) return;
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        const content = serializeStocktakeReport(this.result.rows, format);
+        downloadFile(content, `${sessionFileBaseName(this.session)}_点検差異.${extension}`, mimeType);
+    }
+
+    render() {
+        const holdings = this.session && this.session.holdings;
+        this.elements.body.classList.toggle('hidden', !holdings);
+        this.elements.clearBtn.classList.toggle('hidden', !holdings);
+
+        if (!holdings) {
+            this.result = null;
+            this.elements.holdingsInfo.textContent = '所蔵リストが未登録です。CSVを読み込むと、スキャンした書籍と照合します。';
+            return;
+        }
+
+        this.result = reconcileStocktake(holdings.items, this.entries);
+        const { counts, expectedTotal } = this.result;
+
+        this.elements.holdingsInfo.textContent =
+            `所蔵リスト: ${holdings.filename}（${holdings.items.length} タイトル・${expectedTotal} 冊、${new Date(holdings.importedAt).toLocaleString('ja-JP')} 読み込み）`;
+
+        this.elements.counts.textContent = '';
+        for (const [key, label] of [
+            ['found', '確認済み'],
+            ['missing', '不明'],
+            ['duplicate', '重複'],
+            ['unexpected', 'リスト外']
+        ]) {
+            const badge = document.createElement('span');
+            badge.className = `stocktake-count status-${key}`;
+            badge.textContent = `${label} ${counts[key]} 冊`;
+            this.elements.counts.appendChild(badge);
+        }
+
+        this.renderLastScan();
+        this.renderRows();
+    }
+
+    /**
+     * 直前に読み取った書籍の照合結果を表示する（読み取りのたびに所蔵リストとの一致を確認できるように）
+     */
+    renderLastScan() {
+        const { lastScan } = this.elements;
+        const last = [...this.entries].reverse().find((entry) => entry.isbn);
+        const row = last && this.result.rows.find((r) => r.isbn === last.isbn);
+        if (!row) {
+            lastScan.classList.add('hidden');
+            return;
+        }
+        lastScan.className = `stocktake-last status-${row.status}`;
+        lastScan.textContent = `直前の読み取り: ${formatISBN(row.isbn)}${row.title ? `「${row.title}」` : ''} → ${STOCKTAKE_STATUS_LABELS[row.status]}`
+            + (row.expected ? `（${row.scanned}/${row.expected} 冊）` : '');
+    }
+
+    renderRows() {
+        if (!this.result) return;
+        const filter = this.elements.filter.value;
+        const rows = this.result.rows.filter((row) => {
+            if (filter === 'all') return true;
+            if (filter === 'discrepancy') return row.status !== 'found';
+            return row.status === filter;
+        });
+
+        const tbody = this.elements.tableBody;
+        tbody.textContent = '';
+        for (const row of rows) {
+            const tr = document.createElement('tr');
+            tr.className = `status-${row.status}`;
+            const cells = [
+                STOCKTAKE_STATUS_LABELS[row.status],
+                formatISBN(row.isbn),
+                row.title || '-',
+                row.location || '-',
+                String(row.expected),
+                String(row.scanned)
+            ];
+            for (const text of cells) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+        this.elements.emptyMessage.classList.toggle('hidden', rows.length > 0);
+    }
+
+    showImportReport(filename, importedCount, errors) {
+        const report = this.elements.importReport;
+        report.textContent = '';
+
+        const summary = document.createElement('p');
+        summary.textContent = `${filename}: ${importedCount} タイトルを読み込みました` +
+            (errors.length ? `（${errors.length} 行はエラーのため読み込んでいません）` : '');
+        report.appendChild(summary);
+
+        if (errors.length) {
+            const list = document.createElement('ul');
+            for (const { row, message } of errors) {
+                const li = document.createElement('li');
+                li.textContent = `${row} 行目: ${message}`;
+                list.appendChild(li);
+            }
+            report.appendChild(list);
+        }
+        report.classList.toggle('has-errors', errors.length > 0);
+        report.classList.remove('hidden');
+    }
+
+    showError(message) {
+        this.elements.errorDiv.textContent = `❌ エラー: ${message}`;
+        this.elements.errorDiv.classList.remove('hidden');
+    }
+
+    hideError() {
+        this.elements.errorDiv.classList.add('hidden');
+    }
+}
@@ -0,0 +1,197 @@
+// 蔵書点検（所蔵リストとスキャン記録の照合）
+
+import { BarcodeParser } from './barcode-parser.js';
+import { getMergedValues } from './reconcile.js';
+import { parseTable, serializeTable } from './book-export.js';
+
+/** 照合結果の状態と表示名 */
+export const STOCKTAKE_STATUS_LABELS = {
+    found: '確認済み',
+    partial: '一部不足',
+    missing: '不明（未確認）',
+    duplicate: '重複読み取り',
+    unexpected: 'リスト外'
+};
+
+// 所蔵リストの見出しとして受け付ける列名（小文字で比較する）
+const HOLDINGS_COLUMNS = {
+    isbn: ['isbn', 'isbn13', 'isbn10', 'jan'],
+    copies: ['copies', 'count', 'qty', '冊数', '部数', '所蔵数'],
+    location: ['location', 'shelf', '場所', '配架場所', '所在'],
+    title: ['title', '書名', '書籍名', 'タイトル']
+};
+
+/** 差異レポートの列定義 */
+export const REPORT_COLUMNS = ['status', 'isbn', 'title', 'location', 'expected', 'scanned', 'difference'];
+
+/**
+ * ISBNの列の見出しか（「ISBN」「ISBN13」「isbn10」「JAN」など。大文字・小文字は問わない）
+ * 一括照会（bulk-lookup.js）でも、1行目が見出し行かどうかの判定に使う
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isIsbnColumnName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    return HOLDINGS_COLUMNS.isbn.includes(normalized);
+}
+
+/**
+ * 見出し行から、各項目の列番号を求める
+ * @param {string[]} header
+ * @returns {Object<string, number>|null} isbn 列がなければnull（見出し行なしとみなす）
+ */
+function findHoldingsColumns(header) {
+    const names = header.map((h) => h.trim().toLowerCase());
+    const columns = {};
+    for (const [key, aliases] of Object.entries(HOLDINGS_COLUMNS)) {
+        const index = names.findIndex((name) => aliases.some((alias) => alias.toLowerCase() === name));
+        if (index >= 0) columns[key] = index;
+    }
+    return 'isbn' in columns ? columns : null;
+}
+
+/**
+ * 所蔵リスト（CSV / TSV）を読み込む
+ *
+ * 見出し行に isbn 列（ISBN・JANなども可）が必要で、冊数（copies・冊数など）、
+ * 配架場所（location・場所など）、書名（title・書名など）の列は省略できる。
+ * 見出し行がない場合は「ISBN, 冊数, 配架場所」の順とみなす。
+ * 同じISBNの行が複数ある場合は冊数を合算する。
+ *
+ * @param {string} text
+ * @param {'csv'|'tsv'} format
+ * @returns {{items: {isbn: string, expected: number, location: string, title: string}[], errors: {row: number, message: string}[]}}
+ */
+export function parseHoldings(text, format) {
+    const table = parseTable(text, format).filter((cells) => cells.some((cell) => cell.trim()));
+    if (!table.length) {
+        throw new Error('ファイルが空です');
+    }
+
+    const headerColumns = findHoldingsColumns(table[0]);
+    const columns = headerColumns || { isbn: 0, copies: 1, location: 2 };
+    const firstRow = headerColumns ? 1 : 0;
+
+    const byIsbn = new Map();
+    const errors = [];
+    for (let i = firstRow; i < table.length; i++) {
+        const cells = table[i];
+        const cell = (key) => (key in columns && cells[columns[key]] !== undefined ? cells[columns[key]].trim() : '');
+
+        try {
+            const isbnValue = BarcodeParser.normalizeInput(cell('isbn'));
+            if (!isbnValue) {
+                throw new Error('ISBNが空です');
+            }
+            const isbn = BarcodeParser.extractISBN(isbnValue);
+            if (!isbn) {
+                throw new Error(`ISBNの形式が正しくありません: ${isbnValue}`);
+            }
+
+            const copiesValue = BarcodeParser.normalizeInput(cell('copies'));
+            if (copiesValue && !/^\d+$/.test(copiesValue)) {
+                throw new Error(`冊数の形式が正しくありません: ${copiesValue}`);
+            }
+            const expected = copiesValue ? Number(copiesValue) : 1;
+
+            const item = byIsbn.get(isbn) || { isbn, expected: 0, location: '', title: '' };
+            item.expected += expected;
+            const location = cell('location');
+            if (location && !item.location.split(' / ').includes(location)) {
+                item.location = item.location ? `${item.location} / ${location}` : location;
+            }
+            item.title = item.title || cell('title');
+            byIsbn.set(isbn, item);
+        } catch (error) {
+            // 行番号はファイル上の行番号（見出し行を含む）
+            errors.push({ row: i + 1, message: error.message });
+        }
+    }
+    return { items: Array.from(byIsbn.values()), errors };
+}
+
+/**
+ * 所蔵リストとスキャン記録を照合する
+ *
+ * 冊数は1冊単位で数える。所蔵リストの冊数まで読み取れた分を「確認済み」、
+ * 足りない分を「不明」、冊数を超えて読み取った分を「重複」、
+ * 所蔵リストにないISBNの読み取りを「リスト外」とする。
+ * ISBNのない記録（Cコードのみ）は照合の対象外とする。
+ *
+ * @param {{isbn: string, expected: number, location: string, title: string}[]} holdings
+ * @param {Object[]} entries スキャン記録
+ * @returns {{rows: Object[], counts: {found: number, missing: number, duplicate: number, unexpected: number}, expectedTotal: number}}
+ *          rows は ISBN ごとの { isbn, title, location, expected, scanned, status }
+ */
+export function reconcileStocktake(holdings, entries) {
+    const scans = new Map();
+    for (const entry of entries) {
+        if (!entry.isbn) continue;
+        const scan = scans.get(entry.isbn) || { count: 0, entry };
+        scan.count++;
+        scans.set(entry.isbn, scan);
+    }
+
+    const counts = { found: 0, missing: 0, duplicate: 0, unexpected: 0 };
+    const rows = [];
+    let expectedTotal = 0;
+
+    for (const item of holdings) {
+        const scan = scans.get(item.isbn);
+        const scanned = scan ? scan.count : 0;
+        expectedTotal += item.expected;
+        counts.found += Math.min(scanned, item.expected);
+        counts.missing += Math.max(item.expected - scanned, 0);
+        counts.duplicate += Math.max(scanned - item.expected, 0);
+
+        let status = 'found';
+        if (scanned === 0) status = 'missing';
+        else if (scanned < item.expected) status = 'partial';
+        else if (scanned > item.expected) status = 'duplicate';
+
+        rows.push({
+            isbn: item.isbn,
+            title: item.title || (scan ? getMergedValues(scan.entry).title : '') || '',
+            location: item.location,
+            expected: item.expected,
+            scanned,
+            status
+        });
+        scans.delete(item.isbn);
+    }
+
+    for (const [isbn, scan] of scans) {
+        counts.unexpected += scan.count;
+        rows.push({
+            isbn,
+            title: getMergedValues(scan.entry).title || '',
+            location: '',
+            expected: 0,
+            scanned: scan.count,
+            status: 'unexpected'
+        });
+    }
+
+    return { rows, counts, expectedTotal };
+}
+
+/**
+ * 照合結果のうち差異のある行を、差異レポート（CSV / TSV）にする
+ * @param {Object[]} rows reconcileStocktake の rows
+ * @param {'csv'|'tsv'} format
+ * @returns {string}
+ */
+export function serializeStocktakeReport(rows, format) {
+    const reportRows = rows
+        .filter((row) => row.status !== 'found')
+        .map((row) => ({
+            status: STOCKTAKE_STATUS_LABELS[row.status],
+            isbn: row.isbn,
+            title: row.title,
+            location: row.location,
+            expected: String(row.expected),
+            scanned: String(row.scanned),
+            difference: String(row.scanned - row.expected)
+        }));
+    return serializeTable(REPORT_COLUMNS, reportRows, format);
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BarcodeParser } from '../barcode-parser.js';
+
+test('extractISBN: 13桁・ハイフン区切り・ISBN-10のISBNを13桁にそろえる', () => {
+    assert.equal(BarcodeParser.extractISBN('9784101010014'), '9784101010014');
+    assert.equal(BarcodeParser.extractISBN('978-4-10-101001-4'), '9784101010014');
+    assert.equal(BarcodeParser.extractISBN('ISBN978-4-10-101001-4'), '9784101010014');
+    assert.equal(BarcodeParser.extractISBN('4101010013'), '9784101010014');
+    assert.equal(BarcodeParser.extractISBN('4-10-100109-X'), '9784101001098');
+    assert.equal(BarcodeParser.extractISBN('4-10-100109-x'), '9784101001098');
+});
+
+test('extractISBN: 全角数字や上段と下段を続けて読み取った入力からも取り出す', () => {
+    assert.equal(BarcodeParser.extractISBN('９７８４１０１０１００１４'), '9784101010014');
+    assert.equal(BarcodeParser.extractISBN('9784101010014192'), '9784101010014');
+});
+
+test('extractISBN: ISBNでない入力はnull（979-0 はISMN）', () => {
+    assert.equal(BarcodeParser.extractISBN('9790123456785'), null);
+    assert.equal(BarcodeParser.extractISBN('abc'), null);
+    assert.equal(BarcodeParser.extractISBN(''), null);
+});
+
+test('extractISBN: チェックデジットの誤りは正しい値とともに知らせる', () => {
+    assert.throws(() => BarcodeParser.extractISBN('9784101010015'), /正しくは 4/);
+    assert.throws(() => BarcodeParser.extractISBN('4101010014'), /ISBN-10のチェックデジット.*正しくは 3/);
+});
+
+test('parseSecondTierCode: 書籍JANコード第2段からCコードと本体価格を取り出す', () => {
+    assert.deepEqual(BarcodeParser.parseSecondTierCode('1920193005806'), { code: '1920193005806', ccode: '0193', price: 580 });
+    assert.deepEqual(BarcodeParser.parseSecondTierCode('192-0193-00580-6'), { code: '1920193005806', ccode: '0193', price: 580 });
+    assert.deepEqual(BarcodeParser.parseSecondTierCode('１９２０１９３００５８０６'), { code: '1920193005806', ccode: '0193', price: 580 });
+});
+
+test('parseSecondTierCode: 192から始まらないコードはnull', () => {
+    assert.equal(BarcodeParser.parseSecondTierCode('9784101010014'), null);
+    assert.equal(BarcodeParser.parseSecondTierCode('0193'), null);
+});
+
+test('parseSecondTierCode: 桁数やチェックデジットの誤りは例外にする', () => {
+    assert.throws(() => BarcodeParser.parseSecondTierCode('192019300580'), /桁数/);
+    assert.throws(() => BarcodeParser.parseSecondTierCode('1920193005807'), /正しくは 6/);
+});
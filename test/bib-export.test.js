@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BIB_FORMATS, parseBibliographic, serializeBibliographic, toBibRecord } from '../bib-export.js';
+import { SAMPLE_ENTRIES } from './sample-records.js';
+
+// どの書誌データ形式でも、書き出して読み込み直したときに残るべき項目
+const ROUND_TRIP_FIELDS = ['isbn', 'title', 'subtitle', 'volume', 'authors', 'publisher', 'pages', 'ndc', 'ccode'];
+
+for (const format of Object.keys(BIB_FORMATS)) {
+    test(`${format}: 書き出した書誌データを読み込み直すと、主な項目が元に戻る`, () => {
+        const text = serializeBibliographic(SAMPLE_ENTRIES, format);
+        const records = parseBibliographic(text, format);
+        assert.equal(records.length, SAMPLE_ENTRIES.length);
+
+        SAMPLE_ENTRIES.forEach((entry, i) => {
+            const expected = toBibRecord(entry);
+            for (const field of ROUND_TRIP_FIELDS) {
+                assert.deepEqual(records[i][field], expected[field], `${i + 1}件目の ${field}`);
+            }
+        });
+    });
+}
+
+test('サンプルの記録から、書誌データの項目を取り出せる', () => {
+    const [first, second, third] = SAMPLE_ENTRIES.map(toBibRecord);
+    assert.equal(first.title, '吾輩は猫である');
+    // 生没年は著者名に含めず、同じ著者は取得元の優先順位で1つにする
+    assert.deepEqual(first.authors, ['夏目漱石']);
+    assert.deepEqual(first.ndc, ['913.6']);
+    assert.deepEqual(second.authors, ['山田太郎', '佐藤花子', 'J・K・スミス']);
+    assert.deepEqual(second.ndc, ['007.64', '548.2']);
+    assert.equal(third.title, null);
+    assert.deepEqual(third.authors, []);
+});
+
+test('marcxml: 出版日・内容紹介・価格も元に戻る', () => {
+    const records = parseBibliographic(serializeBibliographic(SAMPLE_ENTRIES, 'marcxml'), 'marcxml');
+    assert.equal(records[0].publishedDate, '2003-06-01');
+    assert.equal(records[0].price, 430);
+    assert.equal(records[1].description, '行を またぐ内容紹介 $5 #1 ~ ^');
+});
+
+test('ris: 内容紹介の改行は空白になり、出版日は元に戻る', () => {
+    const records = parseBibliographic(serializeBibliographic(SAMPLE_ENTRIES, 'ris'), 'ris');
+    assert.equal(records[1].publishedDate, '2020-01-15');
+    assert.equal(records[1].description, '行を またぐ内容紹介 $5 #1 ~ ^');
+});
+
+test('bibtex: 特殊文字はエスケープして書き出し、出版日は年だけが残る', () => {
+    const text = serializeBibliographic(SAMPLE_ENTRIES, 'bibtex');
+    assert.match(text, /title = \{C \\& C\+\+ <入門> \\\{改訂版\\\} : 100\\% わかる\\_プログラミング\}/);
+    const records = parseBibliographic(text, 'bibtex');
+    assert.equal(records[1].publishedDate, '2020');
+    assert.equal(records[1].description, '行を またぐ内容紹介 $5 #1 ~ ^');
+});
+
+test('未対応の形式はエラーになる', () => {
+    assert.throws(() => parseBibliographic('', 'mods'), /未対応の書誌データ形式です/);
+});
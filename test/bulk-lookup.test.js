@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIsbnList } from '../bulk-lookup.js';
+
+test('parseIsbnList: 1行目がISBNの列の見出しなら読み飛ばす', () => {
+    for (const header of ['isbn', 'ISBN13', 'isbn10', 'JAN', '書籍']) {
+        const { items, errors } = parseIsbnList(`${header},ccode\n9784101010014,C0193\n`);
+        assert.deepEqual(errors, [], header);
+        assert.deepEqual(items.map((item) => [item.line, item.isbn, item.ccode]), [[2, '9784101010014', '0193']], header);
+    }
+});
+
+test('parseIsbnList: 見出し行がなければ1行目から読み込み、読み取れない行は行番号とともに返す', () => {
+    const { items, errors } = parseIsbnList('978-4-10-101001-4\n# コメント\n\n9784101010015\n');
+    assert.deepEqual(items.map((item) => item.isbn), ['9784101010014']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].line, 4);
+});
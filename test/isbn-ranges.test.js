@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatISBN, splitISBN } from '../isbn-ranges.js';
+
+test('formatISBN: 日本のISBNを出版者記号の桁数で区切る', () => {
+    assert.equal(formatISBN('9784101010014'), '978-4-10-101001-4');
+    assert.equal(formatISBN('9784003101018'), '978-4-00-310101-8');
+});
+
+test('formatISBN: 英語圏（978-0・978-1）のISBNを登録範囲のとおりに区切る', () => {
+    assert.equal(formatISBN('9780306406157'), '978-0-306-40615-7');
+    assert.equal(formatISBN('9780262134729'), '978-0-262-13472-9');
+    assert.equal(formatISBN('9780743273565'), '978-0-7432-7356-5');
+    assert.equal(formatISBN('9780851310411'), '978-0-85131-041-1');
+    assert.equal(formatISBN('9781402894626'), '978-1-4028-9462-6');
+    assert.equal(formatISBN('9781861978769'), '978-1-86197-876-9');
+});
+
+test('splitISBN: 登録範囲の分からないISBNはnullにし、formatISBN はそのまま返す', () => {
+    assert.equal(splitISBN('9786000000000'), null);
+    assert.equal(formatISBN('9786000000000'), '9786000000000');
+    assert.equal(splitISBN('978410101001'), null);
+});
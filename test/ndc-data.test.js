@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNDC } from '../ndc-data.js';
+
+test('parseNDC: 複数の分類記号を区切って、類・綱・目の名称にする', () => {
+    const [first, second] = parseNDC('913.6, 914.6');
+    assert.equal(first.code, '913.6');
+    assert.deepEqual(first.levels.map((level) => level.code), ['9', '91', '913']);
+    assert.equal(second.code, '914.6');
+});
+
+test('parseNDC: 版の見出し（NDC9: など）は、区切りの空白があっても値と1件にする', () => {
+    for (const value of ['NDC9: 913.6', 'NDC9 913.6', 'NDC9：913.6', 'ndc10:913.6']) {
+        const entries = parseNDC(value);
+        assert.equal(entries.length, 1, value);
+        assert.equal(entries[0].code, '913.6', value);
+        assert.equal(entries[0].valid, true, value);
+    }
+    assert.deepEqual(parseNDC('NDC9: 913.6 NDC10: 913.6').map((entry) => entry.code), ['913.6', '913.6']);
+});
+
+test('parseNDC: 3桁の数字で始まらない値は valid を false にする', () => {
+    const [entry] = parseNDC('K913');
+    assert.equal(entry.valid, false);
+    assert.deepEqual(parseNDC(''), []);
+});
@@ -0,0 +1,58 @@
+// テスト用のスキャン記録（取得元ごとの書籍情報を含む、保存済みの記録と同じ形）
+
+/** 書誌データの書き出し・読み込みの確認に使う記録 */
+export const SAMPLE_ENTRIES = [
+    {
+        isbn: '9784101010014',
+        ccode: '0193',
+        price: 430,
+        scannedAt: '2024-05-01T09:00:00.000Z',
+        selections: {},
+        sources: {
+            openbd: {
+                title: '吾輩は猫である',
+                authors: '夏目漱石 著',
+                publisher: '新潮社',
+                publishedDate: '2003-06-01',
+                pages: '610',
+                ndc: '913.6'
+            },
+            ndl: {
+                title: '吾輩は猫である',
+                authors: '夏目, 漱石, 1867-1916',
+                publisher: '新潮社',
+                ndc: '913.6'
+            }
+        }
+    },
+    {
+        // 複数の著者・サブタイトル・巻数と、XML・BibTeXで特殊な文字を含む記録
+        isbn: '9784873119038',
+        ccode: '3055',
+        price: 3800,
+        scannedAt: '2024-05-01T09:01:00.000Z',
+        selections: {},
+        sources: {
+            openbd: {
+                title: 'C & C++ <入門> {改訂版}',
+                subtitle: '100% わかる_プログラミング',
+                volume: '上',
+                authors: '山田太郎／佐藤花子／J・K・スミス',
+                publisher: 'オライリー・ジャパン',
+                publishedDate: '2020-01-15',
+                pages: '352',
+                ndc: '007.64, 548.2',
+                description: '行を\nまたぐ内容紹介 $5 #1 ~ ^'
+            }
+        }
+    },
+    {
+        // 書籍情報の取得元に見つからなかった記録（ISBNとCコードだけ）
+        isbn: '9784000000003',
+        ccode: '0095',
+        price: null,
+        scannedAt: '2024-05-01T09:02:00.000Z',
+        selections: {},
+        sources: { openbd: null, ndl: null }
+    }
+];
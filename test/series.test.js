@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVolumeNumber, splitSeriesTitle } from '../series.js';
+
+test('parseVolumeNumber: 算用数字・漢数字の巻数を読み取る', () => {
+    assert.equal(parseVolumeNumber('3'), 3);
+    assert.equal(parseVolumeNumber('３'), 3);
+    assert.equal(parseVolumeNumber('第3巻'), 3);
+    assert.equal(parseVolumeNumber('第三巻'), 3);
+    assert.equal(parseVolumeNumber('Vol.12'), 12);
+    assert.equal(parseVolumeNumber('3 (完)'), 3);
+});
+
+test('parseVolumeNumber: ローマ数字は巻数の印があるか「Ⅲ」の文字で書かれた場合だけ読み取る', () => {
+    assert.equal(parseVolumeNumber('第III巻'), 3);
+    assert.equal(parseVolumeNumber('Vol.II'), 2);
+    assert.equal(parseVolumeNumber('Ⅲ'), 3);
+    assert.equal(parseVolumeNumber('III'), null);
+    assert.equal(parseVolumeNumber('XL'), null);
+});
+
+test('parseVolumeNumber: 小文字や50を超えるローマ数字は巻数にしない', () => {
+    assert.equal(parseVolumeNumber('c'), null);
+    assert.equal(parseVolumeNumber('iii'), null);
+    assert.equal(parseVolumeNumber('第C巻'), null);
+    assert.equal(parseVolumeNumber('Vol.LX'), null);
+    assert.equal(parseVolumeNumber('第L巻'), 50);
+});
+
+test('parseVolumeNumber: 年や番号でない巻はnull', () => {
+    assert.equal(parseVolumeNumber('2024年版'), null);
+    assert.equal(parseVolumeNumber('上'), null);
+    assert.equal(parseVolumeNumber(''), null);
+    assert.equal(parseVolumeNumber(null), null);
+});
+
+test('splitSeriesTitle: 書籍名の末尾の巻数を分ける', () => {
+    assert.deepEqual(splitSeriesTitle('ONE PIECE 100'), { series: 'ONE PIECE', volume: 100 });
+    assert.deepEqual(splitSeriesTitle('鬼滅の刃(23)'), { series: '鬼滅の刃', volume: 23 });
+    assert.deepEqual(splitSeriesTitle('ハイキュー!! 第45巻'), { series: 'ハイキュー!!', volume: 45 });
+    assert.deepEqual(splitSeriesTitle('三国志 三巻'), { series: '三国志', volume: 3 });
+    assert.deepEqual(splitSeriesTitle('細雪 上'), { series: '細雪', volume: null });
+});
+
+test('splitSeriesTitle: 空白で区切られた末尾か巻数の印のあるローマ数字だけを巻数にする', () => {
+    assert.deepEqual(splitSeriesTitle('Final Fantasy XV'), { series: 'Final Fantasy', volume: 15 });
+    assert.deepEqual(splitSeriesTitle('Fate/Zero Vol.II'), { series: 'Fate/Zero', volume: 2 });
+    assert.deepEqual(splitSeriesTitle('DIVX'), { series: 'DIVX', volume: null });
+    assert.deepEqual(splitSeriesTitle('Title (II)'), { series: 'Title (II)', volume: null });
+    assert.deepEqual(splitSeriesTitle('Music c'), { series: 'Music c', volume: null });
+});
+
+test('splitSeriesTitle: 年や書籍名全体が数字の場合は分けない', () => {
+    assert.deepEqual(splitSeriesTitle('2024年版'), { series: '2024年版', volume: null });
+    assert.deepEqual(splitSeriesTitle('1984'), { series: '1984', volume: null });
+    assert.equal(splitSeriesTitle(''), null);
+});
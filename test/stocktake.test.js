@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileStocktake } from '../stocktake.js';
+
+const HOLDINGS = [
+    { isbn: '9784101010014', expected: 1, location: 'A-01', title: '坊っちゃん' },
+    { isbn: '9784101001098', expected: 2, location: 'A-02', title: '' },
+    { isbn: '9784003101018', expected: 1, location: 'B-01', title: '' },
+    { isbn: '9784101001012', expected: 1, location: 'B-02', title: '' }
+];
+
+function scan(isbn, title = null) {
+    return { isbn, sources: title ? { openbd: { title } } : {}, selections: {} };
+}
+
+test('reconcileStocktake: 冊数ごとに確認済み・一部不足・不明・重複・リスト外を数える', () => {
+    const entries = [
+        scan('9784101010014'),
+        scan('9784101001098'),
+        scan('9784101001012'), scan('9784101001012'),
+        scan('9784000000000', 'リストにない本'),
+        { isbn: null, ccode: '0193' }
+    ];
+    const { rows, counts, expectedTotal } = reconcileStocktake(HOLDINGS, entries);
+
+    assert.equal(expectedTotal, 5);
+    assert.deepEqual(counts, { found: 3, missing: 2, duplicate: 1, unexpected: 1 });
+    assert.deepEqual(rows.map((row) => [row.isbn, row.scanned, row.status]), [
+        ['9784101010014', 1, 'found'],
+        ['9784101001098', 1, 'partial'],
+        ['9784003101018', 0, 'missing'],
+        ['9784101001012', 2, 'duplicate'],
+        ['9784000000000', 1, 'unexpected']
+    ]);
+});
+
+test('reconcileStocktake: 書籍名は所蔵リストを優先し、なければスキャン記録の書籍情報を使う', () => {
+    const { rows } = reconcileStocktake(HOLDINGS.slice(0, 2), [scan('9784101010014', '別の書籍名'), scan('9784101001098', '吾輩は猫である')]);
+    assert.equal(rows[0].title, '坊っちゃん');
+    assert.equal(rows[1].title, '吾輩は猫である');
+});
+
+test('reconcileStocktake: スキャン記録がなければ、すべて不明になる', () => {
+    const { counts, rows } = reconcileStocktake(HOLDINGS, []);
+    assert.deepEqual(counts, { found: 0, missing: 5, duplicate: 0, unexpected: 0 });
+    assert.ok(rows.every((row) => row.status === 'missing'));
+});
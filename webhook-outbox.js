@@ -0,0 +1,243 @@
+// Webhookの送信待ち（IndexedDBに保存し、失敗した送信を間隔を空けて再送する）
+
+import { APP_CONFIG } from './config.js';
+import { openDatabase, promisifyRequest, promisifyTransaction } from './db.js';
+import { buildWebhookPayload, createIdempotencyKey, getRetryDelay, sendWebhook } from './webhook.js';
+
+/**
+ * 書籍情報の取得を終えた記録を、設定した送信先へ1件ずつ送るクラス
+ *
+ * 送信内容は送信待ちに入れた時点で作ってIndexedDBに保存するため、ページを閉じても次に開いたときに送信を続ける。
+ * 冪等キーは送信待ちに入れたときに決め、再送でも同じキーを送る（受け取り側で重複を除ける）。
+ * 送信済み・送信待ちの記録を履歴で編集した場合は、変更（event: 'scan.updated'）として新しいキーで送り直す。
+ * 再送の間隔は失敗するたびに倍にし（APP_CONFIG.webhook.retryDelay / maxRetryDelay）、
+ * maxAttempts 回続けて失敗するか、送信先が再送しても受け付けない応答（408・429以外の4xx）を返したら「送信失敗」にする。
+ * 送信済みの記録は keepDelivered の期間を過ぎたら削除する。記録を削除すると、その送信待ちも削除される（session-store.js）。
+ */
+export class WebhookOutbox {
+    /**
+     * @param {Object} [options]
+     * @param {() => void} [options.onChange] 送信状態が変わったとき
+     * @param {typeof fetch} [options.fetch]
+     */
+    constructor({ onChange, fetch } = {}) {
+        this.db = null;
+        this.onChange = onChange || null;
+        this.fetch = fetch || null;
+        this.processing = false;
+        this.timer = null;
+        // 送信中の冪等キー（送信中は保存せず、画面の表示のためだけに持つ）
+        this.sending = new Set();
+    }
+
+    async open() {
+        this.db = await openDatabase();
+    }
+
+    _store(mode = 'readonly') {
+        const tx = this.db.transaction('webhookOutbox', mode);
+        return { tx, store: tx.objectStore('webhookOutbox') };
+    }
+
+    async _put(item) {
+        const { tx, store } = this._store('readwrite');
+        store.put(item);
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * 送信待ちを更新する（送信中に記録ごと削除された場合は、元に戻さない）
+     * @param {string} key
+     * @param {Object} changes
+     */
+    async _update(key, changes) {
+        const { tx, store } = this._store('readwrite');
+        const item = await promisifyRequest(store.get(key));
+        if (item) store.put({ ...item, ...changes });
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * 接続の回復を監視し、起動時点の送信待ちを送り始める
+     */
+    start() {
+        window.addEventListener('online', () => this.process());
+        this.process();
+    }
+
+    /**
+     * 記録を送信待ちに入れる
+     *
+     * 送信先が未設定の場合、書籍情報が未取得の場合（再取得を終えたときに改めて入れる）は何もしない。
+     * その記録がすでに送信待ち・送信済みの場合は、update が指定されていれば変更として入れ、なければ何もしない。
+     *
+     * @param {Object|null} entry 保存済みの記録
+     * @param {Object} [options]
+     * @param {boolean} [options.update] 編集した記録（送信待ち・送信済みなら event: 'scan.updated' として送り直す）
+     * @returns {Promise<boolean>} 送信待ちに入れたか
+     */
+    async enqueue(entry, { update = false } = {}) {
+        if (!entry || entry.id == null || !APP_CONFIG.webhook.url) return false;
+        if (entry.lookupState === 'pending' || entry.lookupState === 'loading') return false;
+
+        // 同時に呼ばれても同じ記録を2件入れないよう、確認と追加を1つのトランザクションで行う
+        const { tx, store } = this._store('readwrite');
+        const existing = await promisifyRequest(store.index('entryId').count(entry.id));
+        if (existing && !update) {
+            await promisifyTransaction(tx);
+            return false;
+        }
+
+        const key = createIdempotencyKey();
+        const now = new Date().toISOString();
+        const event = existing ? 'scan.updated' : 'scan.completed';
+        store.put({
+            key,
+            entryId: entry.id,
+            payload: buildWebhookPayload(entry, { key, event }),
+            state: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            createdAt: now,
+            deliveredAt: null
+        });
+        await promisifyTransaction(tx);
+        this.notify();
+        this.process();
+        return true;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} 送信待ち・送信済み・送信失敗のすべて（送信待ちに入れた順）
+     */
+    async list() {
+        const { store } = this._store();
+        const items = await promisifyRequest(store.getAll());
+        return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * 記録ごとの送信状態
+     * @returns {Promise<Map<number, {state: string, attempts: number, lastError: string|null}>>}
+     *          記録のID → 送信状態（送信中なら state は 'sending'）
+     */
+    async getStates() {
+        const states = new Map();
+        for (const item of await this.list()) {
+            const state = this.sending.has(item.key) ? 'sending' : item.state;
+            states.set(item.entryId, { state, attempts: item.attempts, lastError: item.lastError });
+        }
+        return states;
+    }
+
+    /**
+     * @returns {Promise<{pending: number, delivered: number, failed: number}>}
+     */
+    async countByState() {
+        const counts = { pending: 0, delivered: 0, failed: 0 };
+        for (const item of await this.list()) {
+            counts[item.state]++;
+        }
+        return counts;
+    }
+
+    /**
+     * 送信失敗の記録を、送信待ちに戻してすぐに送り直す（冪等キーはそのまま）
+     */
+    async retryFailed() {
+        const failed = (await this.list()).filter((item) => item.state === 'failed');
+        const now = new Date().toISOString();
+        for (const item of failed) {
+            await this._put({ ...item, state: 'pending', attempts: 0, nextAttemptAt: now });
+        }
+        this.notify();
+        await this.process();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * 送信してから keepDelivered の期間を過ぎた送信済みの記録を削除する
+     */
+    async prune() {
+        const threshold = Date.now() - APP_CONFIG.webhook.keepDelivered;
+        const { tx, store } = this._store('readwrite');
+        const delivered = await promisifyRequest(store.index('state').getAll('delivered'));
+        const expired = delivered.filter((item) => Date.parse(item.deliveredAt) < threshold);
+        for (const item of expired) {
+            store.delete(item.key);
+        }
+        await promisifyTransaction(tx);
+        if (expired.length) this.notify();
+    }
+
+    /**
+     * 再送の時刻になった送信待ちを、送信待ちに入れた順に送る
+     * 送り終えたら、次に再送の時刻が来る送信待ちに合わせてもう一度呼ばれるようにする
+     */
+    async process() {
+        if (this.processing || !this.db) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!navigator.onLine || !APP_CONFIG.webhook.url) return;
+
+        this.processing = true;
+        try {
+            await this.prune();
+            const due = (await this.list()).filter((item) => item.state === 'pending' && Date.parse(item.nextAttemptAt) <= Date.now());
+            for (const item of due) {
+                if (!navigator.onLine) break;
+                await this.deliver(item);
+            }
+        } catch (error) {
+            console.error('Webhookの送信エラー:', error);
+        } finally {
+            this.processing = false;
+            await this.schedule();
+        }
+    }
+
+    /**
+     * 1件を送信し、結果を保存する
+     * @param {Object} item
+     */
+    async deliver(item) {
+        // 送信を待つ間に記録ごと削除された場合は送信しない
+        const { store } = this._store();
+        if (!(await promisifyRequest(store.get(item.key)))) return;
+
+        this.sending.add(item.key);
+        this.notify();
+        const options = this.fetch ? { fetch: this.fetch } : {};
+        try {
+            await sendWebhook(item.payload, options);
+            await this._update(item.key, { state: 'delivered', attempts: item.attempts + 1, lastError: null, deliveredAt: new Date().toISOString() });
+        } catch (error) {
+            const attempts = item.attempts + 1;
+            const giveUp = error.retryable === false || attempts >= APP_CONFIG.webhook.maxAttempts;
+            await this._update(item.key, {
+                state: giveUp ? 'failed' : 'pending',
+                attempts,
+                lastError: error.message,
+                nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)).toISOString()
+            });
+        } finally {
+            this.sending.delete(item.key);
+            this.notify();
+        }
+    }
+
+    /**
+     * 次に再送の時刻が来る送信待ちに合わせて、送信を予約する
+     */
+    async schedule() {
+        const pending = (await this.list()).filter((item) => item.state === 'pending');
+        if (!pending.length) return;
+        const next = Math.min(...pending.map((item) => Date.parse(item.nextAttemptAt)));
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.process(), Math.max(0, next - Date.now()));
+    }
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+// Webhook送信の確認用のサーバー（Node.js 用）
+//
+// ブラウザ版の「記録の送信（Webhook）」の送信先として手元で起動し、受け取った記録を確認する。
+// 受け取った送信内容は1件1行の JSON で標準出力に、受け取りの経過は標準エラー出力に書き出す。
+// 同じ冪等キー（Idempotency-Key）の再送は重複として記録せず、成功として応答する。
+//
+// 使い方:
+//   node webhook-stub.js [--port 番号] [--token トークン] [--fail-rate 割合]
+
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+const USAGE = `使い方: node webhook-stub.js [オプション]
+
+http://localhost:<番号>/ で待ち受け、受け取った送信内容を1件1行の JSON で標準出力に書き出します。
+
+オプション:
+  --port <番号>         待ち受けるポート番号。既定は 8787
+  --token <トークン>    指定すると、Authorization: Bearer <トークン> のない送信を 401 で断る
+  --fail-rate <割合>    0〜1 の割合で 503 を返す（再送の確認用）。既定は 0
+  -h, --help            この説明を表示する`;
+
+const DEFAULT_PORT = 8787;
+
+// ブラウザ版から送信できるようにする（ページと送信先のオリジンが異なるため）
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key, Authorization'
+};
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function respond(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * 受け取った記録を1行で表す
+ * @param {Object} payload
+ * @returns {string}
+ */
+function describePayload(payload) {
+    const record = payload.record || {};
+    const title = (record.merged && record.merged.title) || '（書籍名なし）';
+    const test = payload.test ? ' [テスト]' : '';
+    return `${payload.event}${test} ${record.isbn || record.productCode || '-'} ${title}`;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: String(DEFAULT_PORT) },
+            token: { type: 'string' },
+            'fail-rate': { type: 'string', default: '0' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`ポート番号は0〜65535の整数で指定してください: ${values.port}`);
+    }
+    const failRate = Number(values['fail-rate']);
+    if (!Number.isFinite(failRate) || failRate < 0 || failRate > 1) {
+        throw new Error(`--fail-rate は0〜1で指定してください: ${values['fail-rate']}`);
+    }
+
+    // 受け取った冪等キー（再送を重複として扱うため）
+    const received = new Set();
+
+    const server = createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            respond(res, 405, { error: 'POST で送信してください' });
+            return;
+        }
+        if (values.token && req.headers.authorization !== `Bearer ${values.token}`) {
+            respond(res, 401, { error: 'トークンが正しくありません' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(req));
+        } catch (error) {
+            respond(res, 400, { error: 'JSON を読み取れません' });
+            return;
+        }
+        const key = req.headers['idempotency-key'] || payload.id;
+        if (!key) {
+            respond(res, 400, { error: 'Idempotency-Key がありません' });
+            return;
+        }
+
+        if (received.has(key)) {
+            console.error(`重複（記録済み）: ${key}`);
+            respond(res, 200, { received: true, duplicate: true });
+            return;
+        }
+        if (Math.random() < failRate) {
+            console.error(`503 を返しました: ${key}`);
+            respond(res, 503, { error: '一時的に受け付けられません（--fail-rate）' });
+            return;
+        }
+
+        received.add(key);
+        console.error(`受信: ${describePayload(payload)}`);
+        process.stdout.write(`${JSON.stringify(payload)}\n`);
+        respond(res, 200, { received: true, duplicate: false });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+    console.error(`http://localhost:${server.address().port}/ で待ち受けています（Ctrl+C で終了）`);
+}
+
+main().catch((error) => {
+    console.error(`エラー: ${error.message}`);
+    console.error(USAGE);
+    process.exitCode = 2;
+});
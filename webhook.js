@@ -0,0 +1,140 @@
+// スキャン記録の送信（Webhook）の送信内容と、1回分の送信
+
+import { APP_CONFIG } from './config.js';
+import { parseCCode } from './ccode-data.js';
+import { toExportRecord } from './book-export.js';
+
+/** 送信状態の表示名 */
+export const WEBHOOK_STATE_LABELS = {
+    pending: '送信待ち',
+    sending: '送信中',
+    delivered: '送信済み',
+    failed: '送信失敗'
+};
+
+/**
+ * 送信に失敗したことを表すエラー
+ *
+ * retryable は再送で回復する見込みがあるかどうか（通信エラー・タイムアウト・5xx・408・429）。
+ */
+export class WebhookError extends Error {
+    constructor(message, { retryable = true } = {}) {
+        super(message);
+        this.name = 'WebhookError';
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * 冪等キーを作る（再送しても同じキーを送り、受け取り側で重複を除けるようにする）
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+    return crypto.randomUUID();
+}
+
+/**
+ * 送信する内容を作る
+ *
+ * record はエクスポートのJSONの1件と同じ形（ISBN、Cコードの解析結果、本体価格、統合レコード、取得元ごとの書籍情報など）に、
+ * 記録のID（entryId）とセッションID（sessionId）を加えたもの。
+ *
+ * @param {Object} entry 保存済みの記録
+ * @param {Object} options
+ * @param {string} options.key 冪等キー
+ * @param {boolean} [options.testMode]
+ * @param {string} [options.event]
+ * @returns {{id: string, event: string, test: boolean, createdAt: string, record: Object}}
+ */
+export function buildWebhookPayload(entry, { key, testMode = APP_CONFIG.webhook.testMode, event = 'scan.completed' }) {
+    return {
+        id: key,
+        event,
+        test: Boolean(testMode),
+        createdAt: new Date().toISOString(),
+        record: {
+            entryId: entry.id != null ? entry.id : null,
+            sessionId: entry.sessionId != null ? entry.sessionId : null,
+            ...toExportRecord(entry)
+        }
+    };
+}
+
+/**
+ * 送信先の確認用の内容を作る（見本の記録を test: true で送る）
+ * @returns {Object}
+ */
+export function buildTestPayload() {
+    const sample = {
+        isbn: '9784101010014',
+        ccode: '0193',
+        parsedCCode: parseCCode('0193'),
+        price: 400,
+        scannedAt: new Date().toISOString(),
+        sources: {},
+        selections: {},
+        memo: '送信のテスト'
+    };
+    return buildWebhookPayload(sample, { key: createIdempotencyKey(), testMode: true, event: 'webhook.test' });
+}
+
+/**
+ * 何回目の失敗の後に、どれだけ待って再送するか
+ * @param {number} attempts 失敗した回数（1以上）
+ * @param {{retryDelay: number, maxRetryDelay: number}} [config]
+ * @returns {number} ミリ秒
+ */
+export function getRetryDelay(attempts, config = APP_CONFIG.webhook) {
+    return Math.min(config.retryDelay * 2 ** (attempts - 1), config.maxRetryDelay);
+}
+
+/**
+ * 送信内容を1回 POST する
+ * @param {Object} payload buildWebhookPayload で作った内容（id を冪等キーとして Idempotency-Key ヘッダーでも送る）
+ * @param {Object} [options]
+ * @param {string} [options.url]
+ * @param {string} [options.token] 空でなければ Authorization: Bearer で送る
+ * @param {number} [options.timeout] ミリ秒
+ * @param {typeof fetch} [options.fetch]
+ * @returns {Promise<number>} HTTPステータス
+ * @throws {WebhookError} 送信先が受け取らなかった場合
+ */
+export async function sendWebhook(payload, {
+    url = APP_CONFIG.webhook.url,
+    token = APP_CONFIG.webhook.token,
+    timeout = APP_CONFIG.webhook.timeout,
+    fetch: fetchImpl = globalThis.fetch
+} = {}) {
+    if (!url) {
+        throw new WebhookError('送信先のURLが設定されていません', { retryable: false });
+    }
+
+    const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': payload.id };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    try {
+        response = await fetchImpl(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload),
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error && error.name === 'AbortError') {
+            throw new WebhookError(`${timeout / 1000}秒以内に応答がありませんでした`);
+        }
+        throw new WebhookError('送信先に接続できませんでした');
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        // 5xx・408・429 は一時的な障害として再送し、それ以外の4xxは送信内容や設定の誤りとして再送しない
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw new WebhookError(`送信先が受け付けませんでした（HTTP ${response.status}）`, { retryable });
+    }
+    return response.status;
+}